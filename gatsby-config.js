@@ -19,6 +19,14 @@ module.exports = {
         component: require.resolve(layoutComponentRelativePath),
       },
     },
+    {
+      // Registers the docs property's own directives and roles. Point path at another module with the same shape as
+      // src/directive-config.js to use it instead; see src/utils/directive-registry.js
+      resolve: 'gatsby-plugin-directive-config',
+      options: {
+        path: require.resolve('./src/directive-config.js'),
+      },
+    },
     'gatsby-plugin-sitemap',
     {
       resolve: 'gatsby-plugin-canonical-urls',
@@ -1,3 +1,4 @@
+const fs = require('fs').promises;
 const path = require('path');
 const { transformBreadcrumbs } = require('./src/utils/setup/transform-breadcrumbs.js');
 const { baseUrl } = require('./src/utils/base-url');
@@ -8,26 +9,65 @@ const { getPageSlug } = require('./src/utils/get-page-slug');
 const { manifestMetadata, siteMetadata } = require('./src/utils/site-metadata');
 const { assertTrailingSlash } = require('./src/utils/assert-trailing-slash');
 const { constructPageIdPrefix } = require('./src/utils/setup/construct-page-id-prefix');
-const { manifestDocumentDatabase, stitchDocumentDatabase } = require('./src/init/DocumentDatabase.js');
+const { loadAssetDigests, saveAssetDigests } = require('./src/utils/setup/asset-digests');
+const { findManifestChanges } = require('./src/utils/setup/manifest-changes');
+const { watchFile } = require('./src/utils/setup/watch-file');
+const { countIssues, formatValidationReport, validatePageAsts } = require('./src/utils/setup/validate-page-asts');
+const { checkLinks, countBrokenLinks, formatLinkReport } = require('./src/utils/setup/check-links');
+const { createDirectiveRegistry } = require('./src/utils/directive-registry');
+const { getDirectiveConfigPath } = require('./src/utils/setup/directive-config-path');
+const { buildSearchIndex, SEARCH_INDEX_FILENAME } = require('./src/utils/search-index');
+const { buildSlugManifest, SLUG_MANIFEST_FILENAME } = require('./src/utils/slug-manifest');
+const { addGlossaryTerms, buildGlossaryIndex } = require('./src/utils/setup/glossary-terms');
+const { getPrintPath, getPrintSections, parsePrintSectionSlugs } = require('./src/utils/setup/print-sections');
+const { getLocalizedPath } = require('./src/utils/locale');
+const {
+  localDocumentDatabase,
+  manifestDocumentDatabase,
+  stitchDocumentDatabase,
+} = require('./src/init/DocumentDatabase.js');
+
+// Module registering the docs property's own directives and roles, which gatsby-plugin-directive-config bundles in
+// place of src/directive-config.js
+const directiveConfigPath = getDirectiveConfigPath(require('./gatsby-config'));
 
 // different types of references
-const PAGES = [];
+const PAGES = new Set();
 
 // in-memory object with key/value = filename/document
 let RESOLVED_REF_DOC_MAPPING = {};
 
 const assets = new Map();
 
+// Content digests of each page, kept in memory to find the documents that change while `gatsby develop` runs.
+// They aren't persisted to skip unchanged pages in later builds: Gatsby deletes every page that createPages doesn't
+// create again, and already skips writing the HTML of pages whose page data is unchanged since the last build.
+const pageDigests = {};
+
+// Checksums of the assets written to the static directory by the last build and by this one. Assets are written
+// outside of Gatsby, so their checksums are persisted for later builds to skip the ones already written.
+let previousAssetDigests = {};
+const assetDigests = {};
+
+// Records the checksums of the assets written so far, so that the next build or `gatsby develop` skips them
+const recordAssetDigests = (cache) => saveAssetDigests(cache, assetDigests);
+
 let db;
 
+// The site's metadata document, without its static files
+let snootyMetadata = null;
+
+let stopWatchingManifest = null;
+
 let isAssociatedProduct = false;
 const associatedReposInfo = {};
 
 // Creates node for RemoteMetadata, mostly used for Embedded Versions. If no associated products
 // or data are found, the node will be null
-const createRemoteMetadataNode = async ({ createNode, createNodeId, createContentDigest }) => {
+const createRemoteMetadataNode = async ({ createNode, createNodeId, createContentDigest }, metadata) => {
   // fetch associated child products
-  const productList = manifestMetadata?.associated_products || [];
+  const productList = metadata?.associated_products || [];
+  Object.keys(associatedReposInfo).forEach((name) => delete associatedReposInfo[name]);
   await Promise.all(
     productList.map(async (product) => {
       associatedReposInfo[product.name] = await db.stitchInterface.fetchRepoBranches(product.name);
@@ -47,10 +87,10 @@ const createRemoteMetadataNode = async ({ createNode, createNodeId, createConten
   // get remote metadata for updated ToC in Atlas
   try {
     const filter = {
-      project: manifestMetadata.project,
-      branch: manifestMetadata.branch,
+      project: metadata.project,
+      branch: metadata.branch,
     };
-    if (isAssociatedProduct || manifestMetadata?.associated_products?.length) {
+    if (isAssociatedProduct || metadata?.associated_products?.length) {
       filter['is_merged_toc'] = true;
     }
     const findOptions = {
@@ -74,7 +114,105 @@ const createRemoteMetadataNode = async ({ createNode, createNodeId, createConten
   }
 };
 
-exports.sourceNodes = async ({ actions, createContentDigest, createNodeId }) => {
+// Returns the key of a document in the in-memory mapping, i.e. its page id without the site prefix
+const getDocumentKey = (pageId) => pageId.replace(`${constructPageIdPrefix(siteMetadata)}/`, '');
+
+// Registers a document as a page to create, unless it isn't a page or is rendered by an OpenAPI page instead
+const registerPage = (key, doc, openapiPages) => {
+  const filename = getNestedValue(['filename'], doc) || '';
+  if (filename.endsWith('.txt') && !openapiPages?.[key]) {
+    PAGES.add(key);
+  } else {
+    PAGES.delete(key);
+  }
+};
+
+// Adds parsed documents to the in-memory mapping, registering the pages to create and the assets to save
+const sourceDocuments = (documents, { createContentDigest, openapiPages, assetMap = assets }) => {
+  documents.forEach((doc) => {
+    const { page_id, ...rest } = doc;
+    const key = getDocumentKey(page_id);
+    RESOLVED_REF_DOC_MAPPING[key] = rest;
+
+    // Identify page documents and parse each document for images
+    const pageNode = getNestedValue(['ast', 'children'], rest);
+    pageDigests[key] = createContentDigest(rest);
+    if (pageNode) {
+      rest.static_assets.forEach((asset) => {
+        const checksum = asset.checksum;
+        assetDigests[asset.key] = checksum;
+        if (assetMap.has(checksum)) {
+          assetMap.set(checksum, new Set([...assetMap.get(checksum), asset.key]));
+        } else {
+          assetMap.set(checksum, new Set([asset.key]));
+        }
+      });
+    }
+
+    registerPage(key, rest, openapiPages);
+  });
+};
+
+const createMetadataNode = async ({ createNode, createNodeId, createContentDigest }) => {
+  const { static_files: staticFiles, ...metadataMinusStatic } = await db.getMetadata();
+
+  const { parentPaths, slugToTitle } = metadataMinusStatic;
+  if (parentPaths) {
+    transformBreadcrumbs(parentPaths, slugToTitle);
+  }
+
+  //Save files in the static_files field of metadata document, including intersphinx inventories
+  if (staticFiles) {
+    await saveStaticFiles(staticFiles);
+  }
+
+  snootyMetadata = metadataMinusStatic;
+  createNode({
+    children: [],
+    id: createNodeId('metadata'),
+    internal: {
+      contentDigest: createContentDigest(metadataMinusStatic),
+      type: 'SnootyMetadata',
+    },
+    parent: null,
+    metadata: metadataMinusStatic,
+  });
+};
+
+// Re-sources the documents and metadata of a manifest rewritten during `gatsby develop`. Recreating the metadata
+// nodes queues node mutations, after which Gatsby re-runs createPages: changed pages are updated from the new
+// mapping and pages that are no longer created are deleted.
+const reloadManifest = async ({ cache, createNode, createNodeId, createContentDigest }) => {
+  db.reload();
+  const documents = await db.getDocuments();
+  const metadata = await db.getMetadata();
+  const openapiPages = metadata.openapi_pages;
+
+  const { changedDocuments, removedKeys } = findManifestChanges(documents, pageDigests, {
+    createContentDigest,
+    getDocumentKey,
+  });
+  removedKeys.forEach((key) => {
+    delete RESOLVED_REF_DOC_MAPPING[key];
+    delete pageDigests[key];
+    PAGES.delete(key);
+  });
+
+  const changedAssets = new Map();
+  sourceDocuments(changedDocuments, { createContentDigest, openapiPages, assetMap: changedAssets });
+  // Unchanged documents may have been added to or removed from openapi_pages
+  Object.entries(RESOLVED_REF_DOC_MAPPING).forEach(([key, doc]) => registerPage(key, doc, openapiPages));
+
+  console.log(
+    `Manifest changed: ${changedDocuments.length} document(s) added or updated, ${removedKeys.length} removed`
+  );
+  await saveAssetFiles(changedAssets, db);
+  await recordAssetDigests(cache);
+  await createRemoteMetadataNode({ createNode, createNodeId, createContentDigest }, metadata);
+  await createMetadataNode({ createNode, createNodeId, createContentDigest });
+};
+
+exports.sourceNodes = async ({ actions, cache, createContentDigest, createNodeId }) => {
   const { createNode } = actions;
 
   // setup and validate env variables
@@ -86,8 +224,11 @@ exports.sourceNodes = async ({ actions, createContentDigest, createNodeId }) =>
   // wait to connect to stitch
 
   if (siteMetadata.manifestPath) {
-    console.log('Loading documents from manifest');
+    console.log(`Loading documents from manifest${siteMetadata.offlineBuild ? ' in offline mode' : ''}`);
     db = manifestDocumentDatabase;
+  } else if (siteMetadata.parserOutputDir) {
+    console.log(`Loading documents from parser output directory${siteMetadata.offlineBuild ? ' in offline mode' : ''}`);
+    db = localDocumentDatabase;
   } else {
     console.log('Loading documents from stitch');
     db = stitchDocumentDatabase;
@@ -108,31 +249,8 @@ exports.sourceNodes = async ({ actions, createContentDigest, createNodeId }) =>
     );
     process.exit(1);
   }
-  const pageIdPrefix = constructPageIdPrefix(siteMetadata);
-  documents.forEach((doc) => {
-    const { page_id, ...rest } = doc;
-    RESOLVED_REF_DOC_MAPPING[page_id.replace(`${pageIdPrefix}/`, '')] = rest;
-  });
-
-  // Identify page documents and parse each document for images
-  Object.entries(RESOLVED_REF_DOC_MAPPING).forEach(([key, val]) => {
-    const pageNode = getNestedValue(['ast', 'children'], val);
-    const filename = getNestedValue(['filename'], val) || '';
-    if (pageNode) {
-      val.static_assets.forEach((asset) => {
-        const checksum = asset.checksum;
-        if (assets.has(checksum)) {
-          assets.set(checksum, new Set([...assets.get(checksum), asset.key]));
-        } else {
-          assets.set(checksum, new Set([asset.key]));
-        }
-      });
-    }
-
-    if (filename.endsWith('.txt') && !manifestMetadata.openapi_pages?.[key]) {
-      PAGES.push(key);
-    }
-  });
+  previousAssetDigests = await loadAssetDigests(cache);
+  sourceDocuments(documents, { createContentDigest, openapiPages: manifestMetadata.openapi_pages });
 
   // Get all MongoDB products for the sidenav
   const products = await db.fetchAllProducts(siteMetadata.database);
@@ -147,41 +265,111 @@ exports.sourceNodes = async ({ actions, createContentDigest, createNodeId }) =>
         type: 'Product',
       },
       parent: null,
+      // Docs project of the product, if its entry in the products collection sets one. Matches the product to
+      // its key in deprecated_versions
+      project: product.project,
       title: product.title,
       url,
     });
   });
 
-  await createRemoteMetadataNode({ createNode, createNodeId, createContentDigest });
+  await createRemoteMetadataNode({ createNode, createNodeId, createContentDigest }, manifestMetadata);
 
-  await saveAssetFiles(assets, db);
-  const { static_files: staticFiles, ...metadataMinusStatic } = await db.getMetadata();
+  await saveAssetFiles(assets, db, previousAssetDigests);
+  await recordAssetDigests(cache);
+  await createMetadataNode({ createNode, createNodeId, createContentDigest });
 
-  const { parentPaths, slugToTitle } = metadataMinusStatic;
-  if (parentPaths) {
-    transformBreadcrumbs(parentPaths, slugToTitle);
+  if (siteMetadata.manifestPath && process.env.gatsby_executing_command === 'develop' && !stopWatchingManifest) {
+    console.log(`Watching ${siteMetadata.manifestPath} for changes`);
+    stopWatchingManifest = watchFile(siteMetadata.manifestPath, () =>
+      reloadManifest({ cache, createNode, createNodeId, createContentDigest })
+    );
   }
+};
 
-  //Save files in the static_files field of metadata document, including intersphinx inventories
-  if (staticFiles) {
-    await saveStaticFiles(staticFiles);
+// Logs the summary of a build-time check and, if requested through the given environment variables, writes
+// its full report as JSON and fails the build when any issue is found
+const reportBuildCheck = async ({ report, summary, issueCount, reportPathVar, failVar }) => {
+  if (issueCount > 0) {
+    console.warn(summary);
+  } else {
+    console.log(summary);
   }
 
-  createNode({
-    children: [],
-    id: createNodeId('metadata'),
-    internal: {
-      contentDigest: createContentDigest(metadataMinusStatic),
-      type: 'SnootyMetadata',
-    },
-    parent: null,
-    metadata: metadataMinusStatic,
+  if (process.env[reportPathVar]) {
+    await fs.writeFile(process.env[reportPathVar], JSON.stringify(report, null, 2));
+  }
+
+  if (issueCount > 0 && process.env[failVar]?.toUpperCase() === 'TRUE') {
+    throw new Error(summary);
+  }
+};
+
+// Reports page AST nodes that ComponentFactory can't render
+const reportAstValidation = async () => {
+  const pageAsts = {};
+  Object.entries(RESOLVED_REF_DOC_MAPPING).forEach(([key, val]) => {
+    if (val.ast) {
+      pageAsts[getPageSlug(key)] = val.ast;
+    }
+  });
+
+  const report = validatePageAsts(pageAsts, createDirectiveRegistry(require(directiveConfigPath)));
+  await reportBuildCheck({
+    report,
+    summary: formatValidationReport(report),
+    issueCount: countIssues(report),
+    reportPathVar: 'AST_VALIDATION_REPORT_PATH',
+    failVar: 'FAIL_ON_AST_VALIDATION',
+  });
+};
+
+// Returns the ASTs of the pages to be created, keyed by slug
+const getPageAsts = () => {
+  const pageAsts = {};
+  PAGES.forEach((page) => {
+    const ast = RESOLVED_REF_DOC_MAPPING[page]?.ast;
+    if (ast) {
+      pageAsts[getPageSlug(page)] = ast;
+    }
+  });
+  return pageAsts;
+};
+
+// Reports internal links and ToC entries that don't resolve to a created page or one of its anchors
+const reportBrokenLinks = async () => {
+  // OpenAPI pages are rendered from their spec rather than an AST, so only their slugs are known
+  const report = checkLinks({
+    pages: getPageAsts(),
+    toctree: snootyMetadata?.toctree,
+    knownSlugs: Object.keys(snootyMetadata?.openapi_pages || {}).map(getPageSlug),
+  });
+  await reportBuildCheck({
+    report,
+    summary: formatLinkReport(report),
+    issueCount: countBrokenLinks(report),
+    reportPathVar: 'LINK_CHECK_REPORT_PATH',
+    failVar: 'FAIL_ON_BROKEN_LINKS',
   });
 };
 
 exports.createPages = async ({ actions }) => {
   const { createPage } = actions;
 
+  await reportAstValidation();
+  await reportBrokenLinks();
+
+  // Index every page for the search results page to query in the browser when Marian can't be reached,
+  // and list every slug so that other versions can tell whether this version has a given page. Both are saved
+  // under the site's locale, where links from other versions of a translated doc set look for them.
+  await saveStaticFiles({
+    [getLocalizedPath(`/${SEARCH_INDEX_FILENAME}`)]: JSON.stringify(buildSearchIndex(getPageAsts())),
+    [getLocalizedPath(`/${SLUG_MANIFEST_FILENAME}`)]: JSON.stringify(buildSlugManifest(getPageAsts())),
+  });
+
+  // Terms defined in the site's glossaries, shown as tooltips where other pages first use them
+  const glossaryIndex = process.env.GLOSSARY_TOOLTIPS === 'true' ? buildGlossaryIndex(getPageAsts()) : {};
+
   let repoBranches = null;
   try {
     const repoInfo = await db.stitchInterface.fetchRepoBranches();
@@ -189,10 +377,11 @@ exports.createPages = async ({ actions }) => {
 
     if (!repoInfo) {
       errMsg = `Repo data for ${siteMetadata.project} could not be found.`;
-    }
-
-    // We should expect the number of branches for a docs repo to be 1 or more.
-    if (!repoInfo.branches?.length) {
+      if (siteMetadata.offlineBuild) {
+        errMsg += ' Offline builds read it from the repos_branches entries of their offline data.';
+      }
+    } else if (!repoInfo.branches?.length) {
+      // We should expect the number of branches for a docs repo to be 1 or more.
       errMsg = `No version information found for ${siteMetadata.project}`;
     }
 
@@ -225,19 +414,19 @@ exports.createPages = async ({ actions }) => {
     throw err;
   }
 
+  // TODO: Gatsby v4 will enable code splitting automatically. Delete duplicate component, add conditional for consistent-nav UnifiedFooter
+  const isFullBuild =
+    siteMetadata.snootyEnv !== 'production' || process.env.PREVIEW_BUILD_ENABLED?.toUpperCase() !== 'TRUE';
+  const mainComponentRelativePath = `./src/components/DocumentBody${isFullBuild ? '' : 'Preview'}.js`;
+
   return new Promise((resolve, reject) => {
     PAGES.forEach((page) => {
       const pageNodes = RESOLVED_REF_DOC_MAPPING[page]?.ast;
       const slug = getPageSlug(page);
 
-      // TODO: Gatsby v4 will enable code splitting automatically. Delete duplicate component, add conditional for consistent-nav UnifiedFooter
-      const isFullBuild =
-        siteMetadata.snootyEnv !== 'production' || process.env.PREVIEW_BUILD_ENABLED?.toUpperCase() !== 'TRUE';
-      const mainComponentRelativePath = `./src/components/DocumentBody${isFullBuild ? '' : 'Preview'}.js`;
-
       if (RESOLVED_REF_DOC_MAPPING[page] && Object.keys(RESOLVED_REF_DOC_MAPPING[page]).length > 0) {
         createPage({
-          path: assertTrailingSlash(slug),
+          path: getLocalizedPath(assertTrailingSlash(slug)),
           component: path.resolve(__dirname, mainComponentRelativePath),
           context: {
             slug,
@@ -245,12 +434,37 @@ exports.createPages = async ({ actions }) => {
             associatedReposInfo,
             isAssociatedProduct,
             template: pageNodes?.options?.template,
-            page: pageNodes,
+            page: addGlossaryTerms(pageNodes, glossaryIndex, slug),
           },
         });
       }
     });
 
+    // Sections of the ToC concatenated into one document, for readers to print or save as a PDF. Each print page
+    // carries the ASTs of its whole section, so only the sections listed in PRINT_SECTIONS get one.
+    const printSectionSlugs = parsePrintSectionSlugs(process.env.PRINT_SECTIONS);
+    if (isFullBuild && printSectionSlugs.length > 0) {
+      const pageAsts = getPageAsts();
+      getPrintSections(snootyMetadata?.toctree, pageAsts, printSectionSlugs).forEach(({ slug, slugs }) => {
+        createPage({
+          path: getLocalizedPath(getPrintPath(slug)),
+          component: path.resolve(__dirname, mainComponentRelativePath),
+          context: {
+            slug,
+            repoBranches,
+            associatedReposInfo,
+            isAssociatedProduct,
+            template: pageAsts[slug].options?.template,
+            page: pageAsts[slug],
+            printPages: slugs.map((pageSlug) => ({
+              slug: pageSlug,
+              page: addGlossaryTerms(pageAsts[pageSlug], glossaryIndex, pageSlug),
+            })),
+          },
+        });
+      });
+    }
+
     resolve();
   });
 };
@@ -303,5 +517,11 @@ exports.createSchemaCustomization = ({ actions }) => {
     type RemoteMetadata implements Node @dontInfer {
       remoteMetadata: JSON
     }
+
+    type Product implements Node {
+      project: String
+      title: String
+      url: String
+    }
   `);
 };
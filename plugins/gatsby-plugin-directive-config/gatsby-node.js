@@ -0,0 +1,11 @@
+exports.pluginOptionsSchema = ({ Joi }) =>
+  Joi.object({
+    path: Joi.string().required().description('Module registering the directives and roles of the docs property'),
+  });
+
+// Bundle the docs property's directive configuration in place of the default one
+exports.onCreateWebpackConfig = ({ actions, plugins }, { path }) => {
+  actions.setWebpackConfig({
+    plugins: [plugins.normalModuleReplacement(/src[\\/]directive-config\.js$/, path)],
+  });
+};
@@ -0,0 +1,82 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import styled from '@emotion/styled';
+import LeafyBanner, { Variant as LeafyVariant } from '@leafygreen-ui/banner';
+import { getBranchSlug } from '../../hooks/use-current-url-slug';
+import { useSiteMetadata } from '../../hooks/use-site-metadata';
+import { useTranslation } from '../../hooks/use-translation';
+import { resolveBranchUrl } from '../../utils/branch-slugs';
+import { getUrl } from '../../utils/url-utils';
+import { getUILabel } from '../VersionDropdown';
+import { baseBannerStyle } from './styles/bannerItemStyle';
+
+const StyledBanner = styled((props) => <LeafyBanner {...props} />)`
+  ${baseBannerStyle}
+`;
+
+// The stable branch is the version readers should be sent to, falling back to the first active branch
+const getSupportedBranch = (branches = []) =>
+  branches.find((b) => b.active && b.isStableBranch) || branches.find((b) => b.active) || null;
+
+// Tells readers of an end-of-life version that it is no longer supported, and where to read the supported version
+const EOLBanner = ({ repoBranches, slug }) => {
+  const siteMetadata = useSiteMetadata();
+  const { parserBranch, project } = siteMetadata;
+  const { t } = useTranslation();
+  const branches = repoBranches?.branches;
+  const siteBasePrefix = repoBranches?.siteBasePrefix;
+  const supportedBranch = getSupportedBranch(branches);
+  const supportedSlug = supportedBranch && getBranchSlug(supportedBranch);
+  // Optional note from repos_branches on what changed since this version
+  const migrationNote = branches?.find((b) => b.gitBranchName === parserBranch)?.migrationNote;
+
+  const [supportedUrl, setSupportedUrl] = useState(
+    supportedSlug && getUrl(supportedSlug, project, siteMetadata, siteBasePrefix, slug)
+  );
+
+  // Link to the closest page the supported version has if it doesn't have this one
+  useEffect(() => {
+    if (!supportedSlug) {
+      return;
+    }
+    let isCurrent = true;
+    resolveBranchUrl(getUrl(supportedSlug, project, siteMetadata, siteBasePrefix, ''), slug).then((url) => {
+      if (isCurrent) {
+        setSupportedUrl(url);
+      }
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, [project, siteBasePrefix, siteMetadata, slug, supportedSlug]);
+
+  return (
+    <StyledBanner variant={LeafyVariant.Warning}>
+      <p>
+        {t('eolBanner.message')}{' '}
+        {supportedBranch && (
+          <a href={supportedUrl}>{t('eolBanner.supportedVersion', { version: getUILabel(supportedBranch) })}</a>
+        )}
+      </p>
+      {migrationNote && <p>{migrationNote}</p>}
+    </StyledBanner>
+  );
+};
+
+EOLBanner.propTypes = {
+  repoBranches: PropTypes.shape({
+    branches: PropTypes.arrayOf(
+      PropTypes.shape({
+        active: PropTypes.bool,
+        gitBranchName: PropTypes.string.isRequired,
+        isStableBranch: PropTypes.bool,
+        migrationNote: PropTypes.string,
+        urlSlug: PropTypes.string,
+      })
+    ),
+    siteBasePrefix: PropTypes.string,
+  }),
+  slug: PropTypes.string.isRequired,
+};
+
+export default EOLBanner;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useContext, useState } from 'react';
 import PropTypes from 'prop-types';
 import { cx, css as LeafyCss } from '@leafygreen-ui/emotion';
 import Icon from '@leafygreen-ui/icon';
@@ -7,6 +7,8 @@ import { css } from '@emotion/react';
 import styled from '@emotion/styled';
 import Input from '../Code/Input';
 import Output from '../Code/Output';
+import { useTranslation } from '../../hooks/use-translation';
+import PrintModeContext from '../Print/print-mode-context';
 import { baseCodeStyle, borderCodeStyle } from './styles/codeStyle';
 
 const outputButtonStyling = LeafyCss`
@@ -16,6 +18,8 @@ const outputButtonStyling = LeafyCss`
 `;
 
 const CodeIO = ({ nodeData: { children }, ...rest }) => {
+  const { isInPrintMode } = useContext(PrintModeContext);
+  const { t } = useTranslation();
   const needsIOToggle = children.length === 2;
   const onlyInputSpecified = children.length === 1;
 
@@ -23,17 +27,19 @@ const CodeIO = ({ nodeData: { children }, ...rest }) => {
   if (needsIOToggle && children[1]?.options?.visible !== undefined) {
     initialOutputVisibility = !!children[1].options.visible;
   }
-  const [showOutput, setShowOutput] = useState(initialOutputVisibility);
-  const buttonText = showOutput ? 'HIDE OUTPUT' : 'VIEW OUTPUT';
+  const [isOutputVisible, setIsOutputVisible] = useState(initialOutputVisibility);
+  // Printed pages always show the output, since it can't be expanded on paper
+  const showOutput = isInPrintMode || isOutputVisible;
+  const buttonText = showOutput ? t('codeIO.hideOutput') : t('codeIO.viewOutput');
   const arrow = showOutput ? 'ChevronUp' : 'ChevronDown';
   const outputBorderRadius = !showOutput ? '12px' : '0px';
   const singleInputBorderRadius = onlyInputSpecified ? '12px' : '0px';
 
   const handleClick = (e) => {
     if (showOutput) {
-      setShowOutput(false);
+      setIsOutputVisible(false);
     } else {
-      setShowOutput(true);
+      setIsOutputVisible(true);
     }
   };
 
@@ -63,18 +69,20 @@ const CodeIO = ({ nodeData: { children }, ...rest }) => {
       {needsIOToggle && (
         <>
           <Input nodeData={children[0]} />
-          <IOToggle>
-            <Button
-              role="button"
-              className={cx(outputButtonStyling)}
-              darkMode={false}
-              disabled={false}
-              onClick={handleClick}
-              leftGlyph={<Icon glyph={arrow} fill="#FF0000" />}
-            >
-              {buttonText}
-            </Button>
-          </IOToggle>
+          {!isInPrintMode && (
+            <IOToggle>
+              <Button
+                role="button"
+                className={cx(outputButtonStyling)}
+                darkMode={false}
+                disabled={false}
+                onClick={handleClick}
+                leftGlyph={<Icon glyph={arrow} fill="#FF0000" />}
+              >
+                {buttonText}
+              </Button>
+            </IOToggle>
+          )}
           {showOutput && <Output nodeData={children[1]} />}
         </>
       )}
@@ -1,5 +1,8 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import { DEPRECATED_ADMONITIONS, IGNORED_NAMES, IGNORED_TYPES, VALID_DOMAINS } from '../utils/component-names';
+import { createDirectiveRegistry } from '../utils/directive-registry';
+import directiveConfig from '../directive-config';
 import Admonition, { admonitionMap } from './Admonition';
 import Banner from './Banner/Banner';
 import BlockQuote from './BlockQuote';
@@ -17,7 +20,7 @@ import CTA from './CTA';
 import CTABanner from './Banner/CTABanner';
 import DefinitionList from './DefinitionList';
 import DefinitionListItem from './DefinitionList/DefinitionListItem';
-import DeprecatedVersionSelector from './DeprecatedVersionSelector';
+import DeprecatedVersionArchive from './DeprecatedVersionArchive';
 import Describe from './Describe';
 import DriversIndexTiles from './DriversIndexTiles';
 import Emphasis from './Emphasis';
@@ -28,6 +31,7 @@ import Figure from './Figure';
 import Footnote from './Footnote';
 import FootnoteReference from './Footnote/FootnoteReference';
 import Glossary from './Glossary';
+import GlossaryTerm from './GlossaryTerm';
 import GuideNext from './GuideNext';
 import Heading from './Heading';
 import HorizontalList from './HorizontalList';
@@ -54,6 +58,7 @@ import RefRole from './RefRole';
 import ReleaseSpecification from './ReleaseSpecification';
 import Root from './Root';
 import Rubric from './Rubric';
+import SpeakerNotes from './Presentation/SpeakerNotes';
 import SearchResults from './SearchResults';
 import Section from './Section';
 import Strong from './Strong';
@@ -83,22 +88,7 @@ import RoleRed from './Roles/Red';
 import RoleRequired from './Roles/Required';
 import Instruqt from './Instruqt';
 
-const IGNORED_NAMES = new Set([
-  'contents',
-  'default-domain',
-  'entry',
-  'ia',
-  'raw',
-  'short-description',
-  'tabs-pillstrip',
-  'tabs-selector',
-  'toctree',
-  'meta',
-]);
-const IGNORED_TYPES = new Set(['comment', 'inline_target', 'named_reference', 'substitution_definition']);
-const DEPRECATED_ADMONITIONS = new Set(['admonition', 'topic', 'caution', 'danger']);
-
-const roleMap = {
+export const roleMap = {
   abbr: RoleAbbr,
   class: RoleClass,
   command: RoleCommand,
@@ -123,7 +113,7 @@ const roleMap = {
   superscript: Superscript,
 };
 
-const componentMap = {
+export const componentMap = {
   admonition: Admonition,
   banner: Banner,
   blockquote: BlockQuote,
@@ -143,7 +133,7 @@ const componentMap = {
   definitionList: DefinitionList,
   definitionListItem: DefinitionListItem,
   deprecated: VersionModified,
-  'deprecated-version-selector': DeprecatedVersionSelector,
+  'deprecated-version-selector': DeprecatedVersionArchive,
   describe: Describe,
   'drivers-index-tiles': DriversIndexTiles, // deprecated.
   emphasis: Emphasis,
@@ -154,6 +144,7 @@ const componentMap = {
   footnote: Footnote,
   footnote_reference: FootnoteReference,
   glossary: Glossary,
+  glossary_term: GlossaryTerm,
   'guide-next': GuideNext,
   heading: Heading,
   hlist: HorizontalList,
@@ -185,6 +176,7 @@ const componentMap = {
   'search-results': SearchResults,
   section: Section,
   sharedinclude: Include,
+  'speaker-notes': SpeakerNotes,
   strong: Strong,
   substitution_reference: SubstitutionReference,
   tabs: Tabs,
@@ -200,23 +192,29 @@ const componentMap = {
   video: Video,
 };
 
+// Directives and roles registered by the docs property's directive configuration
+const registered = createDirectiveRegistry(directiveConfig);
+
 const ComponentFactory = (props) => {
   const { nodeData, slug } = props;
 
   const selectComponent = () => {
     const { domain, name, type } = nodeData;
+    const lookup = type === 'directive' ? name : type;
+    const RegisteredComponent = type === 'role' ? registered.roles[name] : registered.directives[lookup];
 
-    if (IGNORED_TYPES.has(type) || IGNORED_NAMES.has(name)) {
+    if (
+      registered.ignoredNames.has(name) ||
+      (!RegisteredComponent && (IGNORED_TYPES.has(type) || IGNORED_NAMES.has(name)))
+    ) {
       return null;
     }
 
     // Warn on unexpected usage of domains, but don't break
-    const validDomains = ['mongodb', 'std'];
-    if (domain && !validDomains.includes(domain)) {
+    if (domain && !VALID_DOMAINS.includes(domain)) {
       console.warn(`Domain '${domain}' not yet implemented ${name ? `for '${name}'` : ''}`);
     }
 
-    const lookup = type === 'directive' ? name : type;
     let ComponentType = componentMap[lookup];
 
     if (type === 'role') {
@@ -228,6 +226,10 @@ const ComponentFactory = (props) => {
       ComponentType = componentMap.admonition;
     }
 
+    if (RegisteredComponent) {
+      ComponentType = RegisteredComponent;
+    }
+
     if (!ComponentType) {
       console.warn(`${type} ${name ? `"${name}" ` : ''}not yet implemented${slug ? ` on page ${slug}` : ''}`);
       return null;
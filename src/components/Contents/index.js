@@ -1,6 +1,7 @@
 import React, { useContext } from 'react';
 import PropTypes from 'prop-types';
 import styled from '@emotion/styled';
+import { useTranslation } from '../../hooks/use-translation';
 import { theme } from '../../theme/docsTheme';
 import { formatText } from '../../utils/format-text';
 import { ContentsContext } from './contents-context';
@@ -19,12 +20,13 @@ const formatTextOptions = {
 
 const Contents = ({ displayOnDesktopOnly }) => {
   const { activeHeadingId, headingNodes, showContentsComponent } = useContext(ContentsContext);
+  const { t } = useTranslation();
 
   if (headingNodes.length === 0 || !showContentsComponent) {
     return null;
   }
 
-  const label = 'On this page';
+  const label = t('contents.label');
 
   return (
     <StyledContents displayOnDesktopOnly={displayOnDesktopOnly}>
@@ -0,0 +1,103 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import styled from '@emotion/styled';
+import { palette } from '@leafygreen-ui/palette';
+import TextInput from '@leafygreen-ui/text-input';
+import queryString from 'query-string';
+import { useAllProducts } from '../../hooks/useAllProducts';
+import { useTranslation } from '../../hooks/use-translation';
+import { theme } from '../../theme/docsTheme';
+import { filterArchiveEntries, formatReleaseDate, getArchiveEntries } from '../../utils/deprecated-versions';
+import { isBrowser } from '../../utils/is-browser';
+import useSnootyMetadata from '../../utils/use-snooty-metadata';
+
+const SearchInput = styled(TextInput)`
+  margin: ${theme.size.medium} 0;
+  max-width: 336px;
+
+  @media ${theme.screenSize.upToSmall} {
+    max-width: unset;
+  }
+`;
+
+const ProductHeading = styled('h2')`
+  font-size: ${theme.fontSize.h3};
+  margin: ${theme.size.large} 0 ${theme.size.small};
+`;
+
+const VersionList = styled('ul')`
+  list-style: none;
+  margin: 0;
+  padding: 0;
+`;
+
+const VersionItem = styled('li')`
+  border-bottom: 1px solid ${palette.gray.light2};
+  display: flex;
+  gap: ${theme.size.default};
+  justify-content: space-between;
+  margin: 0;
+  padding: ${theme.size.small} 0;
+`;
+
+const ReleaseDate = styled('span')`
+  color: ${palette.gray.dark1};
+  font-size: ${theme.fontSize.small};
+`;
+
+// Lists the documentation of every deprecated version of every product, as recorded in deprecated_versions
+const DeprecatedVersionArchive = () => {
+  const { deprecated_versions: deprecatedVersions } = useSnootyMetadata();
+  const products = useAllProducts();
+  const { locale, t } = useTranslation();
+  const archiveEntries = useMemo(
+    () => getArchiveEntries(deprecatedVersions, products, locale),
+    [deprecatedVersions, locale, products]
+  );
+
+  const [searchText, setSearchText] = useState('');
+
+  // The version dropdown's "Legacy Docs" option passes its project in the 'site' query string
+  useEffect(() => {
+    if (isBrowser) {
+      const { site } = queryString.parse(window.location.search);
+      const siteEntry = archiveEntries.find(({ project }) => project === site);
+      if (siteEntry) {
+        setSearchText(siteEntry.title);
+      }
+    }
+  }, [archiveEntries]);
+
+  const visibleEntries = filterArchiveEntries(archiveEntries, searchText);
+
+  return (
+    <>
+      <SearchInput
+        aria-label={t('deprecatedVersionArchive.search')}
+        placeholder={t('deprecatedVersionArchive.search')}
+        type="search"
+        value={searchText}
+        onChange={(e) => setSearchText(e.target.value)}
+      />
+      {visibleEntries.length === 0 && <p>{t('deprecatedVersionArchive.noResults', { searchText })}</p>}
+      {visibleEntries.map(({ project, title, versions }) => (
+        <section key={project} aria-label={title}>
+          <ProductHeading>{title}</ProductHeading>
+          <VersionList>
+            {versions.map(({ label, name, releaseDate, url }) => (
+              <VersionItem key={name}>
+                <a href={url}>{label}</a>
+                {releaseDate && (
+                  <ReleaseDate>
+                    {t('deprecatedVersionArchive.released', { date: formatReleaseDate(releaseDate, locale) })}
+                  </ReleaseDate>
+                )}
+              </VersionItem>
+            ))}
+          </VersionList>
+        </section>
+      ))}
+    </>
+  );
+};
+
+export default DeprecatedVersionArchive;
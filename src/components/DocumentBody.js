@@ -1,15 +1,28 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
+import { withPrefix } from 'gatsby';
 import { UnifiedFooter } from '@mdb/consistent-nav';
-import { usePresentationMode } from '../hooks/use-presentation-mode';
+import { usePresentationMode, usePrintMode } from '../hooks/use-presentation-mode';
+import { useSearchHighlight } from '../hooks/use-search-highlight';
+import { useTranslation } from '../hooks/use-translation';
+import { SUPPORTED_LOCALES } from '../i18n';
 import { findAllKeyValuePairs } from '../utils/find-all-key-value-pairs';
 import { getNestedValue } from '../utils/get-nested-value';
 import { getPlaintext } from '../utils/get-plaintext';
 import { getTemplate } from '../utils/get-template';
+import { getLocalizedPath } from '../utils/locale';
+import { getHighlightPattern } from '../utils/search-highlight';
 import useSnootyMetadata from '../utils/use-snooty-metadata';
 import Widgets from './Widgets';
 import SEO from './SEO';
+import EOLBanner from './Banner/EOLBanner';
 import FootnoteContext from './Footnote/footnote-context';
+import Presentation from './Presentation';
+import PrintModeContext from './Print/print-mode-context';
+import PrintSections from './Print/PrintSections';
+import PrintToolbar from './Print/PrintToolbar';
+import SearchHighlight from './SearchHighlight';
+import SearchHighlightContext from './SearchHighlight/search-highlight-context';
 import ComponentFactory from './ComponentFactory';
 import Meta from './Meta';
 import Twitter from './Twitter';
@@ -36,6 +49,7 @@ const normalizeCssClassNodes = (nodes, key, value) => {
 
 // Identify the footnotes on a page and all footnote_reference nodes that refer to them.
 // Returns a map wherein each key is the footnote name, and each value is an object containing:
+// - children: the content of the footnote
 // - labels: the numerical label for the footnote
 // - references: a list of the footnote reference ids that refer to this footnote
 const getFootnotes = (nodes) => {
@@ -51,6 +65,7 @@ const getFootnotes = (nodes) => {
       // Find references associated with a named footnote
       // eslint-disable-next-line no-param-reassign
       map[footnote.name] = {
+        children: footnote.children,
         label: index + 1,
         references: getNamedFootnoteReferences(footnoteReferences, footnote.name),
       };
@@ -60,6 +75,7 @@ const getFootnotes = (nodes) => {
       footnote.id = `${index + 1}`;
       // eslint-disable-next-line no-param-reassign
       map[footnote.id] = {
+        children: footnote.children,
         label: index + 1,
         references: getAnonymousFootnoteReferences(index, numAnonRefs),
       };
@@ -83,21 +99,27 @@ const getAnonymousFootnoteReferences = (index, numAnonRefs) => {
   return index > numAnonRefs ? [] : [`id${index + 1}`];
 };
 
+const getPageContent = (page) => {
+  const pageNodes = getNestedValue(['children'], page) || [];
+  // Standardize cssclass nodes that appear on the page
+  normalizeCssClassNodes(pageNodes, 'name', 'cssclass');
+  const footnotes = getFootnotes(pageNodes);
+
+  return { pageNodes, footnotes };
+};
+
 const DocumentBody = (props) => {
   const {
     location,
-    pageContext: { page, slug, template },
+    pageContext: { page, printPages, repoBranches, slug, template },
   } = props;
-  const initialization = () => {
-    const pageNodes = getNestedValue(['children'], page) || [];
-    // Standardize cssclass nodes that appear on the page
-    normalizeCssClassNodes(pageNodes, 'name', 'cssclass');
-    const footnotes = getFootnotes(pageNodes);
-
-    return { pageNodes, footnotes };
-  };
+  const initialization = () => ({
+    ...getPageContent(page),
+    // Pages of a ToC section printed as one document
+    printSections: printPages?.map((printPage) => ({ ...printPage, ...getPageContent(printPage.page) })),
+  });
 
-  const [{ pageNodes, footnotes }] = useState(initialization);
+  const [{ pageNodes, footnotes, printSections }] = useState(initialization);
 
   const metadata = useSnootyMetadata();
 
@@ -107,6 +129,17 @@ const DocumentBody = (props) => {
   const { Template } = getTemplate(template);
 
   const isInPresentationMode = usePresentationMode()?.toLocaleLowerCase() === 'true';
+  const isInPrintMode = usePrintMode()?.toLocaleLowerCase() === 'true' || !!printSections;
+
+  // Translated doc sets are separate builds, so switching locale loads the same page from the other doc set
+  const { locale } = useTranslation();
+  const onSelectLocale = (selectedLocale) => {
+    window.location.href = withPrefix(getLocalizedPath(`/${slug}/`.replace(/\/+/g, '/'), selectedLocale));
+  };
+
+  // Highlight the search term of a page opened from search results
+  const [highlightTerm, clearHighlight] = useSearchHighlight();
+  const highlightPattern = useMemo(() => getHighlightPattern(highlightTerm), [highlightTerm]);
 
   return (
     <>
@@ -116,19 +149,32 @@ const DocumentBody = (props) => {
         pageTitle={pageTitle}
         publishedBranches={getNestedValue(['publishedBranches'], metadata)}
         slug={slug}
-        isInPresentationMode={isInPresentationMode}
+        isInPresentationMode={isInPresentationMode || isInPrintMode}
       >
-        <FootnoteContext.Provider value={{ footnotes }}>
-          <Template {...props}>
-            {pageNodes.map((child, index) => (
-              <ComponentFactory key={index} metadata={metadata} nodeData={child} page={page} slug={slug} />
-            ))}
-          </Template>
-        </FootnoteContext.Provider>
+        <PrintModeContext.Provider value={{ isInPrintMode }}>
+          <FootnoteContext.Provider value={{ footnotes }}>
+            <Template {...props}>
+              {isInPrintMode && <PrintToolbar />}
+              {metadata.eol && !isInPresentationMode && <EOLBanner repoBranches={repoBranches} slug={slug} />}
+              <SearchHighlightContext.Provider value={{ highlightPattern }}>
+                {printSections ? (
+                  <PrintSections metadata={metadata} sections={printSections} />
+                ) : isInPresentationMode && !isInPrintMode ? (
+                  <Presentation metadata={metadata} page={page} pageNodes={pageNodes} slug={slug} />
+                ) : (
+                  pageNodes.map((child, index) => (
+                    <ComponentFactory key={index} metadata={metadata} nodeData={child} page={page} slug={slug} />
+                  ))
+                )}
+              </SearchHighlightContext.Provider>
+            </Template>
+          </FootnoteContext.Provider>
+        </PrintModeContext.Provider>
       </Widgets>
-      {!isInPresentationMode && (
+      {highlightTerm && <SearchHighlight highlightTerm={highlightTerm} onDismiss={clearHighlight} />}
+      {!isInPresentationMode && !isInPrintMode && (
         <div data-testid="consistent-footer">
-          <UnifiedFooter hideLocale={true} />
+          <UnifiedFooter hideLocale={SUPPORTED_LOCALES.length < 2} locale={locale} onSelectLocale={onSelectLocale} />
         </div>
       )}
     </>
@@ -141,6 +187,13 @@ DocumentBody.propTypes = {
     page: PropTypes.shape({
       children: PropTypes.array,
     }).isRequired,
+    printPages: PropTypes.arrayOf(
+      PropTypes.shape({
+        page: PropTypes.object.isRequired,
+        slug: PropTypes.string.isRequired,
+      })
+    ),
+    repoBranches: PropTypes.object,
     slug: PropTypes.string.isRequired,
   }),
 };
@@ -1,14 +1,17 @@
 import React, { useContext } from 'react';
 import PropTypes from 'prop-types';
 import { getNestedValue } from '../../utils/get-nested-value';
+import ComponentFactory from '../ComponentFactory';
+import PrintModeContext from '../Print/print-mode-context';
 import FootnoteContext from './footnote-context';
 
 /**
  * Component used to show a clickable reference to footnote on page
  * scrolls to referenced element by id property
  */
-const FootnoteReference = ({ nodeData: { id, refname } }) => {
+const FootnoteReference = ({ nodeData: { id, refname }, ...rest }) => {
   const { footnotes } = useContext(FootnoteContext);
+  const { isInPrintMode } = useContext(PrintModeContext);
 
   // the nodeData originates from docutils, and may be incorrect for
   // anonymous footnoteReferences originating from included files -- docutils
@@ -16,6 +19,21 @@ const FootnoteReference = ({ nodeData: { id, refname } }) => {
 
   const ref = refname || id.replace('id', '');
   const uid = refname ? `${refname}-${id}` : id;
+
+  // Printed pages show the footnote where it is referenced, since readers can't follow the link
+  const footnoteContent = getNestedValue([ref, 'children'], footnotes);
+  if (isInPrintMode && footnoteContent) {
+    return (
+      <span className="footnote-inline">
+        {' ('}
+        {footnoteContent.map((child, index) => (
+          <ComponentFactory {...rest} nodeData={child} key={index} parentNode="footnote" />
+        ))}
+        {')'}
+      </span>
+    );
+  }
+
   return (
     <a className="footnote-reference header-buffer" href={`#footnote-${ref}`} id={`ref-${uid}`}>
       [{getNestedValue([ref, 'label'], footnotes) || ref}]
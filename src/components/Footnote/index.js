@@ -4,6 +4,7 @@ import { css } from '@emotion/react';
 import ComponentFactory from '../ComponentFactory';
 import { getNestedValue } from '../../utils/get-nested-value';
 import { intersperse } from '../../utils/intersperse';
+import PrintModeContext from '../Print/print-mode-context';
 import FootnoteContext from './footnote-context';
 
 const tableStyling = css`
@@ -29,6 +30,7 @@ const tdStyling = css`
 
 const Footnote = ({ nodeData: { children, id, name }, ...rest }) => {
   const { footnotes } = useContext(FootnoteContext);
+  const { isInPrintMode } = useContext(PrintModeContext);
   const ref = name || id.replace('id', '');
   const label = getNestedValue([ref, 'label'], footnotes);
   const uid = name ? `${name}-` : '';
@@ -38,6 +40,12 @@ const Footnote = ({ nodeData: { children, id, name }, ...rest }) => {
       {index + 1}
     </a>
   ));
+
+  // Referenced footnotes are printed inline where they are referenced
+  if (isInPrintMode && footnoteReferences.length > 0) {
+    return null;
+  }
+
   return (
     <table className="header-buffer" css={tableStyling} frame="void" id={`footnote-${ref}`} rules="none">
       <colgroup>
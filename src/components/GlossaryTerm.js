@@ -0,0 +1,38 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import styled from '@emotion/styled';
+import InlineDefinition from '@leafygreen-ui/inline-definition';
+import ComponentFactory from './ComponentFactory';
+import Link from './Link';
+
+const TermLink = styled(Link)`
+  color: inherit;
+  font-weight: inherit;
+  line-height: inherit;
+
+  &::after {
+    display: none;
+  }
+`;
+
+// The first use of a glossary term on a page, with a tooltip holding its definition and a link to its glossary entry
+const GlossaryTerm = ({ nodeData: { children, definition, id, slug }, ...rest }) => (
+  <InlineDefinition definition={definition}>
+    <TermLink to={id ? `${slug}#${id}` : slug}>
+      {children.map((child, index) => (
+        <ComponentFactory {...rest} key={index} nodeData={child} />
+      ))}
+    </TermLink>
+  </InlineDefinition>
+);
+
+GlossaryTerm.propTypes = {
+  nodeData: PropTypes.shape({
+    children: PropTypes.arrayOf(PropTypes.object).isRequired,
+    definition: PropTypes.string.isRequired,
+    id: PropTypes.string,
+    slug: PropTypes.string.isRequired,
+  }).isRequired,
+};
+
+export default GlossaryTerm;
@@ -1,11 +1,13 @@
-import React from 'react';
+import React, { useContext } from 'react';
 import PropTypes from 'prop-types';
 import styled from '@emotion/styled';
 import { UnifiedNav } from '@mdb/consistent-nav';
 import { SidenavMobileMenuDropdown } from '../Sidenav';
 import SiteBanner from '../Banner/SiteBanner';
+import { VersionContext } from '../../context/version-context';
 import { useSiteMetadata } from '../../hooks/use-site-metadata';
 import { isBrowser } from '../../utils/is-browser';
+import { getVersionSearchProperties } from '../../utils/parse-marian-manifests';
 import useSnootyMetadata from '../../utils/use-snooty-metadata';
 import { useMarianManifests } from '../../hooks/use-marian-manifests';
 
@@ -18,7 +20,8 @@ const StyledHeaderContainer = styled.header`
 
 const Header = ({ sidenav, eol }) => {
   const { project } = useSiteMetadata();
-  const { branch } = useSnootyMetadata();
+  const { associated_products: associatedProducts, branch } = useSnootyMetadata();
+  const { activeVersions } = useContext(VersionContext);
   const { searchPropertyMapping } = useMarianManifests();
 
   let searchProperty;
@@ -32,23 +35,15 @@ const Header = ({ sidenav, eol }) => {
 
   const searchParams = [];
 
-  let searchManifestName = project;
+  // Search the versions being read, which the reader may have switched for this product or its associated products
+  const readVersions = { [project]: activeVersions[project] || branch };
+  (associatedProducts || []).forEach(({ name }) => {
+    readVersions[name] = activeVersions[name];
+  });
 
-  /**
-   * The searchPropertyMapping object will contain a new property
-   * called "projectToSearchMap". This map contains a mapping from
-   * the project name to the true search manifest name in cases where the
-   * project name is NOT the search manifest name.
-   */
-  if (searchPropertyMapping.projectToSearchMap && project in searchPropertyMapping.projectToSearchMap) {
-    searchManifestName = searchPropertyMapping.projectToSearchMap[project];
-  }
-
-  const projectManifest = `${searchManifestName}-${branch}`;
-
-  if (projectManifest in searchPropertyMapping) {
-    searchParams.push({ param: 'searchProperty', value: projectManifest });
-  }
+  getVersionSearchProperties(readVersions, searchPropertyMapping).forEach((searchProperty) => {
+    searchParams.push({ param: 'searchProperty', value: searchProperty });
+  });
 
   return (
     <StyledHeaderContainer>
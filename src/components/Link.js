@@ -7,6 +7,7 @@ import { palette } from '@leafygreen-ui/palette';
 import ArrowRightIcon from '@leafygreen-ui/icon/dist/ArrowRight';
 import { isRelativeUrl } from '../utils/is-relative-url';
 import { joinClassNames } from '../utils/join-class-names';
+import { getLocalizedPath } from '../utils/locale';
 
 /*
  * Note: This component is not suitable for internal page navigation:
@@ -77,6 +78,9 @@ const Link = ({
     // Ensure trailing slash
     to = to.replace(/\/?(\?|#|$)/, '/$1');
 
+    // Pages of translated doc sets are prefixed with their locale
+    to = getLocalizedPath(to);
+
     const decoration = showLinkArrow ? <ArrowRightIcon role="presentation" size={12} /> : '';
 
     return (
@@ -1,9 +1,25 @@
-import React from 'react';
+import React, { useCallback, useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 import { Table, Row, Cell, TableHeader, HeaderRow } from '@leafygreen-ui/table';
+import Button from '@leafygreen-ui/button';
+import Icon from '@leafygreen-ui/icon';
+import IconButton from '@leafygreen-ui/icon-button';
 import { palette } from '@leafygreen-ui/palette';
+import TextInput from '@leafygreen-ui/text-input';
 import { css, cx } from '@leafygreen-ui/emotion';
 import { theme } from '../theme/docsTheme';
+import { useTranslation } from '../hooks/use-translation';
+import { downloadFile } from '../utils/download-file';
+import { getPlaintext } from '../utils/get-plaintext';
+import { isFlagOptionSet } from '../utils/is-flag-option-set';
+import {
+  compareCellText,
+  getExportFilename,
+  getRowText,
+  rowMatchesFilter,
+  toCsv,
+  toMarkdown,
+} from '../utils/list-table';
 import ComponentFactory from './ComponentFactory';
 
 const align = (key) => {
@@ -36,6 +52,50 @@ const unstyleThead = css`
   }
 `;
 
+const toolbarStyle = css`
+  align-items: flex-end;
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${theme.size.small};
+  justify-content: space-between;
+  margin-top: ${theme.size.medium};
+
+  & + div {
+    margin-top: ${theme.size.small};
+  }
+`;
+
+const filterInputStyle = css`
+  max-width: 300px;
+  width: 100%;
+`;
+
+const exportButtonsStyle = css`
+  display: flex;
+  gap: ${theme.size.small};
+`;
+
+const headerLabelStyle = css`
+  align-items: center;
+  display: flex;
+  gap: ${theme.size.tiny};
+`;
+
+const emptyFilterStyle = css`
+  color: ${palette.gray.dark1};
+  font-size: ${theme.fontSize.small};
+`;
+
+const SORT_GLYPHS = { asc: 'SortAscending', desc: 'SortDescending' };
+
+// Sorting a column cycles through ascending, descending and the table's own order
+const nextSortDirection = (direction) => {
+  if (direction === 'asc') {
+    return 'desc';
+  }
+  return direction === 'desc' ? null : 'asc';
+};
+
 const hasOneChild = (children) => children.length === 1 && children[0].type === 'paragraph';
 
 /**
@@ -125,11 +185,56 @@ ListTableRow.propTypes = {
   stubColumnCount: PropTypes.number.isRequired,
 };
 
-const ListTable = ({ nodeData: { children, options }, ...rest }) => {
+const ListTable = ({ nodeData: { argument, children, options }, ...rest }) => {
   const headerRowCount = parseInt(options?.['header-rows'], 10) || 0;
   const stubColumnCount = parseInt(options?.['stub-columns'], 10) || 0;
-  const bodyRows = children[0].children.slice(headerRowCount);
+  const bodyRows = useMemo(() => children[0].children.slice(headerRowCount), [children, headerRowCount]);
   const columnCount = bodyRows[0].children[0].children.length;
+  // Sorting needs a header row to put the column controls in
+  const isSortable = isFlagOptionSet(options, 'sortable') && headerRowCount > 0;
+  const isFilterable = isFlagOptionSet(options, 'filterable');
+  const isExportable = isFlagOptionSet(options, 'exportable');
+
+  const [sort, setSort] = useState({ column: null, direction: null });
+  const [filterText, setFilterText] = useState('');
+  const { t } = useTranslation();
+
+  const headerText = useMemo(
+    () => (headerRowCount > 0 ? getRowText(children[0].children[0].children[0]?.children) : null),
+    [children, headerRowCount]
+  );
+  const rowsText = useMemo(() => bodyRows.map((row) => getRowText(row.children[0]?.children)), [bodyRows]);
+
+  // Indexes of the body rows to show, in the order to show them
+  const shownRowIndexes = useMemo(() => {
+    const indexes = bodyRows.map((_, index) => index).filter((index) => rowMatchesFilter(rowsText[index], filterText));
+    if (sort.column !== null && sort.direction) {
+      const order = sort.direction === 'asc' ? 1 : -1;
+      indexes.sort((a, b) => order * compareCellText(rowsText[a][sort.column] || '', rowsText[b][sort.column] || ''));
+    }
+    return indexes;
+  }, [bodyRows, filterText, rowsText, sort]);
+
+  const toggleSort = useCallback((column) => {
+    setSort((current) => {
+      const direction = nextSortDirection(current.column === column ? current.direction : null);
+      return { column: direction ? column : null, direction };
+    });
+  }, []);
+
+  const exportTable = useCallback(
+    (format) => {
+      // Export the rows as they are shown, after filtering and sorting
+      const shownRowsText = shownRowIndexes.map((index) => rowsText[index]);
+      const title = getPlaintext(argument);
+      if (format === 'csv') {
+        downloadFile(getExportFilename(title, 'csv'), toCsv(headerText, shownRowsText), 'text/csv');
+      } else {
+        downloadFile(getExportFilename(title, 'md'), toMarkdown(headerText, shownRowsText), 'text/markdown');
+      }
+    },
+    [argument, headerText, rowsText, shownRowIndexes]
+  );
 
   // If :header-rows: 0 is specified or :header-rows: is omitted, spoof empty <thead> content to avoid LeafyGreen component crashing
   const headerRows =
@@ -155,6 +260,31 @@ const ListTable = ({ nodeData: { children, options }, ...rest }) => {
       {elmIdsForScroll.map((id) => (
         <div className="header-buffer" key={id} id={id} />
       ))}
+      {(isFilterable || isExportable) && (
+        <div className={toolbarStyle}>
+          {isFilterable && (
+            <TextInput
+              className={filterInputStyle}
+              aria-label={t('listTable.filterLabel')}
+              placeholder={t('listTable.filterPlaceholder')}
+              sizeVariant="small"
+              type="search"
+              value={filterText}
+              onChange={(e) => setFilterText(e.target.value)}
+            />
+          )}
+          {isExportable && (
+            <div className={exportButtonsStyle}>
+              <Button size="xsmall" leftGlyph={<Icon glyph="Download" />} onClick={() => exportTable('csv')}>
+                CSV
+              </Button>
+              <Button size="xsmall" leftGlyph={<Icon glyph="Download" />} onClick={() => exportTable('markdown')}>
+                Markdown
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
       <Table
         className={cx(
           styleTable({
@@ -166,6 +296,9 @@ const ListTable = ({ nodeData: { children, options }, ...rest }) => {
           <HeaderRow key={rowIndex} className={cx(headerRowCount === 0 ? unstyleThead : null)}>
             {row.children.map((cell, colIndex) => {
               const skipPTag = hasOneChild(cell.children);
+              const label = cell.children.map((child, i) => (
+                <ComponentFactory {...rest} key={i} nodeData={child} skipPTag={skipPTag} />
+              ));
               return (
                 <TableHeader
                   className={cx(css`
@@ -176,26 +309,42 @@ const ListTable = ({ nodeData: { children, options }, ...rest }) => {
                     ${widths && `width: ${widths[colIndex]}%`}
                   `)}
                   key={`${rowIndex}-${colIndex}`}
-                  label={cell.children.map((child, i) => (
-                    <ComponentFactory {...rest} key={i} nodeData={child} skipPTag={skipPTag} />
-                  ))}
+                  label={
+                    isSortable && rowIndex === 0 ? (
+                      <span className={cx(headerLabelStyle)}>
+                        {label}
+                        <IconButton
+                          aria-label={t('listTable.sortBy', {
+                            column: headerText[colIndex] || t('listTable.column', { number: colIndex + 1 }),
+                          })}
+                          onClick={() => toggleSort(colIndex)}
+                        >
+                          <Icon glyph={(sort.column === colIndex && SORT_GLYPHS[sort.direction]) || 'Unsorted'} />
+                        </IconButton>
+                      </span>
+                    ) : (
+                      label
+                    )
+                  }
                 />
               );
             })}
           </HeaderRow>
         ))}
-        data={bodyRows}
+        data={shownRowIndexes.map((index) => bodyRows[index])}
       >
         {({ datum }) => (
           <ListTableRow {...rest} stubColumnCount={stubColumnCount} row={datum?.children?.[0]?.children} />
         )}
       </Table>
+      {isFilterable && !shownRowIndexes.length && <p className={emptyFilterStyle}>{t('listTable.noMatches')}</p>}
     </>
   );
 };
 
 ListTable.propTypes = {
   nodeData: PropTypes.shape({
+    argument: PropTypes.arrayOf(PropTypes.object),
     children: PropTypes.arrayOf(PropTypes.object).isRequired,
     options: PropTypes.shape({
       align: PropTypes.string,
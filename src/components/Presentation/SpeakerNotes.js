@@ -0,0 +1,12 @@
+import PropTypes from 'prop-types';
+
+// Speaker notes are only shown in the notes panel of presentation mode, never in the page itself
+const SpeakerNotes = () => null;
+
+SpeakerNotes.propTypes = {
+  nodeData: PropTypes.shape({
+    children: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }).isRequired,
+};
+
+export default SpeakerNotes;
@@ -0,0 +1,170 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import styled from '@emotion/styled';
+import Button from '@leafygreen-ui/button';
+import Icon from '@leafygreen-ui/icon';
+import IconButton from '@leafygreen-ui/icon-button';
+import { palette } from '@leafygreen-ui/palette';
+import { useTranslation } from '../../hooks/use-translation';
+import { theme } from '../../theme/docsTheme';
+import { getSlideHash, getSlideIndexFromHash, getSlides } from '../../utils/get-slides';
+import ComponentFactory from '../ComponentFactory';
+
+const Slide = styled('div')`
+  min-height: 60vh;
+  padding-bottom: ${theme.size.xlarge};
+`;
+
+const Controls = styled('div')`
+  align-items: center;
+  background-color: ${palette.white};
+  border-top: 1px solid ${palette.gray.light2};
+  bottom: 0;
+  display: flex;
+  gap: ${theme.size.small};
+  justify-content: center;
+  padding: ${theme.size.small} 0;
+  position: sticky;
+  z-index: 1;
+`;
+
+const Counter = styled('span')`
+  color: ${palette.gray.dark1};
+  font-size: ${theme.fontSize.small};
+  min-width: 60px;
+  text-align: center;
+`;
+
+const NotesPanel = styled('aside')`
+  background-color: ${palette.gray.light3};
+  border-left: 4px solid ${palette.blue.base};
+  margin-top: ${theme.size.default};
+  padding: ${theme.size.default};
+`;
+
+const isEditableElement = ({ isContentEditable, tagName }) =>
+  isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(tagName);
+
+// Shows one section of the page at a time, navigated with the arrow keys or the controls below the slide
+const Presentation = ({ pageNodes, ...rest }) => {
+  const slides = useMemo(() => getSlides(pageNodes), [pageNodes]);
+  const [slideIndex, setSlideIndex] = useState(0);
+  const [showNotes, setShowNotes] = useState(false);
+  const { t } = useTranslation();
+  const hasNotes = slides.some(({ notes }) => notes.length > 0);
+
+  const goToSlide = useCallback(
+    (index) => {
+      const nextIndex = Math.min(Math.max(index, 0), slides.length - 1);
+      setSlideIndex(nextIndex);
+      window.history.replaceState(window.history.state, '', getSlideHash(nextIndex));
+    },
+    [slides.length]
+  );
+
+  // Open the slide linked to by the URL, including when the reader follows a link to another slide
+  useEffect(() => {
+    const openLinkedSlide = () => {
+      const index = getSlideIndexFromHash(window.location.hash, slides.length);
+      if (index !== null) {
+        setSlideIndex(index);
+      }
+    };
+    openLinkedSlide();
+    window.addEventListener('hashchange', openLinkedSlide);
+    return () => window.removeEventListener('hashchange', openLinkedSlide);
+  }, [slides.length]);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey || isEditableElement(e.target)) {
+        return;
+      }
+      switch (e.key) {
+        case 'ArrowRight':
+        case 'PageDown':
+          e.preventDefault();
+          goToSlide(slideIndex + 1);
+          break;
+        case 'ArrowLeft':
+        case 'PageUp':
+          e.preventDefault();
+          goToSlide(slideIndex - 1);
+          break;
+        case 'Home':
+          e.preventDefault();
+          goToSlide(0);
+          break;
+        case 'End':
+          e.preventDefault();
+          goToSlide(slides.length - 1);
+          break;
+        case 'n':
+          setShowNotes((prev) => !prev);
+          break;
+        default:
+          break;
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [goToSlide, slideIndex, slides.length]);
+
+  const slide = slides[slideIndex];
+  if (!slide) {
+    return null;
+  }
+
+  return (
+    <>
+      <Slide
+        aria-label={t('presentation.slide', { number: slideIndex + 1 })}
+        aria-roledescription={t('presentation.slideRole')}
+        id={getSlideHash(slideIndex).slice(1)}
+      >
+        {slide.nodes.map((child, index) => (
+          <ComponentFactory {...rest} key={index} nodeData={child} sectionDepth={slide.sectionDepth} />
+        ))}
+        {showNotes && (
+          <NotesPanel aria-label={t('presentation.speakerNotes')}>
+            {slide.notes.length > 0
+              ? slide.notes.map((note, i) =>
+                  note.children.map((child, index) => (
+                    <ComponentFactory {...rest} key={`${i}-${index}`} nodeData={child} />
+                  ))
+                )
+              : t('presentation.noSpeakerNotes')}
+          </NotesPanel>
+        )}
+      </Slide>
+      <Controls>
+        <IconButton
+          aria-label={t('presentation.previousSlide')}
+          disabled={slideIndex === 0}
+          onClick={() => goToSlide(slideIndex - 1)}
+        >
+          <Icon glyph="ChevronLeft" />
+        </IconButton>
+        <Counter>{`${slideIndex + 1} / ${slides.length}`}</Counter>
+        <IconButton
+          aria-label={t('presentation.nextSlide')}
+          disabled={slideIndex === slides.length - 1}
+          onClick={() => goToSlide(slideIndex + 1)}
+        >
+          <Icon glyph="ChevronRight" />
+        </IconButton>
+        {hasNotes && (
+          <Button size="xsmall" onClick={() => setShowNotes((prev) => !prev)}>
+            {t(showNotes ? 'presentation.hideSpeakerNotes' : 'presentation.showSpeakerNotes')}
+          </Button>
+        )}
+      </Controls>
+    </>
+  );
+};
+
+Presentation.propTypes = {
+  pageNodes: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
+export default Presentation;
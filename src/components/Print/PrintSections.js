@@ -0,0 +1,64 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import styled from '@emotion/styled';
+import { theme } from '../../theme/docsTheme';
+import { useTranslation } from '../../hooks/use-translation';
+import { getPlaintext } from '../../utils/get-plaintext';
+import ComponentFactory from '../ComponentFactory';
+import FootnoteContext from '../Footnote/footnote-context';
+
+const Contents = styled('nav')`
+  margin-bottom: ${theme.size.xlarge};
+`;
+
+const Section = styled('section')`
+  :not(:first-of-type) {
+    break-before: page;
+  }
+`;
+
+const getPrintSectionId = (slug) => `print-${slug === '/' ? 'index' : slug.replace(/^\/+|\/+$/g, '')}`;
+
+// Renders the pages of a ToC section one after another, preceded by a table of contents linking to each page
+const PrintSections = ({ metadata, sections }) => {
+  const { t } = useTranslation();
+  const getTitle = (slug) => getPlaintext(metadata?.slugToTitle?.[slug === '/' ? 'index' : slug]) || slug;
+
+  return (
+    <>
+      <Contents aria-label={t('print.tableOfContents')}>
+        <h2>{t('print.contents')}</h2>
+        <ol>
+          {sections.map(({ slug }) => (
+            <li key={slug}>
+              <a href={`#${getPrintSectionId(slug)}`}>{getTitle(slug)}</a>
+            </li>
+          ))}
+        </ol>
+      </Contents>
+      {sections.map(({ footnotes, page, pageNodes, slug }) => (
+        <Section id={getPrintSectionId(slug)} key={slug}>
+          <FootnoteContext.Provider value={{ footnotes }}>
+            {pageNodes.map((child, index) => (
+              <ComponentFactory key={index} metadata={metadata} nodeData={child} page={page} slug={slug} />
+            ))}
+          </FootnoteContext.Provider>
+        </Section>
+      ))}
+    </>
+  );
+};
+
+PrintSections.propTypes = {
+  metadata: PropTypes.object,
+  sections: PropTypes.arrayOf(
+    PropTypes.shape({
+      footnotes: PropTypes.object.isRequired,
+      page: PropTypes.object.isRequired,
+      pageNodes: PropTypes.arrayOf(PropTypes.object).isRequired,
+      slug: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+};
+
+export default PrintSections;
@@ -0,0 +1,31 @@
+import React from 'react';
+import styled from '@emotion/styled';
+import Button from '@leafygreen-ui/button';
+import Icon from '@leafygreen-ui/icon';
+import { useTranslation } from '../../hooks/use-translation';
+import { theme } from '../../theme/docsTheme';
+
+const Toolbar = styled('div')`
+  display: flex;
+  justify-content: flex-end;
+  margin: ${theme.size.default} 0;
+
+  @media print {
+    display: none;
+  }
+`;
+
+// Opens the browser's print dialog, from which readers can also save the page as a PDF
+const PrintToolbar = () => {
+  const { t } = useTranslation();
+
+  return (
+    <Toolbar>
+      <Button leftGlyph={<Icon glyph="Download" />} onClick={() => window.print()}>
+        {t('print.saveAsPdf')}
+      </Button>
+    </Toolbar>
+  );
+};
+
+export default PrintToolbar;
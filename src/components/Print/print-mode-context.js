@@ -0,0 +1,8 @@
+import { createContext } from 'react';
+
+// Whether the page is rendered for printing, in which case collapsed and tabbed content is expanded
+const PrintModeContext = createContext({
+  isInPrintMode: false,
+});
+
+export default PrintModeContext;
@@ -0,0 +1,72 @@
+import React, { useContext } from 'react';
+import PropTypes from 'prop-types';
+import styled from '@emotion/styled';
+import Button from '@leafygreen-ui/button';
+import Icon from '@leafygreen-ui/icon';
+import { palette } from '@leafygreen-ui/palette';
+import { theme } from '../../theme/docsTheme';
+import { useTranslation } from '../../hooks/use-translation';
+import { ProcedureProgressContext } from './procedure-progress-context';
+
+const Container = styled('div')`
+  align-items: center;
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${theme.size.small} ${theme.size.default};
+  margin-bottom: ${theme.size.default};
+`;
+
+const Track = styled('div')`
+  background-color: ${palette.gray.light2};
+  border-radius: ${theme.size.tiny};
+  flex: 1;
+  height: ${theme.size.small};
+  max-width: 300px;
+  min-width: 120px;
+  overflow: hidden;
+`;
+
+const Bar = styled('div')`
+  background-color: ${palette.green.base};
+  height: 100%;
+  transition: width 0.2s ease-in-out;
+`;
+
+const Label = styled('span')`
+  color: ${palette.gray.dark1};
+  font-size: ${theme.fontSize.small};
+`;
+
+// Shows how many steps of a checkable procedure the reader has completed
+const ProcedureProgress = ({ stepCount }) => {
+  const { completedSteps, resetProgress } = useContext(ProcedureProgressContext);
+  const { t } = useTranslation();
+  const completedCount = completedSteps.filter((step) => step <= stepCount).length;
+  const percentage = stepCount ? Math.round((completedCount / stepCount) * 100) : 0;
+
+  return (
+    <Container>
+      <Track
+        aria-label={t('procedureProgress.label')}
+        aria-valuemax={stepCount}
+        aria-valuemin={0}
+        aria-valuenow={completedCount}
+        role="progressbar"
+      >
+        <Bar style={{ width: `${percentage}%` }} />
+      </Track>
+      <Label>{t('procedureProgress.complete', { completed: completedCount, total: stepCount })}</Label>
+      {completedCount > 0 && (
+        <Button size="xsmall" leftGlyph={<Icon glyph="Refresh" />} onClick={resetProgress}>
+          {t('procedureProgress.reset')}
+        </Button>
+      )}
+    </Container>
+  );
+};
+
+ProcedureProgress.propTypes = {
+  stepCount: PropTypes.number.isRequired,
+};
+
+export default ProcedureProgress;
@@ -1,10 +1,14 @@
-import React from 'react';
+import React, { useContext } from 'react';
 import PropTypes from 'prop-types';
 import { css } from '@emotion/react';
 import styled from '@emotion/styled';
+import Checkbox from '@leafygreen-ui/checkbox';
+import Icon from '@leafygreen-ui/icon';
 import { palette } from '@leafygreen-ui/palette';
 import { theme } from '../../theme/docsTheme';
+import { useTranslation } from '../../hooks/use-translation';
 import ComponentFactory from '../ComponentFactory';
+import { ProcedureProgressContext } from './procedure-progress-context';
 
 const Circle = styled('div')`
   align-items: center;
@@ -24,6 +28,29 @@ const StepBlock = styled('div')`
 
 const Content = 'div';
 
+const StepLink = styled('a')`
+  color: inherit;
+  text-decoration: none;
+`;
+
+const StepActions = styled('div')`
+  margin-bottom: ${theme.size.small};
+`;
+
+const checkableStepStyles = css`
+  scroll-margin-top: ${theme.header.navbarScrollOffset};
+
+  :target {
+    background-color: ${palette.yellow.light3};
+    border-radius: ${theme.size.tiny};
+  }
+`;
+
+const completedCircleStyles = css`
+  background-color: ${palette.green.dark1};
+  color: ${palette.white};
+`;
+
 const circleStyles = {
   connected: css`
     background-color: ${palette.green.light3};
@@ -83,16 +110,46 @@ const contentStyles = {
   `,
 };
 
+// Returns the id used to link directly to a step of a checkable procedure, unique among the page's procedures
+const getStepId = (procedureKey, stepNumber) => `${procedureKey}-step-${stepNumber}`;
+
 const Step = ({ nodeData: { children }, stepNumber, stepStyle = 'connected', ...rest }) => {
+  const { completedSteps, isCheckable, procedureKey, toggleStep } = useContext(ProcedureProgressContext);
+  const { t } = useTranslation();
+  const content = children.map((child, i) => <ComponentFactory {...rest} nodeData={child} key={i} />);
+
+  if (!isCheckable) {
+    return (
+      <StyledStep css={landingStepStyles[stepStyle]}>
+        <StepBlock>
+          <Circle css={circleStyles[stepStyle]}>{stepNumber}</Circle>
+        </StepBlock>
+        <Content css={contentStyles[stepStyle]}>{content}</Content>
+      </StyledStep>
+    );
+  }
+
+  const isComplete = completedSteps.includes(stepNumber);
+  const stepId = getStepId(procedureKey, stepNumber);
+
   return (
-    <StyledStep css={landingStepStyles[stepStyle]}>
+    <StyledStep css={[landingStepStyles[stepStyle], checkableStepStyles]} id={stepId}>
       <StepBlock>
-        <Circle css={circleStyles[stepStyle]}>{stepNumber}</Circle>
+        <StepLink aria-label={t('step.link', { number: stepNumber })} href={`#${stepId}`}>
+          <Circle css={[circleStyles[stepStyle], isComplete && completedCircleStyles]}>
+            {isComplete ? <Icon glyph="Checkmark" /> : stepNumber}
+          </Circle>
+        </StepLink>
       </StepBlock>
       <Content css={contentStyles[stepStyle]}>
-        {children.map((child, i) => (
-          <ComponentFactory {...rest} nodeData={child} key={i} />
-        ))}
+        <StepActions>
+          <Checkbox
+            checked={isComplete}
+            label={t('step.markComplete', { number: stepNumber })}
+            onChange={() => toggleStep(stepNumber)}
+          />
+        </StepActions>
+        {content}
       </Content>
     </StyledStep>
   );
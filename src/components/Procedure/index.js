@@ -2,6 +2,10 @@ import React, { useMemo } from 'react';
 import PropTypes from 'prop-types';
 import styled from '@emotion/styled';
 import { theme } from '../../theme/docsTheme';
+import { findAllKeyValuePairs } from '../../utils/find-all-key-value-pairs';
+import { isFlagOptionSet } from '../../utils/is-flag-option-set';
+import { ProcedureProgressContextProvider } from './procedure-progress-context';
+import ProcedureProgress from './ProcedureProgress';
 import Step from './Step';
 
 const StyledProcedure = styled('div')`
@@ -42,25 +46,54 @@ const getSteps = (children) => {
   return steps;
 };
 
-const Procedure = ({ nodeData: { children, options }, ...rest }) => {
+/**
+ * Returns the key that a checkable procedure's progress and step links are stored under: its id option if set,
+ * or else its position among the page's checkable procedures, so that edits to the rest of the page keep progress.
+ */
+const getProcedureKey = (nodeData, page) => {
+  if (nodeData.options?.id) {
+    return nodeData.options.id;
+  }
+  const checkableProcedures = findAllKeyValuePairs(page?.children || [], 'name', 'procedure').filter(({ options }) =>
+    isFlagOptionSet(options, 'checkable')
+  );
+  return `procedure-${Math.max(checkableProcedures.indexOf(nodeData), 0) + 1}`;
+};
+
+const Procedure = ({ nodeData, ...rest }) => {
+  const { children, options } = nodeData;
   // Make the style 'connected' by default for now to give time for PLPs that use this directive to
   // add the "style" option
   const style = options?.style || 'connected';
   const steps = useMemo(() => getSteps(children), [children]);
 
-  return (
+  const procedure = (
     <StyledProcedure procedureStyle={style}>
       {steps.map((child, i) => (
         <Step {...rest} nodeData={child} stepNumber={i + 1} stepStyle={style} key={i} />
       ))}
     </StyledProcedure>
   );
+
+  if (!isFlagOptionSet(options, 'checkable')) {
+    return procedure;
+  }
+
+  return (
+    <ProcedureProgressContextProvider procedureKey={getProcedureKey(nodeData, rest.page)} slug={rest.slug}>
+      <ProcedureProgress stepCount={steps.length} />
+      {procedure}
+    </ProcedureProgressContextProvider>
+  );
 };
 
 Procedure.propTypes = {
   nodeData: PropTypes.shape({
     children: PropTypes.arrayOf(PropTypes.object).isRequired,
+    options: PropTypes.object,
   }).isRequired,
+  page: PropTypes.object,
+  slug: PropTypes.string,
 };
 
 export default Procedure;
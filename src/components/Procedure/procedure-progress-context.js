@@ -0,0 +1,65 @@
+import React, { createContext, useCallback, useEffect, useState } from 'react';
+import { getLocalValue, setLocalValue } from '../../utils/browser-storage';
+
+const localStorageKey = 'completedSteps';
+
+const ProcedureProgressContext = createContext({
+  completedSteps: [],
+  isCheckable: false,
+  procedureKey: '',
+  resetProgress: () => {},
+  toggleStep: () => {},
+});
+
+// Completed steps are stored per page, keyed by the procedure's key on the page
+const saveCompletedSteps = (slug, procedureKey, steps) => {
+  const stored = getLocalValue(localStorageKey) || {};
+  const pageProgress = { ...stored[slug], [procedureKey]: steps };
+  if (!steps.length) {
+    delete pageProgress[procedureKey];
+  }
+
+  const updated = { ...stored, [slug]: pageProgress };
+  if (!Object.keys(pageProgress).length) {
+    delete updated[slug];
+  }
+  setLocalValue(localStorageKey, updated);
+};
+
+const ProcedureProgressContextProvider = ({ children, procedureKey, slug }) => {
+  const [completedSteps, setCompletedSteps] = useState([]);
+
+  useEffect(() => {
+    setCompletedSteps(getLocalValue(localStorageKey)?.[slug]?.[procedureKey] || []);
+  }, [procedureKey, slug]);
+
+  const updateCompletedSteps = useCallback(
+    (steps) => {
+      setCompletedSteps(steps);
+      saveCompletedSteps(slug, procedureKey, steps);
+    },
+    [procedureKey, slug]
+  );
+
+  const toggleStep = useCallback(
+    (stepNumber) => {
+      const steps = completedSteps.includes(stepNumber)
+        ? completedSteps.filter((step) => step !== stepNumber)
+        : [...completedSteps, stepNumber].sort((a, b) => a - b);
+      updateCompletedSteps(steps);
+    },
+    [completedSteps, updateCompletedSteps]
+  );
+
+  const resetProgress = useCallback(() => updateCompletedSteps([]), [updateCompletedSteps]);
+
+  return (
+    <ProcedureProgressContext.Provider
+      value={{ completedSteps, isCheckable: true, procedureKey, resetProgress, toggleStep }}
+    >
+      {children}
+    </ProcedureProgressContext.Provider>
+  );
+};
+
+export { ProcedureProgressContext, ProcedureProgressContextProvider };
@@ -0,0 +1,28 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import styled from '@emotion/styled';
+import { palette } from '@leafygreen-ui/palette';
+
+// Attributes marking the highlighted matches on the page and the one currently navigated to
+export const MATCH_ATTRIBUTE = 'data-search-highlight';
+export const CURRENT_MATCH_ATTRIBUTE = 'data-current-match';
+
+const Mark = styled('mark')`
+  background-color: ${palette.yellow.light2};
+  border-radius: 2px;
+  color: inherit;
+  scroll-margin-top: 120px;
+
+  &[${CURRENT_MATCH_ATTRIBUTE}] {
+    background-color: ${palette.yellow.light1};
+    outline: 2px solid ${palette.yellow.base};
+  }
+`;
+
+const SearchHighlightMark = ({ children }) => <Mark data-search-highlight="">{children}</Mark>;
+
+SearchHighlightMark.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default SearchHighlightMark;
@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import styled from '@emotion/styled';
+import Icon from '@leafygreen-ui/icon';
+import IconButton from '@leafygreen-ui/icon-button';
+import { palette } from '@leafygreen-ui/palette';
+import { theme } from '../../theme/docsTheme';
+import { useTranslation } from '../../hooks/use-translation';
+import { CURRENT_MATCH_ATTRIBUTE, MATCH_ATTRIBUTE } from './SearchHighlightMark';
+
+const Container = styled('div')`
+  align-items: center;
+  background-color: ${palette.white};
+  border: 1px solid ${palette.gray.light2};
+  border-radius: 6px;
+  bottom: ${theme.size.medium};
+  box-shadow: 0 4px 10px -4px rgba(0, 30, 43, 0.3);
+  display: flex;
+  font-size: ${theme.fontSize.small};
+  gap: ${theme.size.tiny};
+  left: 50%;
+  padding: ${theme.size.tiny} ${theme.size.small};
+  position: fixed;
+  transform: translateX(-50%);
+  z-index: 9;
+`;
+
+const MatchCount = styled('span')`
+  margin-right: ${theme.size.tiny};
+  white-space: nowrap;
+`;
+
+// Floating control for stepping through the matches of a search term highlighted on the page
+const SearchHighlight = ({ highlightTerm, onDismiss }) => {
+  const [matches, setMatches] = useState([]);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const { t } = useTranslation();
+
+  // Matches are rendered by the page's Text components before this effect runs
+  useEffect(() => {
+    setMatches(Array.from(document.querySelectorAll(`[${MATCH_ATTRIBUTE}]`)));
+    setCurrentIndex(0);
+  }, [highlightTerm]);
+
+  useEffect(() => {
+    const match = matches[currentIndex];
+    if (!match) {
+      return;
+    }
+    match.setAttribute(CURRENT_MATCH_ATTRIBUTE, '');
+    // scrollIntoView is not available in every environment, such as jsdom
+    match.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+    return () => match.removeAttribute(CURRENT_MATCH_ATTRIBUTE);
+  }, [currentIndex, matches]);
+
+  if (!matches.length) {
+    return null;
+  }
+
+  const step = (offset) => setCurrentIndex((index) => (index + offset + matches.length) % matches.length);
+
+  return (
+    <Container aria-label={t('searchHighlight.label')} role="region">
+      <MatchCount aria-live="polite">
+        {t(matches.length === 1 ? 'searchHighlight.countOne' : 'searchHighlight.count', {
+          current: currentIndex + 1,
+          total: matches.length,
+          term: highlightTerm,
+        })}
+      </MatchCount>
+      <IconButton aria-label={t('searchHighlight.previous')} onClick={() => step(-1)}>
+        <Icon glyph="ChevronUp" />
+      </IconButton>
+      <IconButton aria-label={t('searchHighlight.next')} onClick={() => step(1)}>
+        <Icon glyph="ChevronDown" />
+      </IconButton>
+      <IconButton aria-label={t('searchHighlight.dismiss')} onClick={onDismiss}>
+        <Icon glyph="X" />
+      </IconButton>
+    </Container>
+  );
+};
+
+SearchHighlight.propTypes = {
+  highlightTerm: PropTypes.string.isRequired,
+  onDismiss: PropTypes.func.isRequired,
+};
+
+export default SearchHighlight;
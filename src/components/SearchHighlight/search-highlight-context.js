@@ -0,0 +1,6 @@
+import { createContext } from 'react';
+
+// Pattern matching the search term to highlight within the page's text, if any
+const SearchHighlightContext = createContext({ highlightPattern: null });
+
+export default SearchHighlightContext;
@@ -5,6 +5,7 @@ import Icon from '@leafygreen-ui/icon';
 import { palette } from '@leafygreen-ui/palette';
 import useStickyTopValues from '../../hooks/useStickyTopValues';
 import { theme } from '../../theme/docsTheme';
+import { useTranslation } from '../../hooks/use-translation';
 import SearchContext from './SearchContext';
 import SearchFilters from './SearchFilters';
 
@@ -47,6 +48,7 @@ const Label = styled('div')`
 const MobileFilters = () => {
   const { topSmall } = useStickyTopValues();
   const { setShowMobileFilters } = useContext(SearchContext);
+  const { t } = useTranslation();
 
   const closeMobileFilters = useCallback(() => {
     setShowMobileFilters(false);
@@ -58,9 +60,9 @@ const MobileFilters = () => {
       <Container topValue={topSmall}>
         <BackButton onClick={closeMobileFilters}>
           <Icon glyph="ArrowLeft" />
-          Back to search results
+          {t('mobileFilters.back')}
         </BackButton>
-        <Label>Specify your search</Label>
+        <Label>{t('searchFilters.specify')}</Label>
         <SearchFilters manuallyApplyFilters={true} onApplyFilters={closeMobileFilters} />
       </Container>
     </>
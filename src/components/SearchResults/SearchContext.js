@@ -1,13 +1,17 @@
 import { createContext } from 'react';
+import { DEFAULT_SEARCH_FACETS } from '../../utils/search-facets';
 
 // Simple context to pass search results, ref, and filters to children
 const SearchContext = createContext({
   filters: {},
+  searchFacets: DEFAULT_SEARCH_FACETS,
   searchFilter: null,
+  searchProperties: null,
   searchPropertyMapping: {},
   searchTerm: '',
   selectedVersion: null,
   selectedCategory: null,
+  setSearchFacets: () => {},
   setSearchFilter: null,
   setSelectedVersion: () => {},
   setSelectedCategory: () => {},
@@ -1,10 +1,19 @@
 import React, { useCallback, useContext, useEffect, useMemo, useState } from 'react';
 import styled from '@emotion/styled';
 import Button from '@leafygreen-ui/button';
+import Checkbox from '@leafygreen-ui/checkbox';
 import Icon from '@leafygreen-ui/icon';
+import { palette } from '@leafygreen-ui/palette';
 import { theme } from '../../theme/docsTheme';
 import Select from '../Select';
-import { getSortedBranchesForProperty } from '../../utils/parse-marian-manifests';
+import {
+  getDefaultBranchForProperty,
+  getSortedBranchesForProperty,
+  getVersionSearchProperties,
+} from '../../utils/parse-marian-manifests';
+import { CONTENT_TYPES, DEFAULT_SEARCH_FACETS, hasSearchFacets } from '../../utils/search-facets';
+import { VersionContext } from '../../context/version-context';
+import { useTranslation } from '../../hooks/use-translation';
 import SearchContext from './SearchContext';
 
 const FILTER_WIDTH = '175px';
@@ -20,17 +29,49 @@ const MaxWidthSelect = styled(Select)`
   width: ${FILTER_WIDTH};
 `;
 
+const FacetsContainer = styled('div')`
+  margin-bottom: ${theme.size.default};
+`;
+
+const FacetHeader = styled('p')`
+  color: ${palette.gray.dark2};
+  font-size: ${theme.fontSize.small};
+  font-weight: 600;
+  margin: ${theme.size.default} 0 ${theme.size.small};
+`;
+
+const FacetOptions = styled('div')`
+  display: flex;
+  flex-direction: column;
+  gap: ${theme.size.tiny};
+  max-height: 240px;
+  overflow-y: auto;
+`;
+
+const MoreFiltersButton = styled(Button)`
+  margin-bottom: ${theme.size.default};
+`;
+
 const SearchFilters = ({ manuallyApplyFilters = false, onApplyFilters, ...props }) => {
   const {
     filters,
+    searchFacets,
     searchFilter,
     searchPropertyMapping,
+    setSearchFacets,
     setSearchFilter,
     selectedVersion,
     selectedCategory,
     setSelectedVersion,
     setSelectedCategory,
   } = useContext(SearchContext);
+  const { activeVersions } = useContext(VersionContext);
+  const { t } = useTranslation();
+  // Search properties of the versions the reader has chosen, which a newly selected category defaults to
+  const activeSearchProperties = useMemo(
+    () => getVersionSearchProperties(activeVersions, searchPropertyMapping),
+    [activeVersions, searchPropertyMapping]
+  );
 
   // Current category and version for dropdown. If manuallyApplyFilter === true, selectedCategory + selectedVersion
   // will not be set automatically.
@@ -38,6 +79,9 @@ const SearchFilters = ({ manuallyApplyFilters = false, onApplyFilters, ...props
   const [category, setCategory] = useState(null);
   const [versionChoices, setVersionChoices] = useState([]);
   const [version, setVersion] = useState(null);
+  // Facets checked in the filters, applied like the category and version
+  const [facets, setFacets] = useState(searchFacets);
+  const [showFacets, setShowFacets] = useState(hasSearchFacets(searchFacets));
 
   const hasOneVersion = useMemo(() => versionChoices && versionChoices.length === 1, [versionChoices]);
 
@@ -46,12 +90,12 @@ const SearchFilters = ({ manuallyApplyFilters = false, onApplyFilters, ...props
       if (filters && filters[category]) {
         const versions = getSortedBranchesForProperty(filters, category);
         if (setDefaultVersion) {
-          setVersion(versions[0]);
+          setVersion(getDefaultBranchForProperty(filters, category, activeSearchProperties));
         }
         setVersionChoices(versions.map((b) => ({ text: b, value: b })));
       }
     },
-    [filters]
+    [activeSearchProperties, filters]
   );
 
   const onVersionChange = useCallback(({ value }) => {
@@ -66,14 +110,36 @@ const SearchFilters = ({ manuallyApplyFilters = false, onApplyFilters, ...props
     [updateVersionChoices]
   );
 
+  const updateFacets = useCallback(
+    (updatedFacets) => {
+      setFacets(updatedFacets);
+      if (!manuallyApplyFilters) {
+        setSearchFacets(updatedFacets);
+      }
+    },
+    [manuallyApplyFilters, setSearchFacets]
+  );
+
+  const toggleFacet = useCallback(
+    (facetName, value) => {
+      const values = facets[facetName];
+      updateFacets({
+        ...facets,
+        [facetName]: values.includes(value) ? values.filter((v) => v !== value) : [...values, value],
+      });
+    },
+    [facets, updateFacets]
+  );
+
   const applyFilters = useCallback(() => {
     setSelectedCategory(category);
     setSelectedVersion(version);
+    setSearchFacets(facets);
 
     if (onApplyFilters) {
       onApplyFilters();
     }
-  }, [version, onApplyFilters, category, setSelectedVersion, setSelectedCategory]);
+  }, [version, onApplyFilters, category, facets, setSearchFacets, setSelectedVersion, setSelectedCategory]);
 
   const resetFilters = useCallback(() => {
     setSearchFilter(null);
@@ -81,7 +147,17 @@ const SearchFilters = ({ manuallyApplyFilters = false, onApplyFilters, ...props
     setVersion(null);
     setSelectedCategory(null);
     setSelectedVersion(null);
-  }, [setSearchFilter, setSelectedVersion, setSelectedCategory]);
+    setFacets(DEFAULT_SEARCH_FACETS);
+    setSearchFacets(DEFAULT_SEARCH_FACETS);
+  }, [setSearchFacets, setSearchFilter, setSelectedVersion, setSelectedCategory]);
+
+  // Update the checked facets to match the ones applied to the search, such as those read from the URL
+  useEffect(() => {
+    setFacets(searchFacets);
+    if (hasSearchFacets(searchFacets)) {
+      setShowFacets(true);
+    }
+  }, [searchFacets]);
 
   // Update selected version and category automatically, if we're not manually applying filters
   useEffect(() => {
@@ -129,7 +205,7 @@ const SearchFilters = ({ manuallyApplyFilters = false, onApplyFilters, ...props
         <MaxWidthSelect
           choices={categoryChoices}
           onChange={onCategoryChange}
-          defaultText="Filter by Category"
+          defaultText={t('searchFilters.category')}
           value={category}
         />
       </SelectWrapper>
@@ -139,15 +215,54 @@ const SearchFilters = ({ manuallyApplyFilters = false, onApplyFilters, ...props
           onChange={onVersionChange}
           // We disable this select if there is only one option
           disabled={!category || hasOneVersion}
-          defaultText="Filter by Version"
+          defaultText={t('searchFilters.version')}
           value={version}
         />
       </SelectWrapper>
+      <MoreFiltersButton
+        size="small"
+        rightGlyph={<Icon glyph={showFacets ? 'CaretUp' : 'CaretDown'} />}
+        onClick={() => setShowFacets(!showFacets)}
+      >
+        {t(showFacets ? 'searchFilters.fewerFilters' : 'searchFilters.moreFilters')}
+      </MoreFiltersButton>
+      {showFacets && (
+        <FacetsContainer>
+          <FacetHeader>{t('searchFilters.products')}</FacetHeader>
+          <FacetOptions>
+            {categoryChoices.map(({ text, value }) => (
+              <Checkbox
+                key={value}
+                label={text}
+                checked={facets.products.includes(value)}
+                onChange={() => toggleFacet('products', value)}
+              />
+            ))}
+          </FacetOptions>
+          <FacetHeader>{t('searchFilters.contentTypes')}</FacetHeader>
+          <FacetOptions>
+            {CONTENT_TYPES.map((value) => (
+              <Checkbox
+                key={value}
+                label={t(`searchFilters.contentType.${value}`)}
+                checked={facets.contentTypes.includes(value)}
+                onChange={() => toggleFacet('contentTypes', value)}
+              />
+            ))}
+          </FacetOptions>
+          <FacetHeader>{t('searchFilters.versions')}</FacetHeader>
+          <Checkbox
+            label={t('searchFilters.latestOnly')}
+            checked={facets.latestOnly}
+            onChange={() => updateFacets({ ...facets, latestOnly: !facets.latestOnly })}
+          />
+        </FacetsContainer>
+      )}
       {manuallyApplyFilters ? (
-        <Button onClick={applyFilters}>Apply filters</Button>
+        <Button onClick={applyFilters}>{t('searchFilters.apply')}</Button>
       ) : (
         <Button leftGlyph={<Icon glyph="X" />} onClick={resetFilters}>
-          Clear all filters
+          {t('searchFilters.clearAll')}
         </Button>
       )}
     </div>
@@ -0,0 +1,255 @@
+import React, { useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import styled from '@emotion/styled';
+import { navigate, useLocation } from '@gatsbyjs/reach-router';
+import Icon from '@leafygreen-ui/icon';
+import { palette } from '@leafygreen-ui/palette';
+import queryString from 'query-string';
+import { useClickOutside } from '../../hooks/use-click-outside';
+import { useTranslation } from '../../hooks/use-translation';
+import { theme } from '../../theme/docsTheme';
+import debounce from '../../utils/debounce';
+import { fetchSearchPage, parseSearchResults } from '../../utils/fetch-search-page';
+import { escapeHtml } from '../../utils/escape-reserved-html-characters';
+import { reportSearchEvent, SEARCH_EVENTS } from '../../utils/search-analytics';
+import { addHighlightParam } from '../../utils/search-highlight';
+import SearchContext from './SearchContext';
+import { highlightSearchTerm, sanitizePreviewHtml } from './SearchResult';
+
+const SUGGESTION_DELAY = 200;
+const SUGGESTION_LIMIT = 5;
+const SUGGESTIONS_ID = 'search-suggestions';
+
+const Container = styled('div')`
+  margin-bottom: ${theme.size.default};
+  max-width: 600px;
+  position: relative;
+`;
+
+const InputWrapper = styled('div')`
+  align-items: center;
+  background-color: ${palette.white};
+  border: 1px solid ${palette.gray.base};
+  border-radius: 6px;
+  display: flex;
+  gap: ${theme.size.small};
+  padding: 0 ${theme.size.small};
+
+  :focus-within {
+    border-color: ${palette.blue.light1};
+  }
+`;
+
+const Input = styled('input')`
+  border: none;
+  flex: 1;
+  font-size: ${theme.fontSize.default};
+  height: 36px;
+  outline: none;
+`;
+
+const SuggestionList = styled('ul')`
+  background-color: ${palette.white};
+  border: 1px solid ${palette.gray.light2};
+  border-radius: 6px;
+  box-shadow: 0 4px 10px -4px rgba(0, 30, 43, 0.3);
+  left: 0;
+  list-style: none;
+  margin: ${theme.size.tiny} 0 0;
+  padding: ${theme.size.tiny} 0;
+  position: absolute;
+  right: 0;
+  z-index: 2;
+`;
+
+const Suggestion = styled('li')`
+  background-color: ${({ isActive }) => (isActive ? palette.gray.light3 : 'unset')};
+  margin: 0;
+
+  a {
+    color: ${palette.black};
+    display: block;
+    padding: ${theme.size.small} ${theme.size.default};
+    text-decoration: none;
+  }
+`;
+
+const SuggestionTitle = styled('p')`
+  font-weight: 600;
+  margin: 0;
+`;
+
+const SuggestionPreview = styled('p')`
+  color: ${palette.gray.dark1};
+  font-size: ${theme.fontSize.small};
+  margin: 0;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const reportSelection = (rank, selectionUrl) => {
+  reportSearchEvent(SEARCH_EVENTS.selection, { areaFrom: 'ResultsPageSuggestions', rank, selectionUrl });
+};
+
+// Search box for refining the query on the search results page, with suggestions shown as the user types
+const SearchInput = () => {
+  const { search, pathname } = useLocation();
+  const { searchFacets, searchProperties, searchPropertyMapping, searchTerm } = useContext(SearchContext);
+  const { t } = useTranslation();
+  const [query, setQuery] = useState(searchTerm || '');
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [isOpen, setIsOpen] = useState(false);
+  // Query that suggestions were last requested for, so that responses to earlier input are ignored
+  const latestQuery = useRef('');
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    setQuery(searchTerm || '');
+  }, [searchTerm]);
+
+  const closeSuggestions = useCallback(() => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  }, []);
+
+  useClickOutside(containerRef, closeSuggestions);
+
+  // Suggestions are narrowed by the same filters as the results they're shown above
+  const fetchSuggestions = useCallback(
+    async (value) => {
+      const resultJson = await fetchSearchPage(value, searchProperties, { contentTypes: searchFacets.contentTypes });
+      if (value !== latestQuery.current) {
+        return;
+      }
+      setSuggestions(
+        resultJson?.results ? parseSearchResults(resultJson, searchPropertyMapping, SUGGESTION_LIMIT) : []
+      );
+      setActiveIndex(-1);
+      setIsOpen(true);
+    },
+    [searchFacets.contentTypes, searchProperties, searchPropertyMapping]
+  );
+
+  const debouncedFetchSuggestions = useMemo(() => debounce(fetchSuggestions, SUGGESTION_DELAY), [fetchSuggestions]);
+
+  useEffect(() => debouncedFetchSuggestions.cancel, [debouncedFetchSuggestions]);
+
+  const onChange = useCallback(
+    (e) => {
+      const value = e.target.value;
+      setQuery(value);
+      latestQuery.current = value.trim();
+      if (latestQuery.current) {
+        debouncedFetchSuggestions(latestQuery.current);
+      } else {
+        setSuggestions([]);
+        closeSuggestions();
+      }
+    },
+    [closeSuggestions, debouncedFetchSuggestions]
+  );
+
+  // Run a new search for the query, keeping the applied filters but starting from the first page
+  const submitSearch = useCallback(() => {
+    const q = query.trim();
+    if (!q) {
+      return;
+    }
+    // Suggestions for the submitted query, or any typed before it, are no longer wanted
+    latestQuery.current = '';
+    debouncedFetchSuggestions.cancel();
+    closeSuggestions();
+    navigate(`${pathname}?${queryString.stringify({ ...queryString.parse(search), q, page: undefined })}`);
+  }, [closeSuggestions, debouncedFetchSuggestions, pathname, query, search]);
+
+  const openSuggestion = useCallback(
+    (index) => {
+      const { url } = suggestions[index];
+      reportSelection(index, url);
+      window.location.href = addHighlightParam(url, query.trim());
+    },
+    [query, suggestions]
+  );
+
+  const onKeyDown = useCallback(
+    (e) => {
+      const hasSuggestions = isOpen && suggestions.length > 0;
+      switch (e.key) {
+        case 'ArrowDown':
+          if (hasSuggestions) {
+            e.preventDefault();
+            setActiveIndex((index) => (index + 1) % suggestions.length);
+          }
+          break;
+        case 'ArrowUp':
+          if (hasSuggestions) {
+            e.preventDefault();
+            setActiveIndex((index) => (index <= 0 ? suggestions.length - 1 : index - 1));
+          }
+          break;
+        case 'Enter':
+          e.preventDefault();
+          if (hasSuggestions && activeIndex >= 0) {
+            openSuggestion(activeIndex);
+          } else {
+            submitSearch();
+          }
+          break;
+        default:
+          break;
+      }
+    },
+    [activeIndex, isOpen, openSuggestion, submitSearch, suggestions.length]
+  );
+
+  const showSuggestions = isOpen && suggestions.length > 0;
+
+  return (
+    <Container ref={containerRef}>
+      <InputWrapper>
+        <Icon glyph="MagnifyingGlass" fill={palette.gray.dark1} />
+        <Input
+          aria-activedescendant={showSuggestions && activeIndex >= 0 ? `${SUGGESTIONS_ID}-${activeIndex}` : undefined}
+          aria-autocomplete="list"
+          aria-controls={SUGGESTIONS_ID}
+          aria-expanded={showSuggestions}
+          aria-label={t('searchInput.label')}
+          autoComplete="off"
+          onChange={onChange}
+          onKeyDown={onKeyDown}
+          role="combobox"
+          type="search"
+          value={query}
+        />
+      </InputWrapper>
+      {showSuggestions && (
+        <SuggestionList id={SUGGESTIONS_ID} role="listbox">
+          {suggestions.map(({ title, preview, url }, index) => (
+            <Suggestion
+              key={`${url}${index}`}
+              aria-selected={index === activeIndex}
+              id={`${SUGGESTIONS_ID}-${index}`}
+              isActive={index === activeIndex}
+              onMouseEnter={() => setActiveIndex(index)}
+              role="option"
+            >
+              <a href={addHighlightParam(url, query.trim())} onClick={() => reportSelection(index, url)}>
+                <SuggestionTitle
+                  dangerouslySetInnerHTML={{ __html: sanitizePreviewHtml(highlightSearchTerm(title, query)) }}
+                />
+                <SuggestionPreview
+                  dangerouslySetInnerHTML={{
+                    __html: sanitizePreviewHtml(highlightSearchTerm(escapeHtml(preview), query)),
+                  }}
+                />
+              </a>
+            </Suggestion>
+          ))}
+        </SuggestionList>
+      )}
+    </Container>
+  );
+};
+
+export default SearchInput;
@@ -5,6 +5,7 @@ import styled from '@emotion/styled';
 import { palette } from '@leafygreen-ui/palette';
 import { Body } from '@leafygreen-ui/typography';
 import { theme } from '../../theme/docsTheme';
+import { addHighlightParam, getHighlightPattern } from '../../utils/search-highlight';
 import Tag, { searchTagStyle } from '../Tag';
 import SearchContext from './SearchContext';
 
@@ -101,13 +102,14 @@ const StylingTagContainer = styled('div')`
   margin-bottom: ${theme.size.medium};
 `;
 
-const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-
-const highlightSearchTerm = (text, searchTerm) =>
-  text.replace(
-    new RegExp(escapeRegExp(searchTerm), 'gi'),
-    (result) => `<span style="${SEARCH_MATCH_STYLE}">${result}</span>`
-  );
+// Highlights each word of the search term found in the text
+const highlightSearchTerm = (text, searchTerm) => {
+  const pattern = getHighlightPattern(searchTerm);
+  if (!pattern) {
+    return text;
+  }
+  return text.replace(pattern, (result) => `<span style="${SEARCH_MATCH_STYLE}">${result}</span>`);
+};
 
 // since we are using dangerouslySetInnerHTML, this helper sanitizes input to be safe
 const sanitizePreviewHtml = (text) =>
@@ -133,11 +135,13 @@ const SearchResult = React.memo(
     const highlightedTitle = highlightSearchTerm(title, searchTerm);
     const highlightedPreviewText = highlightSearchTerm(preview, searchTerm);
     const resultLinkRef = useRef(null);
+    // Carry the search term to the result so that its matches are highlighted there
+    const href = addHighlightParam(url, searchTerm);
     const category = searchPropertyMapping?.[searchProperty]?.['categoryTitle'];
     const version = searchPropertyMapping?.[searchProperty]?.['versionSelectorLabel'];
 
     return (
-      <SearchResultLink ref={resultLinkRef} href={url} onClick={onClick} {...props}>
+      <SearchResultLink ref={resultLinkRef} href={href} onClick={onClick} {...props}>
         <SearchResultContainer>
           <StyledResultTitle
             dangerouslySetInnerHTML={{
@@ -158,7 +162,7 @@ const SearchResult = React.memo(
           </StylingTagContainer>
           {learnMoreLink && (
             <MobileFooterContainer>
-              <LearnMoreLink href={url}>
+              <LearnMoreLink href={href}>
                 <strong>Learn More</strong>
               </LearnMoreLink>
             </MobileFooterContainer>
@@ -169,5 +173,5 @@ const SearchResult = React.memo(
   }
 );
 
-export { SearchResultLink };
+export { highlightSearchTerm, sanitizePreviewHtml, SearchResultLink };
 export default SearchResult;
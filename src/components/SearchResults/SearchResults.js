@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useMemo, useRef, useState, useCallback } from 'react';
 import Skeleton from 'react-loading-skeleton';
 import { css, Global } from '@emotion/react';
 import styled from '@emotion/styled';
@@ -7,16 +7,27 @@ import Button from '@leafygreen-ui/button';
 import Icon from '@leafygreen-ui/icon';
 import { palette } from '@leafygreen-ui/palette';
 import queryString from 'query-string';
+import { useTranslation } from '../../hooks/use-translation';
 import useScreenSize from '../../hooks/useScreenSize';
 import { theme } from '../../theme/docsTheme';
-import { reportAnalytics } from '../../utils/report-analytics';
-import { getSearchbarResultsFromJSON } from '../../utils/get-searchbar-results-from-json';
 import { escapeHtml } from '../../utils/escape-reserved-html-characters';
-import { searchParamsToURL } from '../../utils/search-params-to-url';
+import { fetchSearchPage, parseSearchResults } from '../../utils/fetch-search-page';
+import { hasMoreSearchResults, MAX_RESTORED_PAGES, parsePageParam, setPageParam } from '../../utils/search-pagination';
+import {
+  CONTENT_TYPES,
+  DEFAULT_SEARCH_FACETS,
+  getSearchProperties,
+  hasSearchFacets,
+  parseSearchFacets,
+  setFacetParams,
+} from '../../utils/search-facets';
+import { getChangedFacets, reportSearchEvent, SEARCH_EVENTS, trackSearchTerm } from '../../utils/search-analytics';
+import { isBrowser } from '../../utils/is-browser';
 import { useMarianManifests } from '../../hooks/use-marian-manifests';
 import Tag, { searchTagStyle } from '../Tag';
 import SearchContext from './SearchContext';
 import SearchFilters from './SearchFilters';
+import SearchInput from './SearchInput';
 import SearchResult from './SearchResult';
 import EmptyResults, { EMPTY_STATE_HEIGHT } from './EmptyResults';
 import MobileFilters from './MobileFilters';
@@ -82,7 +93,7 @@ const FilterHeader = styled('h2')`
 const SearchResultsContainer = styled('div')`
   column-gap: ${DESKTOP_COLUMN_GAP};
   display: grid;
-  grid-template-areas: 'header .' 'results filters';
+  grid-template-areas: 'header .' 'results filters' 'pagination .';
   grid-template-columns: auto ${FILTER_COLUMN_WIDTH};
   margin: ${theme.size.large} 108px ${theme.size.xlarge} ${theme.size.large};
   max-width: 1150px;
@@ -94,7 +105,7 @@ const SearchResultsContainer = styled('div')`
 
   @media ${theme.screenSize.upToMedium} {
     column-gap: 0;
-    grid-template-areas: 'header' 'results';
+    grid-template-areas: 'header' 'results' 'pagination';
     grid-template-columns: auto;
     margin: ${theme.size.large} ${theme.size.medium} ${theme.size.xlarge} ${theme.size.medium};
   }
@@ -222,6 +233,20 @@ const StyledTag = styled(Tag)`
   ${searchTagStyle}
 `;
 
+const PaginationContainer = styled('div')`
+  align-items: center;
+  display: flex;
+  flex-direction: column;
+  gap: ${theme.size.default};
+  grid-area: pagination;
+`;
+
+const ResultCount = styled('p')`
+  color: ${palette.gray.dark1};
+  font-size: ${theme.fontSize.small};
+  margin: 0;
+`;
+
 const MobileSearchButtonWrapper = styled('div')`
   display: none;
   margin-top: ${theme.size.default};
@@ -234,6 +259,7 @@ const MobileSearchButtonWrapper = styled('div')`
 const SearchResults = () => {
   const { search } = useLocation();
   const { isTabletOrMobile } = useScreenSize();
+  const { t } = useTranslation();
   const [searchResults, setSearchResults] = useState([]);
   const [searchTerm, setSearchTerm] = useState(null);
   const [searchFilter, setSearchFilter] = useState(null);
@@ -242,15 +268,78 @@ const SearchResults = () => {
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [selectedVersion, setSelectedVersion] = useState(null);
   const [showMobileFilters, setShowMobileFilters] = useState(false);
+  const [searchFacets, setSearchFacets] = useState(DEFAULT_SEARCH_FACETS);
+  const [page, setPage] = useState(1);
+  const [totalResults, setTotalResults] = useState(null);
+  const [hasMoreResults, setHasMoreResults] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  // Page requested through the URL, restored when the search page is first loaded
+  const requestedPage = useRef(1);
+  // Query that the loaded results belong to, so that changing it starts again from the first page
+  const loadedQuery = useRef(null);
+  // Number of results Marian returned for the first page, and in total across loaded pages
+  const pageSize = useRef(0);
+  const loadedCount = useRef(0);
+  const loadMoreSentinel = useRef(null);
+  // When the results of the current query were shown, until one of them is first clicked
+  const resultsShownAt = useRef(null);
+  // Applied search, read by the filter setters to report only the filters that actually change
+  const appliedSearch = useRef({});
+  appliedSearch.current = { searchFacets, searchFilter, searchTerm };
   const { filters, searchPropertyMapping } = useMarianManifests();
-  const specifySearchText = 'Specify your search';
+  const specifySearchText = t('searchFilters.specify');
+
+  const searchProperties = useMemo(
+    () => getSearchProperties(filters, searchFilter, searchFacets),
+    [filters, searchFilter, searchFacets]
+  );
+
+  // Keep the selected facets in the URL, so that the filtered search can be reloaded or shared
+  const updateSearchFacets = useCallback((facets) => {
+    const { searchFacets: previousFacets, searchTerm: currentSearchTerm } = appliedSearch.current;
+    getChangedFacets(previousFacets, facets).forEach((filterName) => {
+      reportSearchEvent(SEARCH_EVENTS.filterChange, {
+        filterName,
+        searchTerm: currentSearchTerm,
+        value: facets[filterName],
+      });
+    });
+    setSearchFacets(facets);
+    if (isBrowser) {
+      window.history.replaceState(window.history.state, '', setFacetParams(window.location.search, facets));
+    }
+  }, []);
+
+  const updateSearchFilter = useCallback((filter) => {
+    const { searchFilter: previousFilter, searchTerm: currentSearchTerm } = appliedSearch.current;
+    if ((filter || null) !== (previousFilter || null)) {
+      reportSearchEvent(SEARCH_EVENTS.filterChange, {
+        filterName: 'searchProperty',
+        searchTerm: currentSearchTerm,
+        value: filter || null,
+      });
+    }
+    setSearchFilter(filter);
+  }, []);
 
   const resetFilters = useCallback(() => {
     setSelectedCategory(null);
     // Reset version and search filter since a search filter requires both a category and version
     setSelectedVersion(null);
-    setSearchFilter(null);
-  }, []);
+    updateSearchFilter(null);
+  }, [updateSearchFilter]);
+
+  const clearAllFilters = useCallback(() => {
+    resetFilters();
+    updateSearchFacets(DEFAULT_SEARCH_FACETS);
+  }, [resetFilters, updateSearchFacets]);
+
+  const removeProductFacet = useCallback(
+    (product) => {
+      updateSearchFacets({ ...searchFacets, products: searchFacets.products.filter((p) => p !== product) });
+    },
+    [searchFacets, updateSearchFacets]
+  );
 
   const showFilterOptions = useCallback(() => {
     setShowMobileFilters(true);
@@ -258,10 +347,10 @@ const SearchResults = () => {
 
   let mobileFilterButton = {
     glyph: 'X',
-    onClick: resetFilters,
-    text: 'Clear all filters',
+    onClick: clearAllFilters,
+    text: t('searchFilters.clearAll'),
   };
-  if (!searchFilter) {
+  if (!searchFilter && !hasSearchFacets(searchFacets)) {
     mobileFilterButton = {
       glyph: 'Filter',
       onClick: showFilterOptions,
@@ -269,29 +358,196 @@ const SearchResults = () => {
     };
   }
 
+  const resultCount = totalResults ?? searchResults.length;
+  const resultCountKey = `searchResults.showing${totalResults !== null ? 'Of' : ''}${resultCount === 1 ? 'One' : ''}`;
+  const resultCountText = t(resultCountKey, { shown: searchResults.length, total: totalResults });
+
   // Parse the incoming query string for a search term and property
   useEffect(() => {
     setFirstRenderComplete(true);
-    const { q, searchProperty } = queryString.parse(search);
+    const { q, page: pageParam, searchProperty } = queryString.parse(search);
+    requestedPage.current = parsePageParam(pageParam);
+    loadedQuery.current = null;
     setSearchTerm(q);
     setSearchFilter(searchProperty);
+    setSearchFacets(parseSearchFacets(search));
   }, [search]);
 
+  useEffect(() => {
+    if (searchTerm) {
+      trackSearchTerm(searchTerm);
+    }
+  }, [searchTerm]);
+
+  // Keep the number of loaded pages in the URL, so that reloading or sharing the page restores every result shown
+  const updatePage = useCallback((newPage) => {
+    setPage(newPage);
+    if (isBrowser && parsePageParam(queryString.parse(window.location.search).page) !== newPage) {
+      window.history.replaceState(window.history.state, '', setPageParam(window.location.search, newPage));
+    }
+  }, []);
+
+  const updatePagination = useCallback((pageResponses, total) => {
+    const lastPageSize = pageResponses[pageResponses.length - 1]?.results?.length || 0;
+    setTotalResults(typeof total === 'number' ? total : null);
+    setHasMoreResults(
+      hasMoreSearchResults({
+        total,
+        loadedCount: loadedCount.current,
+        firstPageSize: pageSize.current,
+        lastPageSize,
+      })
+    );
+  }, []);
+
   // Update results on a new search query or filters
   // When the filter is changed, find the corresponding property to display
   useEffect(() => {
+    let isCurrent = true;
+    const query = JSON.stringify([searchTerm, searchFilter, searchFacets]);
+    const { contentTypes, latestOnly, products } = searchFacets;
+    // Product facets can only be resolved to search properties once Marian's manifests have been loaded
+    const awaitingFilters = (!!products.length || latestOnly) && !Object.keys(filters).length;
+
     const fetchNewSearchResults = async () => {
-      if (searchTerm) {
-        const result = await fetch(searchParamsToURL(searchTerm, searchFilter));
-        const resultJson = await result.json();
-        if (!!resultJson?.results) {
-          setSearchResults(getSearchbarResultsFromJSON(resultJson, searchPropertyMapping));
+      if (searchTerm && !awaitingFilters) {
+        // Changing the search term or filter starts from the first page again
+        const pageCount =
+          !loadedQuery.current || loadedQuery.current === query
+            ? Math.min(requestedPage.current, MAX_RESTORED_PAGES)
+            : 1;
+        // Pages are fetched in turn, stopping at the first one that fails or once the query changes
+        const validResponses = [];
+        while (validResponses.length < pageCount && isCurrent) {
+          const resultJson = await fetchSearchPage(searchTerm, searchProperties, {
+            contentTypes,
+            page: validResponses.length + 1,
+          });
+          if (!resultJson?.results) {
+            break;
+          }
+          validResponses.push(resultJson);
+        }
+        if (!isCurrent) {
+          return;
+        }
+
+        if (validResponses.length) {
+          const results = validResponses.flatMap((resultJson) => parseSearchResults(resultJson, searchPropertyMapping));
+          // Results are fetched again for the same query once Marian's manifests load, which isn't a new search
+          const isNewQuery = loadedQuery.current !== query;
+          loadedQuery.current = query;
+          requestedPage.current = validResponses.length;
+          pageSize.current = validResponses[0].results.length;
+          loadedCount.current = validResponses.reduce((count, { results }) => count + results.length, 0);
+          setSearchResults(results);
+          updatePagination(validResponses, validResponses[0].total);
+          updatePage(validResponses.length);
+          if (isNewQuery) {
+            resultsShownAt.current = results.length ? Date.now() : null;
+            if (!results.length) {
+              reportSearchEvent(SEARCH_EVENTS.emptyResults, { contentTypes, searchProperties, searchTerm });
+            }
+          }
+        } else {
+          // Don't leave the results of a previous query up when this one couldn't be fetched
+          loadedCount.current = 0;
+          setSearchResults([]);
+          setTotalResults(null);
+          setHasMoreResults(false);
         }
         setSearchFinished(true);
       }
     };
     fetchNewSearchResults();
-  }, [searchFilter, searchPropertyMapping, searchTerm]);
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [
+    filters,
+    searchFacets,
+    searchFilter,
+    searchProperties,
+    searchPropertyMapping,
+    searchTerm,
+    updatePage,
+    updatePagination,
+  ]);
+
+  const loadMoreResults = useCallback(async () => {
+    if (isLoadingMore || !hasMoreResults) {
+      return;
+    }
+
+    const query = loadedQuery.current;
+    const nextPage = page + 1;
+    setIsLoadingMore(true);
+    const resultJson = await fetchSearchPage(searchTerm, searchProperties, {
+      contentTypes: searchFacets.contentTypes,
+      page: nextPage,
+    });
+    setIsLoadingMore(false);
+    // Ignore the page if the query changed while it was loading
+    if (loadedQuery.current !== query) {
+      return;
+    }
+
+    if (!!resultJson?.results) {
+      loadedCount.current += resultJson.results.length;
+      requestedPage.current = nextPage;
+      setSearchResults((results) => [...results, ...parseSearchResults(resultJson, searchPropertyMapping)]);
+      updatePagination([resultJson], resultJson.total);
+      updatePage(nextPage);
+    } else {
+      setHasMoreResults(false);
+    }
+  }, [
+    hasMoreResults,
+    isLoadingMore,
+    page,
+    searchFacets,
+    searchProperties,
+    searchPropertyMapping,
+    searchTerm,
+    updatePage,
+    updatePagination,
+  ]);
+
+  const onResultClick = useCallback(
+    (rank, selectionUrl) => {
+      reportSearchEvent(SEARCH_EVENTS.selection, { areaFrom: 'ResultsPage', rank, selectionUrl });
+      if (resultsShownAt.current !== null) {
+        reportSearchEvent(SEARCH_EVENTS.timeToFirstClick, {
+          rank,
+          searchTerm,
+          selectionUrl,
+          timeToFirstClick: Date.now() - resultsShownAt.current,
+        });
+        resultsShownAt.current = null;
+      }
+    },
+    [searchTerm]
+  );
+
+  // Load the next page of results as the end of the list is scrolled into view
+  useEffect(() => {
+    const sentinel = loadMoreSentinel.current;
+    if (!sentinel || !hasMoreResults || !isBrowser || !('IntersectionObserver' in window)) {
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMoreResults();
+      }
+    });
+    observer.observe(sentinel);
+
+    return () => {
+      observer.disconnect();
+    };
+  }, [hasMoreResults, loadMoreResults]);
 
   return (
     <>
@@ -305,12 +561,15 @@ const SearchResults = () => {
       <SearchContext.Provider
         value={{
           filters,
+          searchFacets,
           searchFilter,
+          searchProperties,
           searchPropertyMapping,
           searchTerm,
           selectedVersion,
           selectedCategory,
-          setSearchFilter,
+          setSearchFacets: updateSearchFacets,
+          setSearchFilter: updateSearchFilter,
           setSelectedVersion,
           setSelectedCategory,
           setShowMobileFilters,
@@ -319,8 +578,9 @@ const SearchResults = () => {
         {!!searchTerm ? (
           <SearchResultsContainer>
             <HeaderContainer>
-              <HeaderText>Search results for "{searchTerm}"</HeaderText>
-              {!!searchFilter && (
+              <SearchInput />
+              <HeaderText>{t('searchResults.heading', { searchTerm })}</HeaderText>
+              {(!!searchFilter || hasSearchFacets(searchFacets)) && (
                 <FilterBadgesWrapper>
                   {selectedCategory && (
                     <StyledTag variant="green" onClick={resetFilters}>
@@ -329,6 +589,18 @@ const SearchResults = () => {
                     </StyledTag>
                   )}
                   {selectedVersion && <StyledTag variant="blue">{selectedVersion}</StyledTag>}
+                  {searchFacets.products.map((product) => (
+                    <StyledTag key={product} variant="green" onClick={() => removeProductFacet(product)}>
+                      {product}
+                      <Icon glyph="X" />
+                    </StyledTag>
+                  ))}
+                  {CONTENT_TYPES.filter((value) => searchFacets.contentTypes.includes(value)).map((value) => (
+                    <StyledTag key={value} variant="purple">
+                      {t(`searchFilters.contentType.${value}`)}
+                    </StyledTag>
+                  ))}
+                  {searchFacets.latestOnly && <StyledTag variant="blue">{t('searchFilters.latestOnly')}</StyledTag>}
                 </FilterBadgesWrapper>
               )}
               <MobileSearchButtonWrapper>
@@ -343,9 +615,7 @@ const SearchResults = () => {
                   {searchResults.map(({ title, preview, url, searchProperty }, index) => (
                     <StyledSearchResult
                       key={`${url}${index}`}
-                      onClick={() =>
-                        reportAnalytics('SearchSelection', { areaFrom: 'ResultsPage', rank: index, selectionUrl: url })
-                      }
+                      onClick={() => onResultClick(index, url)}
                       title={title}
                       preview={escapeHtml(preview)}
                       url={url}
@@ -358,6 +628,14 @@ const SearchResults = () => {
                   <FilterHeader>{specifySearchText}</FilterHeader>
                   <StyledSearchFilters />
                 </FiltersContainer>
+                <PaginationContainer ref={loadMoreSentinel}>
+                  <ResultCount>{resultCountText}</ResultCount>
+                  {hasMoreResults && (
+                    <Button disabled={isLoadingMore} onClick={loadMoreResults}>
+                      {t(isLoadingMore ? 'searchResults.loading' : 'searchResults.loadMore')}
+                    </Button>
+                  )}
+                </PaginationContainer>
               </>
             ) : (
               <>
@@ -0,0 +1,49 @@
+import React, { useContext, useState } from 'react';
+import PropTypes from 'prop-types';
+import styled from '@emotion/styled';
+import Button from '@leafygreen-ui/button';
+import Icon from '@leafygreen-ui/icon';
+import { VersionContext } from '../../context/version-context';
+import { useTranslation } from '../../hooks/use-translation';
+import useCopyClipboard from '../../hooks/useCopyClipboard';
+import { theme } from '../../theme/docsTheme';
+import { isBrowser } from '../../utils/is-browser';
+import { getUrlWithVersionParams } from '../../utils/version-params';
+
+const Container = styled('div')`
+  padding: ${theme.size.small} ${theme.size.medium};
+`;
+
+// Copies a link to the current page that reproduces the versions selected for each product in the ToC
+const CopyVersionsLink = ({ projects }) => {
+  const { activeVersions } = useContext(VersionContext);
+  const { t } = useTranslation();
+  const [copied, setCopied] = useState(false);
+  const [buttonNode, setButtonNode] = useState(null);
+
+  const pinnedVersions = Object.fromEntries(
+    projects.filter((project) => activeVersions[project]).map((project) => [project, activeVersions[project]])
+  );
+  const url = isBrowser ? getUrlWithVersionParams(window.location.href, pinnedVersions) : '';
+
+  useCopyClipboard(copied, setCopied, buttonNode, url);
+
+  return (
+    <Container>
+      <Button
+        ref={setButtonNode}
+        size="xsmall"
+        leftGlyph={<Icon glyph={copied ? 'Checkmark' : 'Link'} />}
+        onClick={() => setCopied(true)}
+      >
+        {t(copied ? 'copyVersionsLink.copied' : 'copyVersionsLink.copy')}
+      </Button>
+    </Container>
+  );
+};
+
+CopyVersionsLink.propTypes = {
+  projects: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+export default CopyVersionsLink;
@@ -1,13 +1,20 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import CopyVersionsLink from './CopyVersionsLink';
 import TOCNode from './TOCNode';
 
 const Toctree = ({ handleClick, slug, toctree: { children } }) => {
+  // Products whose version can be chosen in the ToC, as in the merged ToC of an umbrella product
+  const versionedProjects = children
+    .filter((c) => c.options?.project && c.options?.versions?.length > 1)
+    .map((c) => c.options.project);
+
   return (
     <>
       {children.map((c) => (
         <TOCNode key={c.slug || c.url || c.options?.urls} activeSection={slug} handleClick={handleClick} node={c} />
       ))}
+      {versionedProjects.length > 0 && <CopyVersionsLink projects={versionedProjects} />}
     </>
   );
 };
@@ -1,5 +1,6 @@
 import React, { useContext, useMemo } from 'react';
 import { useTheme, css } from '@emotion/react';
+import { useTranslation } from '../../hooks/use-translation';
 import Select from '../Select';
 import { getPlaintext } from '../../utils/get-plaintext';
 import { reportAnalytics } from '../../utils/report-analytics';
@@ -7,14 +8,12 @@ import { TabContext } from './tab-context';
 
 const capitalizeFirstLetter = (str) => str.trim().replace(/^\w/, (c) => c.toUpperCase());
 
-const getLabel = (name) => {
+const getLabel = (name, t) => {
   switch (name) {
     case 'drivers':
-      return 'Select your language';
     case 'deployments':
-      return 'Select your deployment type';
     case 'platforms':
-      return 'Select your platform';
+      return t(`tabSelectors.${name}`);
     default:
       capitalizeFirstLetter(name);
   }
@@ -30,6 +29,7 @@ const makeChoices = ({ name, iconMapping, options }) =>
 const TabSelector = ({ activeTab, handleClick, iconMapping, name, options }) => {
   const choices = useMemo(() => makeChoices({ name, iconMapping, options }), [name, iconMapping, options]);
   const { screenSize } = useTheme();
+  const { t } = useTranslation();
   return (
     <Select
       css={css`
@@ -46,7 +46,7 @@ const TabSelector = ({ activeTab, handleClick, iconMapping, name, options }) =>
         }
       `}
       choices={choices}
-      label={getLabel(name)}
+      label={getLabel(name, t)}
       onChange={({ value }) => {
         handleClick({ name, value });
         reportAnalytics('LanguageSelection', {
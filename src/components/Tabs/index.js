@@ -4,6 +4,7 @@ import { css, cx } from '@leafygreen-ui/emotion';
 import { Tabs as LeafyTabs, Tab as LeafyTab } from '@leafygreen-ui/tabs';
 import { CodeProvider } from '../Code/code-context';
 import ComponentFactory from '../ComponentFactory';
+import PrintModeContext from '../Print/print-mode-context';
 import { theme } from '../../theme/docsTheme';
 import { reportAnalytics } from '../../utils/report-analytics';
 import { getNestedValue } from '../../utils/get-nested-value';
@@ -85,8 +86,14 @@ const getTabStyling = ({ isProductLanding }) => css`
   margin-top: 24px;
 `;
 
+const printTabTitleStyling = css`
+  font-weight: 600;
+  margin-top: ${theme.size.medium};
+`;
+
 const Tabs = ({ nodeData: { children, options = {} }, page, ...rest }) => {
   const { activeTabs, selectors, setActiveTab } = useContext(TabContext);
+  const { isInPrintMode } = useContext(PrintModeContext);
   const tabIds = children.map((child) => getTabId(child));
   const tabsetName = options.tabset || generateAnonymousTabsetName(tabIds);
   const [activeTab, setActiveTabIndex] = useState(0);
@@ -133,6 +140,34 @@ const Tabs = ({ nodeData: { children, options = {} }, page, ...rest }) => {
     [setActiveTab, tabIds, tabsetName] // eslint-disable-line react-hooks/exhaustive-deps
   );
 
+  const renderTabTitle = (tab) => {
+    const tabId = getTabId(tab);
+    return tab.argument.length > 0
+      ? tab.argument.map((arg, i) => <ComponentFactory {...rest} key={`${tabId}-arg-${i}`} nodeData={arg} />)
+      : tabId;
+  };
+
+  const renderTabContent = (tab) => {
+    const tabId = getTabId(tab);
+    return tab.children.map((child, i) => <ComponentFactory {...rest} key={`${tabId}-${i}`} nodeData={child} />);
+  };
+
+  // Printed pages show the content of every tab, one after another
+  if (isInPrintMode) {
+    return (
+      <CodeProvider>
+        {children
+          .filter((tab) => tab.name === 'tab')
+          .map((tab) => (
+            <div key={getTabId(tab)}>
+              <div className={cx(printTabTitleStyling)}>{renderTabTitle(tab)}</div>
+              {renderTabContent(tab)}
+            </div>
+          ))}
+      </CodeProvider>
+    );
+  }
+
   return (
     <>
       <div ref={scrollAnchorRef} aria-hidden="true"></div>
@@ -148,17 +183,13 @@ const Tabs = ({ nodeData: { children, options = {} }, page, ...rest }) => {
               return null;
             }
 
-            const tabId = getTabId(tab);
-            const tabTitle =
-              tab.argument.length > 0
-                ? tab.argument.map((arg, i) => <ComponentFactory {...rest} key={`${tabId}-arg-${i}`} nodeData={arg} />)
-                : tabId;
-
             return (
-              <LeafyTab className={cx(getTabStyling({ isProductLanding }))} key={tabId} name={tabTitle}>
-                {tab.children.map((child, i) => (
-                  <ComponentFactory {...rest} key={`${tabId}-${i}`} nodeData={child} />
-                ))}
+              <LeafyTab
+                className={cx(getTabStyling({ isProductLanding }))}
+                key={getTabId(tab)}
+                name={renderTabTitle(tab)}
+              >
+                {renderTabContent(tab)}
               </LeafyTab>
             );
           })}
@@ -1,7 +1,28 @@
-import React from 'react';
+import React, { useContext } from 'react';
 import PropTypes from 'prop-types';
+import { splitByHighlight } from '../utils/search-highlight';
+import SearchHighlightContext from './SearchHighlight/search-highlight-context';
+import SearchHighlightMark from './SearchHighlight/SearchHighlightMark';
 
-const Text = ({ nodeData: { value } }) => <React.Fragment>{value}</React.Fragment>;
+const Text = ({ nodeData: { value } }) => {
+  const { highlightPattern } = useContext(SearchHighlightContext);
+
+  if (!highlightPattern) {
+    return <React.Fragment>{value}</React.Fragment>;
+  }
+
+  return (
+    <React.Fragment>
+      {splitByHighlight(value, highlightPattern).map(({ text, isMatch }, index) =>
+        isMatch ? (
+          <SearchHighlightMark key={index}>{text}</SearchHighlightMark>
+        ) : (
+          <React.Fragment key={index}>{text}</React.Fragment>
+        )
+      )}
+    </React.Fragment>
+  );
+};
 
 Text.propTypes = {
   nodeData: PropTypes.shape({
@@ -0,0 +1,192 @@
+import React, { useContext, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import styled from '@emotion/styled';
+import Badge from '@leafygreen-ui/badge';
+import Button from '@leafygreen-ui/button';
+import { palette } from '@leafygreen-ui/palette';
+import { DOCUMENTS_COLLECTION, METADATA_COLLECTION } from '../../build-constants';
+import { VersionContext } from '../../context/version-context';
+import { useSiteMetadata } from '../../hooks/use-site-metadata';
+import { useTranslation } from '../../hooks/use-translation';
+import { theme } from '../../theme/docsTheme';
+import { compareBranchesWithVersionNumbers } from '../../utils/compare-branches-with-version-numbers';
+import { diffPageAsts } from '../../utils/diff-page-asts';
+import { isFlagOptionSet } from '../../utils/is-flag-option-set';
+import { fetchDocuments } from '../../utils/realm';
+import Select from '../Select';
+import PrintModeContext from '../Print/print-mode-context';
+import { getUILabel } from '../VersionDropdown';
+
+const Container = styled('div')`
+  margin: ${theme.size.default} 0;
+`;
+
+const Panel = styled('div')`
+  border: 1px solid ${palette.gray.light2};
+  border-radius: ${theme.size.small};
+  margin-top: ${theme.size.default};
+  padding: ${theme.size.default};
+`;
+
+const PanelHeader = styled('div')`
+  align-items: center;
+  display: flex;
+  justify-content: space-between;
+  margin-bottom: ${theme.size.default};
+`;
+
+const SectionTitle = styled('p')`
+  align-items: center;
+  display: flex;
+  font-weight: 600;
+  gap: ${theme.size.small};
+  margin: ${theme.size.default} 0 ${theme.size.small};
+`;
+
+const Change = styled('div')`
+  background-color: ${({ type }) => (type === 'added' ? palette.green.light3 : palette.red.light3)};
+  border-left: 3px solid ${({ type }) => (type === 'added' ? palette.green.base : palette.red.base)};
+  margin-bottom: ${theme.size.tiny};
+  padding: ${theme.size.tiny} ${theme.size.small};
+  text-decoration: ${({ type }) => (type === 'removed' ? 'line-through' : 'none')};
+
+  pre {
+    margin: 0;
+    white-space: pre-wrap;
+  }
+`;
+
+const BADGE_VARIANTS = { added: 'green', changed: 'yellow', removed: 'red' };
+
+// Page option that adds the comparison to a page
+const VERSION_DIFF_OPTION = 'version-diff';
+
+// Fetches the AST of the page with the given slug from another branch of the docs property. Branches may be built
+// by a different parser user than this one, so the page id prefix is read from the branch's latest metadata,
+// leaving out the metadata of patch and staging builds.
+const fetchPageAst = async ({ database, project }, branch, slug) => {
+  const [metadata] = await fetchDocuments(
+    database,
+    METADATA_COLLECTION,
+    { project, branch, commit_hash: { $exists: false }, patch_id: { $exists: false } },
+    { page_id: 1 },
+    { sort: { build_id: -1 } }
+  );
+  const pageIdPrefix = metadata?.page_id;
+  if (!pageIdPrefix) {
+    return null;
+  }
+
+  const query = {
+    page_id: `${pageIdPrefix}/${slug === '/' ? 'index' : slug}`,
+    commit_hash: { $exists: false },
+    patch_id: { $exists: false },
+  };
+  const [document] = await fetchDocuments(database, DOCUMENTS_COLLECTION, query, { ast: 1 });
+  return document?.ast;
+};
+
+// Lets readers see how the sections, paragraphs and code blocks of a page changed since another version, on pages
+// with the version-diff option
+const VersionDiff = ({ page, slug }) => {
+  const siteMetadata = useSiteMetadata();
+  const { parserBranch, project } = siteMetadata;
+  const { availableVersions } = useContext(VersionContext);
+  const { isInPrintMode } = useContext(PrintModeContext);
+  const { t } = useTranslation();
+  const [comparison, setComparison] = useState(null);
+  // Branch of the latest request, so that responses to earlier selections are ignored
+  const latestBranch = useRef(null);
+
+  const otherBranches = (availableVersions[project] || []).filter(
+    ({ gitBranchName }) => gitBranchName !== parserBranch
+  );
+  if (isInPrintMode || !isFlagOptionSet(page.options, VERSION_DIFF_OPTION) || !otherBranches.length) {
+    return null;
+  }
+
+  const compareWith = async (gitBranchName) => {
+    const label = getUILabel(otherBranches.find((branch) => branch.gitBranchName === gitBranchName));
+    // Changes are always shown from the older version to the newer one
+    const isNewer = compareBranchesWithVersionNumbers(gitBranchName, parserBranch) < 0;
+    latestBranch.current = gitBranchName;
+    setComparison({ gitBranchName, isNewer, label, status: 'loading' });
+
+    let result;
+    try {
+      const otherAst = await fetchPageAst(siteMetadata, gitBranchName, slug);
+      const changes = otherAst && (isNewer ? diffPageAsts(page, otherAst) : diffPageAsts(otherAst, page));
+      result = otherAst ? { status: 'done', changes } : { status: 'missing' };
+    } catch (err) {
+      console.error(err);
+      result = { status: 'error' };
+    }
+    if (latestBranch.current === gitBranchName) {
+      setComparison({ gitBranchName, isNewer, label, ...result });
+    }
+  };
+
+  const getComparisonTitle = ({ isNewer, label }) =>
+    t(isNewer ? 'versionDiff.titleNewer' : 'versionDiff.title', { version: label });
+
+  const closeComparison = () => {
+    latestBranch.current = null;
+    setComparison(null);
+  };
+
+  const renderChanges = (changes) => {
+    if (!changes.length) {
+      return <p>{t('versionDiff.noChanges')}</p>;
+    }
+    return changes.map(({ codeBlocks = [], id, paragraphs = [], status, title }) => (
+      <div key={`${status}-${id}`}>
+        <SectionTitle>
+          {title || id}
+          <Badge variant={BADGE_VARIANTS[status]}>{t(`versionDiff.${status}`)}</Badge>
+        </SectionTitle>
+        {paragraphs.map(({ type, value }, i) => (
+          <Change key={`paragraph-${i}`} type={type} data-change={type}>
+            {value}
+          </Change>
+        ))}
+        {codeBlocks.map(({ type, value }, i) => (
+          <Change key={`code-${i}`} type={type} data-change={type}>
+            <pre>{value}</pre>
+          </Change>
+        ))}
+      </div>
+    ));
+  };
+
+  return (
+    <Container>
+      <Select
+        choices={otherBranches.map((branch) => ({ text: getUILabel(branch), value: branch.gitBranchName }))}
+        defaultText={t('versionDiff.compare')}
+        onChange={({ value }) => compareWith(value)}
+        value={comparison?.gitBranchName}
+      />
+      {comparison && (
+        <Panel aria-label={getComparisonTitle(comparison)} role="region">
+          <PanelHeader>
+            <strong>{getComparisonTitle(comparison)}</strong>
+            <Button size="xsmall" onClick={closeComparison}>
+              {t('versionDiff.close')}
+            </Button>
+          </PanelHeader>
+          {comparison.status === 'loading' && <p>{t('versionDiff.loading')}</p>}
+          {comparison.status === 'missing' && <p>{t('versionDiff.missing', { version: comparison.label })}</p>}
+          {comparison.status === 'error' && <p>{t('versionDiff.error')}</p>}
+          {comparison.status === 'done' && renderChanges(comparison.changes)}
+        </Panel>
+      )}
+    </Container>
+  );
+};
+
+VersionDiff.propTypes = {
+  page: PropTypes.object.isRequired,
+  slug: PropTypes.string.isRequired,
+};
+
+export default VersionDiff;
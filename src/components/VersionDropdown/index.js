@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import styled from '@emotion/styled';
 import { cx, css as LeafyCSS } from '@leafygreen-ui/emotion';
@@ -6,7 +6,9 @@ import { palette } from '@leafygreen-ui/palette';
 import { Option, OptionGroup, Select } from '@leafygreen-ui/select';
 import { navigate as reachNavigate } from '@gatsbyjs/reach-router';
 import { useSiteMetadata } from '../../hooks/use-site-metadata';
+import { useTranslation } from '../../hooks/use-translation';
 import { theme } from '../../theme/docsTheme';
+import { fetchBranchSlugs, isPageMissing, resolveBranchUrl } from '../../utils/branch-slugs';
 import { getUrl } from '../../utils/url-utils';
 import { useCurrentUrlSlug, getBranchSlug } from '../../hooks/use-current-url-slug';
 
@@ -86,12 +88,11 @@ const getBranch = (branchName = '', branches = []) => {
   return branchCandidates?.[0] || null;
 };
 
-const createOption = (branch) => {
-  const UIlabel = getUILabel(branch);
+const createOption = (branch, label = getUILabel(branch)) => {
   const slug = getBranchSlug(branch);
   return (
     <Option key={slug} value={slug}>
-      {UIlabel}
+      {label}
     </Option>
   );
 };
@@ -99,10 +100,13 @@ const createOption = (branch) => {
 const VersionDropdown = ({ repoBranches: { branches, groups, siteBasePrefix }, slug, eol }) => {
   const siteMetadata = useSiteMetadata();
   const { parserBranch, project } = siteMetadata;
+  const { t } = useTranslation();
 
   // Attempts to reconcile differences between urlSlug and the parserBranch provided to this component
   // Used to ensure that the value of the select is set to the urlSlug if the urlSlug is present and differs from the gitBranchName
   const currentUrlSlug = useCurrentUrlSlug(parserBranch, branches);
+  // Slugs built for each other version, keyed by branch slug
+  const [slugsByBranch, setSlugsByBranch] = useState({});
 
   if ((branches?.length ?? 0) < 2) {
     console.warn('Insufficient branches supplied to VersionDropdown; expected 2 or more');
@@ -123,11 +127,33 @@ const VersionDropdown = ({ repoBranches: { branches, groups, siteBasePrefix }, s
 
   // Used exclusively by the LG Select component's onChange function, which receives
   // the 'value' prop from the selected Option component
-  const navigate = (optionValue) => {
-    const destination = getUrl(optionValue, project, siteMetadata, siteBasePrefix, slug);
+  const navigate = async (optionValue) => {
+    const destination =
+      optionValue === 'legacy'
+        ? getUrl(optionValue, project, siteMetadata, siteBasePrefix, slug)
+        : await resolveBranchUrl(getUrl(optionValue, project, siteMetadata, siteBasePrefix, ''), slug);
     reachNavigate(destination);
   };
 
+  // Manifests are only fetched once the reader shows interest in switching versions
+  const loadBranchSlugs = () => {
+    branches.forEach((branch) => {
+      const branchSlug = getBranchSlug(branch);
+      if (!branch['active'] || branchSlug === currentUrlSlug || branchSlug in slugsByBranch) {
+        return;
+      }
+      fetchBranchSlugs(getUrl(branchSlug, project, siteMetadata, siteBasePrefix, '')).then((slugs) =>
+        setSlugsByBranch((prev) => ({ ...prev, [branchSlug]: slugs }))
+      );
+    });
+  };
+
+  // Versions without the current page stay selectable, since navigating falls back to the closest parent page
+  const createBranchOption = (branch) =>
+    isPageMissing(slugsByBranch[getBranchSlug(branch)], slug)
+      ? createOption(branch, t('versionDropdown.pageMissing', { version: getUILabel(branch) }))
+      : createOption(branch);
+
   const activeUngroupedBranches = getActiveUngroupedBranches(branches, groups) || [];
 
   const eolVersionFlipperStyle = LeafyCSS`
@@ -148,18 +174,20 @@ const VersionDropdown = ({ repoBranches: { branches, groups, siteBasePrefix }, s
       aria-labelledby="View a different version of documentation."
       defaultValue="master"
       onChange={navigate}
+      onFocus={loadBranchSlugs}
+      onMouseEnter={loadBranchSlugs}
       placeholder={'Select a version'}
       popoverZIndex={3}
       value={currentUrlSlug}
       usePortal={false}
       disabled={eol}
     >
-      {activeUngroupedBranches?.map((b) => createOption(b))}
+      {activeUngroupedBranches?.map((b) => createBranchOption(b))}
       {groups?.map((group) => {
         const { groupLabel, includedBranches: groupedBranchNames = [] } = group;
         return (
           <OptionGroup key={groupLabel} label={groupLabel}>
-            <>{groupedBranchNames?.map((bn) => createOption(getBranch(bn, branches)))}</>
+            <>{groupedBranchNames?.map((bn) => createBranchOption(getBranch(bn, branches)))}</>
           </OptionGroup>
         );
       })}
@@ -12,7 +12,8 @@ export const REF_TARGETS = {
   'configuration-options': 'https://www.mongodb.com/docs/manual/reference/configuration-options/#configuration-options',
 };
 
-export const MARIAN_URL = process.env.GATSBY_MARIAN_URL || 'https://docs-search-transport.mongodb.com/';
+// An empty GATSBY_MARIAN_URL leaves Marian out, so that search only uses the site's own index
+export const MARIAN_URL = process.env.GATSBY_MARIAN_URL ?? 'https://docs-search-transport.mongodb.com/';
 
 // Class names to be used by mut for search indexing
 // https://github.com/mongodb/mut/blob/master/mut/index/Document.py#L68
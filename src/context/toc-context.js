@@ -53,16 +53,23 @@ const TocContextProvider = ({ children, remoteMetadata }) => {
         if (!node?.options?.versions || !node?.options?.project) {
           continue;
         }
-        if (
-          !activeVersions[node.options.project] ||
-          !node.options.versions.includes(activeVersions[node.options.project])
-        ) {
+        const activeVersion = activeVersions[node.options.project];
+        if (!activeVersion || !node.options.versions.includes(activeVersion)) {
+          // versions pinned by URL parameters may be given by url slug or alias rather than git branch name
+          const pinnedBranch =
+            activeVersion &&
+            availableVersions[node.options.project].find(
+              (b) =>
+                (b.urlSlug === activeVersion || b.urlAliases?.includes(activeVersion)) &&
+                node.options.versions.includes(b.gitBranchName)
+            );
           // assumption is that first branch in pool.repos_branches
           // exists as a toc node here. otherwise, fallback to first ToC option
           const gitBranchNames = availableVersions[node.options.project].map((b) => b.gitBranchName);
           const intersection = gitBranchNames.filter((b) => node.options.versions.includes(b));
           setActiveVersions({
-            [node.options.project]: intersection.length ? intersection[0] : node.options.versions[0],
+            [node.options.project]:
+              pinnedBranch?.gitBranchName ?? (intersection.length ? intersection[0] : node.options.versions[0]),
           });
         }
       }
@@ -3,9 +3,12 @@ import { navigate } from '@gatsbyjs/reach-router';
 import { BRANCHES_COLLECTION, METADATA_COLLECTION } from '../build-constants';
 import { useSiteMetadata } from '../hooks/use-site-metadata';
 import { useCurrentUrlSlug } from '../hooks/use-current-url-slug';
+import { resolveBranchUrl } from '../utils/branch-slugs';
 import { getLocalValue, setLocalValue } from '../utils/browser-storage';
 import { fetchDocument, fetchDocuments } from '../utils/realm';
+import { isBrowser } from '../utils/is-browser';
 import { getUrl } from '../utils/url-utils';
+import { getVersionsFromParams } from '../utils/version-params';
 import useSnootyMetadata from '../utils/use-snooty-metadata';
 
 // <-------------- begin helper functions -------------->
@@ -88,9 +91,10 @@ const getDefaultActiveVersions = ([metadata, associatedReposInfo]) => {
   const { project, parserBranch } = metadata;
   let versions = {};
   versions[project] = parserBranch;
-  // return this merged with local storage
+  // return this merged with local storage and any versions pinned by the URL
   versions = {
     ...getLocalValue(STORAGE_KEY),
+    ...getVersionsFromParams(isBrowser ? window.location.search : ''),
     ...versions,
   };
 
@@ -193,8 +197,9 @@ const VersionContextProvider = ({ repoBranches, associatedReposInfo, isAssociate
         return;
       }
       const target = targetBranch.urlSlug || targetBranch.urlAliases[0] || targetBranch.gitBranchName;
-      const urlTarget = getUrl(target, metadata.project, metadata, repoBranches?.siteBasePrefix, slug);
-      navigate(urlTarget);
+      // Land on the closest parent page if the target version doesn't have this one
+      const branchUrl = getUrl(target, metadata.project, metadata, repoBranches?.siteBasePrefix, '');
+      resolveBranchUrl(branchUrl, slug).then(navigate);
     },
     [availableVersions, metadata, repoBranches, slug]
   );
@@ -0,0 +1,4 @@
+// Registers a docs property's own directives and roles with ComponentFactory. Snooty's defaults register
+// nothing; point the path option of gatsby-plugin-directive-config in gatsby-config.js at another module with the
+// same shape. See src/utils/directive-registry.js
+module.exports = () => {};
@@ -12,9 +12,14 @@ export const useMarianManifests = () => {
 
   useEffect(() => {
     async function fetchManifests(propertyMapping) {
-      const result = await fetch(MARIAN_URL + `status`);
-      const jsonResult = await result.json();
-      setFilters(parseMarianManifests(jsonResult.manifests, propertyMapping));
+      try {
+        const result = await fetch(MARIAN_URL + `status`);
+        const jsonResult = await result.json();
+        setFilters(parseMarianManifests(jsonResult.manifests, propertyMapping));
+      } catch (err) {
+        // Search falls back to the local index without filters when Marian can't be reached
+        console.error('Failed to fetch Marian manifests.', err);
+      }
     }
     const fetchMapping = async () => {
       let mapping = {};
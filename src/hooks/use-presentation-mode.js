@@ -2,12 +2,12 @@ import { useMemo } from 'react';
 import queryString from 'query-string';
 import { useLocation } from '@gatsbyjs/reach-router';
 
-export const usePresentationMode = () => {
+const useQueryParam = (name) => {
   const { search } = useLocation();
-  const presentationResult = useMemo(() => {
-    const { presentation } = queryString.parse(search);
-    return presentation;
-  }, [search]);
-
-  return presentationResult;
+  return useMemo(() => queryString.parse(search)[name], [name, search]);
 };
+
+export const usePresentationMode = () => useQueryParam('presentation');
+
+// Print mode renders the page for printing or saving as a PDF
+export const usePrintMode = () => useQueryParam('print');
@@ -0,0 +1,27 @@
+import { useCallback, useEffect, useState } from 'react';
+import queryString from 'query-string';
+import { useLocation } from '@gatsbyjs/reach-router';
+import { HIGHLIGHT_PARAM } from '../utils/search-highlight';
+
+// Returns the search term carried over from the search results page and a function to stop highlighting it.
+// The term is only read once the page has mounted, so that it hydrates the same as the server-rendered page.
+export const useSearchHighlight = () => {
+  const { search } = useLocation();
+  const [highlightTerm, setHighlightTerm] = useState(null);
+
+  useEffect(() => {
+    const { [HIGHLIGHT_PARAM]: term } = queryString.parse(search);
+    setHighlightTerm(typeof term === 'string' && term.trim() ? term.trim() : null);
+  }, [search]);
+
+  const clearHighlight = useCallback(() => {
+    setHighlightTerm(null);
+    const params = queryString.parse(window.location.search);
+    delete params[HIGHLIGHT_PARAM];
+    const newSearch = queryString.stringify(params);
+    const { hash, pathname } = window.location;
+    window.history.replaceState(window.history.state, '', `${pathname}${newSearch ? `?${newSearch}` : ''}${hash}`);
+  }, []);
+
+  return [highlightTerm, clearHighlight];
+};
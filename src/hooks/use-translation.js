@@ -0,0 +1,10 @@
+import { useCallback } from 'react';
+import { translate } from '../i18n';
+import { getSiteLocale } from '../utils/locale';
+
+// Returns the locale of the doc set and a function that looks up UI copy in its message catalog
+export const useTranslation = () => {
+  const locale = getSiteLocale();
+  const t = useCallback((key, values) => translate(locale, key, values), [locale]);
+  return { locale, t };
+};
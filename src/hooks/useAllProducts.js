@@ -7,6 +7,7 @@ export const useAllProducts = () => {
       query AllProducts {
         allProduct {
           nodes {
+            project
             title
             url
           }
@@ -0,0 +1,21 @@
+import { DEFAULT_LOCALE } from '../utils/locale';
+import enUS from './en-us.json';
+
+// Message catalogs of the UI copy, keyed by locale. Messages missing from a catalog fall back to English.
+export const catalogs = {
+  [DEFAULT_LOCALE]: enUS,
+};
+
+export const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+/**
+ * Returns the message for a key in the given locale, with each `{name}` placeholder replaced by the value of the
+ * same name. Returns the key itself for messages missing from every catalog, so that they stand out.
+ */
+export const translate = (locale, key, values = {}) => {
+  const message = catalogs[locale]?.[key] ?? catalogs[DEFAULT_LOCALE][key];
+  if (message === undefined) {
+    return key;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+};
@@ -1,5 +1,7 @@
 const AdmZip = require('adm-zip');
 const BSON = require('bson');
+const fs = require('fs').promises;
+const path = require('path');
 const { initStitch } = require('../utils/setup/init-stitch');
 const { constructReposFilter } = require('../utils/setup/construct-repos-filter');
 const {
@@ -10,6 +12,8 @@ const {
 } = require('../build-constants');
 const { manifestMetadata, siteMetadata } = require('../utils/site-metadata');
 const { constructBuildFilter } = require('../utils/setup/construct-build-filter');
+const { fetchOfflineData, OFFLINE_DATA_ENTRY } = require('../utils/setup/fetch-offline-data');
+const { matchesQueryFilter } = require('../utils/setup/matches-query-filter');
 
 const DB = siteMetadata.database;
 const buildFilter = constructBuildFilter(siteMetadata);
@@ -50,10 +54,57 @@ class StitchInterface {
   }
 }
 
+// Serves the same queries as StitchInterface from data bundled alongside the parser output, allowing
+// a site to be built without network access
+class OfflineInterface {
+  constructor(documentDatabase) {
+    this.documentDatabase = documentDatabase;
+    this.data = null;
+  }
+
+  async connect() {
+    const bundledData = await this.documentDatabase.readEntry(OFFLINE_DATA_ENTRY);
+    this.data = fetchOfflineData(bundledData);
+  }
+
+  fetchAllProducts() {
+    return this.data.products;
+  }
+
+  fetchRepoBranches(project = siteMetadata.project) {
+    const filter = constructReposFilter(project, project === siteMetadata.project);
+    return this.data.repos_branches.find((repo) => matchesQueryFilter(repo, filter)) || null;
+  }
+
+  async fetchDocuments(collection, buildFilter) {
+    return (this.data[collection] || []).filter((doc) => matchesQueryFilter(doc, buildFilter));
+  }
+
+  async getMetadata(buildFilter, findOptions) {
+    const matches = this.data.metadata.filter((doc) => matchesQueryFilter(doc, buildFilter));
+    // The build only ever sorts metadata by build_id
+    const direction = findOptions?.sort?.build_id;
+    if (direction) {
+      matches.sort((a, b) => (a.build_id < b.build_id ? -1 : 1) * direction);
+    }
+    return matches[0] || null;
+  }
+}
+
 class ManifestDocumentDatabase {
   constructor(path) {
+    this.path = path;
     this.zip = new AdmZip(path);
-    this.stitchInterface = new StitchInterface();
+    this.metadata = null;
+    this.stitchInterface = siteMetadata.offlineBuild ? new OfflineInterface(this) : new StitchInterface();
+  }
+
+  async readEntry(entryName) {
+    const result = this.zip.getEntry(entryName);
+    if (result) {
+      return result.getData();
+    }
+    return null;
   }
 
   async connect() {
@@ -72,16 +123,82 @@ class ManifestDocumentDatabase {
     return result;
   }
 
+  // Re-opens the manifest after it has been rewritten, e.g. by the parser during development
+  reload() {
+    this.zip = new AdmZip(this.path);
+    const siteEntry = this.zip.getEntry('site.bson');
+    this.metadata = siteEntry ? BSON.deserialize(siteEntry.getData()) : null;
+  }
+
   async getMetadata() {
-    return manifestMetadata;
+    return this.metadata || manifestMetadata;
   }
 
   async getAsset(checksum) {
-    const result = this.zip.getEntry(`assets/${checksum}`);
-    if (result) {
-      return result.getData();
+    return this.readEntry(`assets/${checksum}`);
+  }
+
+  async fetchAllProducts() {
+    return this.stitchInterface.fetchAllProducts();
+  }
+}
+
+// Recursively lists every file beneath a directory
+const listFiles = async (dirPath) => {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  const nested = await Promise.all(
+    entries.map((entry) => {
+      const entryPath = path.join(dirPath, entry.name);
+      return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+    })
+  );
+  return nested.flat();
+};
+
+// Reads an unpacked parser output directory, laid out the same way as a manifest zip. Documents may be
+// stored as either BSON or JSON.
+class LocalDocumentDatabase {
+  constructor(dirPath) {
+    this.path = dirPath;
+    this.stitchInterface = siteMetadata.offlineBuild ? new OfflineInterface(this) : new StitchInterface();
+  }
+
+  async connect() {
+    await this.stitchInterface.connect();
+  }
+
+  async readEntry(entryName) {
+    try {
+      return await fs.readFile(path.join(this.path, entryName));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
     }
-    return null;
+  }
+
+  async getDocuments() {
+    const result = [];
+    const filePaths = await listFiles(path.join(this.path, 'documents'));
+    for (const filePath of filePaths) {
+      if (filePath.endsWith('.bson')) {
+        result.push(BSON.deserialize(await fs.readFile(filePath)));
+      } else if (filePath.endsWith('.json')) {
+        result.push(JSON.parse(await fs.readFile(filePath, 'utf8')));
+      }
+    }
+    return result;
+  }
+
+  // Read on every call, since the parser rewrites the directory's site.bson during development
+  async getMetadata() {
+    const siteData = await this.readEntry('site.bson');
+    return siteData ? BSON.deserialize(siteData) : {};
+  }
+
+  async getAsset(checksum) {
+    return this.readEntry(path.join('assets', checksum));
   }
 
   async fetchAllProducts() {
@@ -123,4 +240,5 @@ class StitchDocumentDatabase {
 }
 
 exports.manifestDocumentDatabase = new ManifestDocumentDatabase(process.env.GATSBY_MANIFEST_PATH);
+exports.localDocumentDatabase = new LocalDocumentDatabase(process.env.GATSBY_PARSER_OUTPUT_DIR);
 exports.stitchDocumentDatabase = new StitchDocumentDatabase();
@@ -8,7 +8,7 @@ import { Sidenav } from '../components/Sidenav';
 import RootProvider from '../components/RootProvider';
 import { getTemplate } from '../utils/get-template';
 import { useDelightedSurvey } from '../hooks/useDelightedSurvey';
-import { usePresentationMode } from '../hooks/use-presentation-mode';
+import { usePresentationMode, usePrintMode } from '../hooks/use-presentation-mode';
 import { theme } from '../theme/docsTheme';
 import useSnootyMetadata from '../utils/use-snooty-metadata';
 import { useRemoteMetadata } from '../hooks/use-remote-metadata';
@@ -77,13 +77,15 @@ const GlobalGrid = styled('div')`
 
 const DefaultLayout = ({
   children,
-  pageContext: { page, slug, repoBranches, template, associatedReposInfo, isAssociatedProduct },
+  pageContext: { page, printPages, slug, repoBranches, template, associatedReposInfo, isAssociatedProduct },
 }) => {
   const { sidenav } = getTemplate(template);
   const { chapters, guides, publishedBranches, slugToTitle, title, toctree, eol } = useSnootyMetadata();
   const remoteMetadata = useRemoteMetadata();
 
   const isInPresentationMode = usePresentationMode()?.toLocaleLowerCase() === 'true';
+  const isInPrintMode = usePrintMode()?.toLocaleLowerCase() === 'true' || !!printPages;
+  const hideChrome = isInPresentationMode || isInPrintMode;
 
   const pageTitle = React.useMemo(() => page?.options?.title || slugToTitle?.[slug === '/' ? 'index' : slug], [slug]); // eslint-disable-line react-hooks/exhaustive-deps
   useDelightedSurvey(slug);
@@ -100,9 +102,9 @@ const DefaultLayout = ({
         isAssociatedProduct={isAssociatedProduct}
         remoteMetadata={remoteMetadata}
       >
-        <GlobalGrid isInPresentationMode={isInPresentationMode}>
-          {!isInPresentationMode ? <Header sidenav={sidenav} eol={eol} /> : <div />}
-          {sidenav && !isInPresentationMode ? (
+        <GlobalGrid isInPresentationMode={hideChrome}>
+          {!hideChrome ? <Header sidenav={sidenav} eol={eol} /> : <div />}
+          {sidenav && !hideChrome ? (
             <Sidenav
               chapters={chapters}
               guides={guides}
@@ -133,6 +135,7 @@ DefaultLayout.propTypes = {
     page: PropTypes.shape({
       options: PropTypes.object,
     }).isRequired,
+    printPages: PropTypes.array,
     publishedBranches: PropTypes.object,
     slug: PropTypes.string,
     template: PropTypes.string,
@@ -0,0 +1,33 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import DeprecatedVersionArchive from '../components/DeprecatedVersionArchive';
+import MainColumn from '../components/MainColumn';
+import { findAllKeyValuePairs } from '../utils/find-all-key-value-pairs';
+import * as landingStyles from '../styles/landing.module.css';
+
+// Full-width page listing the documentation of every deprecated version, after the page's own introduction
+const Archive = ({ children, pageContext: { page } }) => {
+  // Pages that still place the archive with the deprecated-version-selector directive already render it
+  const hasArchiveDirective =
+    findAllKeyValuePairs(page?.children || [], 'name', 'deprecated-version-selector').length > 0;
+
+  return (
+    <div>
+      <MainColumn className={landingStyles.fullWidth}>
+        <div className={landingStyles.document}>
+          {children}
+          {!hasArchiveDirective && <DeprecatedVersionArchive />}
+        </div>
+      </MainColumn>
+    </div>
+  );
+};
+
+Archive.propTypes = {
+  children: PropTypes.oneOfType([PropTypes.arrayOf(PropTypes.node), PropTypes.node]),
+  pageContext: PropTypes.shape({
+    page: PropTypes.object,
+  }).isRequired,
+};
+
+export default Archive;
@@ -7,6 +7,7 @@ import InternalPageNav from '../components/InternalPageNav';
 import MainColumn from '../components/MainColumn';
 import RightColumn from '../components/RightColumn';
 import TabSelectors from '../components/Tabs/TabSelectors';
+import VersionDiff from '../components/VersionDiff';
 import { useSiteMetadata } from '../hooks/use-site-metadata';
 import useSnootyMetadata from '../utils/use-snooty-metadata';
 import AssociatedVersionSelector from '../components/AssociatedVersionSelector';
@@ -41,6 +42,7 @@ const Document = ({ children, pageContext: { slug, page, repoBranches, isAssocia
       <StyledMainColumn>
         <div className="body">
           <Breadcrumbs homeUrl={breadcrumbsHomeUrl} pageTitle={breadcrumbsPageTitle} siteTitle={title} slug={slug} />
+          <VersionDiff page={page} slug={slug} />
           {children}
           {showPrevNext && <InternalPageNav slug={slug} slugTitleMapping={slugToTitle} toctreeOrder={toctreeOrder} />}
         </div>
@@ -1,3 +1,4 @@
+import Archive from './archive';
 import Blank from './blank';
 import Document from './document';
 import DriversIndex from './drivers-index';
@@ -7,4 +8,4 @@ import NotFound from './NotFound';
 import OpenAPITemplate from './openapi';
 import ProductLanding from './product-landing';
 
-export { Blank, Document, DriversIndex, Instruqt, Landing, NotFound, OpenAPITemplate, ProductLanding };
+export { Archive, Blank, Document, DriversIndex, Instruqt, Landing, NotFound, OpenAPITemplate, ProductLanding };
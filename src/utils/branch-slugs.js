@@ -0,0 +1,33 @@
+import { assertTrailingSlash } from './assert-trailing-slash';
+import { normalizePath } from './normalize-path';
+import { normalizeSlug } from './normalize-slug';
+import { findClosestSlug, SLUG_MANIFEST_FILENAME } from './slug-manifest';
+
+const manifests = {};
+
+// Fetches the slug manifest of the version hosted at branchUrl once, resolving to null if it can't be read,
+// as for versions built before manifests were introduced
+export const fetchBranchSlugs = (branchUrl) => {
+  if (!manifests[branchUrl]) {
+    manifests[branchUrl] = fetch(`${assertTrailingSlash(branchUrl)}${SLUG_MANIFEST_FILENAME}`)
+      .then((result) => (result.ok ? result.json() : Promise.reject(new Error(result.statusText))))
+      .catch((err) => {
+        console.warn(`Could not load the pages available at ${branchUrl}: ${err.message}`);
+        return null;
+      });
+  }
+  return manifests[branchUrl];
+};
+
+// Returns true if a version's manifest was loaded and does not list the page
+export const isPageMissing = (slugs, slug) => !!slugs && !slugs.includes(normalizeSlug(slug));
+
+/**
+ * Returns the URL of the page in the version hosted at branchUrl that is closest to slug.
+ * Falls back to the same slug when that version's manifest can't be loaded.
+ */
+export const resolveBranchUrl = async (branchUrl, slug) => {
+  const slugs = await fetchBranchSlugs(branchUrl);
+  const target = (slugs && findClosestSlug(slug, slugs)) || slug;
+  return assertTrailingSlash(normalizePath(`${branchUrl}/${target === '/' ? '' : target}`));
+};
@@ -0,0 +1,135 @@
+// Names of the AST nodes handled by ComponentFactory. These live outside of the component tree so that the
+// build can validate page ASTs without loading any React components.
+
+const IGNORED_NAMES = new Set([
+  'contents',
+  'default-domain',
+  'entry',
+  'ia',
+  'raw',
+  'short-description',
+  'tabs-pillstrip',
+  'tabs-selector',
+  'toctree',
+  'meta',
+]);
+const IGNORED_TYPES = new Set(['comment', 'inline_target', 'named_reference', 'substitution_definition']);
+const DEPRECATED_ADMONITIONS = new Set(['admonition', 'topic', 'caution', 'danger']);
+// Keys of Admonition's admonitionMap, checked against it in tests/unit/ComponentFactory.test.js
+const ADMONITION_NAMES = new Set(['example', 'important', 'note', 'tip', 'see', 'seealso', 'warning']);
+const VALID_DOMAINS = ['mongodb', 'std'];
+
+// Keys of ComponentFactory's roleMap, checked against it in tests/unit/ComponentFactory.test.js
+const ROLE_NAMES = new Set([
+  'abbr',
+  'class',
+  'command',
+  'file',
+  'guilabel',
+  'icon',
+  'highlight-blue',
+  'highlight-green',
+  'highlight-red',
+  'highlight-yellow',
+  'icon-fa5',
+  'icon-fa5-brands',
+  'icon-fa4',
+  'icon-mms',
+  'icon-charts',
+  'kbd',
+  'red',
+  'required',
+  'sub',
+  'subscript',
+  'sup',
+  'superscript',
+]);
+
+// Keys of ComponentFactory's componentMap: directive names, and the types of all other nodes
+const COMPONENT_NAMES = new Set([
+  'admonition',
+  'banner',
+  'blockquote',
+  'button',
+  'card',
+  'card-group',
+  'chapter',
+  'chapters',
+  'class',
+  'code',
+  'io-code-block',
+  'cond',
+  'container',
+  'cssclass',
+  'cta',
+  'cta-banner',
+  'definitionList',
+  'definitionListItem',
+  'deprecated',
+  'deprecated-version-selector',
+  'describe',
+  'drivers-index-tiles',
+  'emphasis',
+  'extract',
+  'field',
+  'field_list',
+  'figure',
+  'footnote',
+  'footnote_reference',
+  'glossary',
+  'glossary_term',
+  'guide-next',
+  'heading',
+  'hlist',
+  'image',
+  'include',
+  'instruqt',
+  'introduction',
+  'kicker',
+  'line',
+  'line_block',
+  'list',
+  'listItem',
+  'list-table',
+  'literal',
+  'literal_block',
+  'literalinclude',
+  'mongo-web-shell',
+  'only',
+  'openapi',
+  'paragraph',
+  'procedure',
+  'quiz',
+  'quizchoice',
+  'ref_role',
+  'reference',
+  'release_specification',
+  'root',
+  'rubric',
+  'search-results',
+  'section',
+  'sharedinclude',
+  'speaker-notes',
+  'strong',
+  'substitution_reference',
+  'tabs',
+  'target',
+  'text',
+  'time',
+  'title_reference',
+  'topic',
+  'transition',
+  'versionadded',
+  'versionchanged',
+  'video',
+]);
+
+module.exports = {
+  ADMONITION_NAMES,
+  COMPONENT_NAMES,
+  DEPRECATED_ADMONITIONS,
+  IGNORED_NAMES,
+  IGNORED_TYPES,
+  ROLE_NAMES,
+  VALID_DOMAINS,
+};
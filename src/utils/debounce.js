@@ -1,9 +1,12 @@
 export default function debounce(fn, delay) {
   let timer = null;
-  return () => {
+  const debounced = function (...args) {
     clearTimeout(timer);
-    timer = setTimeout(function () {
-      fn.apply(this, arguments);
+    timer = setTimeout(() => {
+      fn.apply(this, args);
     }, delay);
   };
+  // Drops a call that is still waiting for the delay to pass
+  debounced.cancel = () => clearTimeout(timer);
+  return debounced;
 }
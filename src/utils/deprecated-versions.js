@@ -0,0 +1,93 @@
+import { translate } from '../i18n';
+import { getSiteUrl } from './get-site-url';
+import { DEFAULT_LOCALE } from './locale';
+
+// Display names of the products listed in deprecated_versions, for those without a matching entry in the products
+// collection until every entry there has a project field
+const PROPERTY_NAME_MAPPING = {
+  'atlas-open-service-broker': 'MongoDB Atlas Open Service Broker on Kubernetes',
+  'bi-connector': 'MongoDB Connector for BI',
+  charts: 'MongoDB Charts',
+  cloud: 'MongoDB Atlas',
+  compass: 'MongoDB Compass',
+  docs: 'MongoDB Server',
+  drivers: 'MongoDB Drivers',
+  'kafka-connector': 'MongoDB Kafka Connector',
+  'kubernetes-operator': 'MongoDB Enterprise Kubernetes Operator',
+  mongocli: 'MongoDB CLI',
+  mongoid: 'Mongoid',
+  mms: 'MongoDB Ops Manager',
+  'ruby-driver': 'MongoDB Ruby Driver',
+  'spark-connector': 'MongoDB Connector for Spark',
+};
+
+const isPrimaryBranch = (version) => version === 'main' || version === 'master';
+
+// Display numeric versions as "Version X" and primary branches as "latest"
+const getVersionLabel = (version, locale) => {
+  if (isPrimaryBranch(version)) {
+    return translate(locale, 'deprecatedVersionArchive.latest');
+  }
+  return translate(locale, 'deprecatedVersionArchive.version', { version: version.replace(/^v/, '') });
+};
+
+// An unversioned docs site is a product with a single version of 'master' or 'main'
+const isVersioned = (versions) => !(versions.length === 1 && isPrimaryBranch(versions[0].name));
+
+// Entries of deprecated_versions are either version names or objects that also carry a release date or URL
+const normalizeVersion = (entry) => (typeof entry === 'string' ? { name: entry } : entry);
+
+// Sites without an entry in the products collection follow the URL layout of the docs' shared domain
+const getFallbackProductUrl = (project) => {
+  const siteUrl = getSiteUrl(project);
+  return `${['docs', 'mms', 'cloud-docs'].includes(project) ? siteUrl : `${siteUrl}/${project}`}/`;
+};
+
+/**
+ * Returns every product with deprecated versions, sorted by display name, along with a label and link for each version.
+ * Display names and URLs come from the entry in the products collection whose project matches the deprecated_versions key,
+ * whose underscores stand for hyphens (e.g. `bi_connector`). Keys without a matching product are named from
+ * PROPERTY_NAME_MAPPING, or shown as they are, and linked following the URL layout of the docs' shared domain.
+ * Version labels are in the given locale.
+ */
+export const getArchiveEntries = (deprecatedVersions = {}, products = [], locale = DEFAULT_LOCALE) =>
+  Object.entries(deprecatedVersions)
+    .map(([project, entries]) => {
+      const projectName = project.replace(/_/g, '-');
+      const product = products.find((p) => p.project && p.project === projectName);
+      const productUrl = (product?.url || getFallbackProductUrl(project)).replace(/\/?$/, '/');
+      const versions = entries.map(normalizeVersion);
+      const versioned = isVersioned(versions);
+      return {
+        project,
+        title: product?.title || PROPERTY_NAME_MAPPING[projectName] || project,
+        versions: versions.map(({ name, releaseDate, url }) => ({
+          name,
+          label: getVersionLabel(name, locale),
+          releaseDate,
+          url: url || (versioned ? `${productUrl}${name}/` : productUrl),
+        })),
+      };
+    })
+    .sort((a, b) => a.title.localeCompare(b.title));
+
+// Keeps the products whose name matches the search, or only their versions that match it
+export const filterArchiveEntries = (archiveEntries, searchText) => {
+  const query = searchText.trim().toLowerCase();
+  if (!query) {
+    return archiveEntries;
+  }
+  const matches = (...values) => values.some((value) => value.toLowerCase().includes(query));
+
+  return archiveEntries
+    .map((entry) =>
+      matches(entry.title, entry.project)
+        ? entry
+        : { ...entry, versions: entry.versions.filter(({ name, label }) => matches(name, label)) }
+    )
+    .filter(({ versions }) => versions.length > 0);
+};
+
+// Release dates are formatted in UTC so that server and client render the same text
+export const formatReleaseDate = (releaseDate, locale = 'en-US') =>
+  new Date(releaseDate).toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
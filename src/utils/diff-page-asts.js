@@ -0,0 +1,90 @@
+import { getPlaintext } from './get-plaintext';
+
+// Returns the sections of a page in document order, each with its heading's id and title, and the text of the
+// paragraphs and code blocks within it that aren't part of a subsection
+const getPageSections = (ast) => {
+  const sections = [];
+
+  const visit = (node, section) => {
+    if (node.type === 'section') {
+      const heading = node.children.find(({ type }) => type === 'heading');
+      const subsection = {
+        id: heading?.id || `section-${sections.length + 1}`,
+        title: getPlaintext(heading?.children),
+        paragraphs: [],
+        codeBlocks: [],
+      };
+      sections.push(subsection);
+      node.children.forEach((child) => visit(child, subsection));
+    } else if (section && node.type === 'paragraph') {
+      section.paragraphs.push(getPlaintext(node.children));
+    } else if (section && node.type === 'code') {
+      section.codeBlocks.push(node.value);
+    } else {
+      (node.children || []).forEach((child) => visit(child, section));
+    }
+  };
+
+  if (ast) {
+    visit(ast, null);
+  }
+  return sections;
+};
+
+// Returns the items added to and removed from a list, in order, using their longest common subsequence
+export const diffLists = (before, after) => {
+  const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        before[i] === after[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      i++;
+      j++;
+    } else if (j < after.length && (i === before.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      changes.push({ type: 'added', value: after[j++] });
+    } else {
+      changes.push({ type: 'removed', value: before[i++] });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Compares two versions of a page section by section, matching sections by their heading's id. Returns the sections
+ * that were added or whose paragraphs or code blocks changed, in the order of the newer page, followed by the
+ * sections that were removed. Changed sections list the paragraphs and code blocks that were added or removed.
+ */
+export const diffPageAsts = (beforeAst, afterAst) => {
+  const beforeSections = getPageSections(beforeAst);
+  const afterSections = getPageSections(afterAst);
+  const beforeById = new Map(beforeSections.map((section) => [section.id, section]));
+  const afterIds = new Set(afterSections.map(({ id }) => id));
+
+  const changes = [];
+  afterSections.forEach(({ id, title, paragraphs, codeBlocks }) => {
+    const previous = beforeById.get(id);
+    if (!previous) {
+      changes.push({ id, title, status: 'added' });
+      return;
+    }
+
+    const paragraphChanges = diffLists(previous.paragraphs, paragraphs);
+    const codeBlockChanges = diffLists(previous.codeBlocks, codeBlocks);
+    if (paragraphChanges.length || codeBlockChanges.length) {
+      changes.push({ id, title, status: 'changed', paragraphs: paragraphChanges, codeBlocks: codeBlockChanges });
+    }
+  });
+  beforeSections
+    .filter(({ id }) => !afterIds.has(id))
+    .forEach(({ id, title }) => changes.push({ id, title, status: 'removed' }));
+
+  return changes;
+};
@@ -0,0 +1,43 @@
+/**
+ * Collects the components a docs property registers on top of those built into ComponentFactory. A directive
+ * configuration module exports a function that receives the registry:
+ *
+ *   const loadable = require('@loadable/component').default;
+ *
+ *   module.exports = (registry) => {
+ *     registry.registerDirective('my-directive', loadable(() => import('./MyDirective')));
+ *     registry.registerRole('my-role', loadable(() => import('./MyRole')));
+ *     registry.ignore('unsupported-directive');
+ *   };
+ *
+ * Registered components take precedence over built-in ones, so existing directives and roles can be overridden.
+ * registerDirective also accepts node types, the same keys as ComponentFactory's componentMap. The build loads
+ * the module as well to validate page ASTs, so it must be CommonJS and load its components lazily.
+ */
+const createDirectiveRegistry = (config) => {
+  const directives = {};
+  const roles = {};
+  const ignoredNames = new Set();
+
+  const registry = {
+    registerDirective: (name, component) => {
+      directives[name] = component;
+    },
+    registerRole: (name, component) => {
+      roles[name] = component;
+    },
+    ignore: (name) => {
+      ignoredNames.add(name);
+    },
+  };
+
+  if (typeof config === 'function') {
+    config(registry);
+  }
+
+  return { directives, roles, ignoredNames };
+};
+
+// TODO: switch to ES6 export syntax if Gatsby implements support for ES6 module imports
+// https://github.com/gatsbyjs/gatsby/issues/7810
+module.exports.createDirectiveRegistry = createDirectiveRegistry;
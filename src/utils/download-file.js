@@ -0,0 +1,14 @@
+// Time to keep the file's object URL alive after starting the download, which some browsers read asynchronously
+const REVOKE_DELAY = 1000;
+
+// Prompts the browser to save text content as a file
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+};
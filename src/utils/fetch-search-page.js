@@ -0,0 +1,34 @@
+import { getSearchbarResultsFromJSON } from './get-searchbar-results-from-json';
+import { fetchLocalSearchResults, LOCAL_SEARCH_ONLY } from './local-search';
+import { searchParamsToURL } from './search-params-to-url';
+
+// Fetches a page of results from Marian, falling back to the site's own search index when Marian can't be reached.
+// The local index covers only this site, so search properties and content types don't apply to it.
+export const fetchSearchPage = async (searchTerm, searchProperties, { contentTypes = [], page = 1 } = {}) => {
+  if (!LOCAL_SEARCH_ONLY) {
+    try {
+      const result = await fetch(searchParamsToURL(searchTerm, searchProperties, { contentTypes, page }));
+      if (!result.ok) {
+        throw new Error(`Marian responded with status ${result.status}`);
+      }
+      return await result.json();
+    } catch (err) {
+      console.warn('Search results could not be fetched from Marian, searching the local index instead.', err);
+    }
+  }
+
+  try {
+    return await fetchLocalSearchResults(searchTerm, page);
+  } catch (err) {
+    console.error('Failed to search the local index.', err);
+    return null;
+  }
+};
+
+// Local results already link to this site's pages and have no search properties to map
+export const parseSearchResults = (resultJson, searchPropertyMapping, limitResults) => {
+  if (resultJson.isLocal) {
+    return limitResults ? resultJson.results.slice(0, limitResults) : resultJson.results;
+  }
+  return getSearchbarResultsFromJSON(resultJson, searchPropertyMapping, limitResults);
+};
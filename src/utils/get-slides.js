@@ -0,0 +1,54 @@
+import { findAllKeyValuePairs } from './find-all-key-value-pairs';
+
+export const SPEAKER_NOTES_DIRECTIVE = 'speaker-notes';
+
+/**
+ * Splits a page into presentation slides. A top-level section's heading and introduction make up one slide, and
+ * each of its subsections another. Nodes that precede a section, such as targets, join the slide that follows them.
+ * Each slide holds its nodes, the section depth to render them at, and the speaker notes directives within them.
+ */
+export const getSlides = (pageNodes) => {
+  const slides = [];
+  let nodes = [];
+  let sectionDepth = 0;
+
+  const endSlide = () => {
+    if (nodes.length) {
+      slides.push({ nodes, sectionDepth, notes: findAllKeyValuePairs(nodes, 'name', SPEAKER_NOTES_DIRECTIVE) });
+    }
+    nodes = [];
+    sectionDepth = 0;
+  };
+
+  pageNodes.forEach((node) => {
+    if (node.type !== 'section') {
+      nodes.push(node);
+      return;
+    }
+
+    nodes.push({ ...node, children: node.children.filter((child) => child.type !== 'section') });
+    node.children
+      .filter((child) => child.type === 'section')
+      .forEach((subsection) => {
+        endSlide();
+        nodes.push(subsection);
+        sectionDepth = 1;
+      });
+    endSlide();
+  });
+  endSlide();
+
+  return slides;
+};
+
+// Returns the index of the slide a `#slide-N` URL hash links to, or null if it doesn't link to a slide
+export const getSlideIndexFromHash = (hash, slideCount) => {
+  const match = /^#slide-(\d+)$/.exec(hash || '');
+  if (!match) {
+    return null;
+  }
+  const index = Number(match[1]) - 1;
+  return index >= 0 && index < slideCount ? index : null;
+};
+
+export const getSlideHash = (index) => `#slide-${index + 1}`;
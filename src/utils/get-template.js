@@ -1,4 +1,5 @@
 import {
+  Archive,
   Blank,
   Document,
   DriversIndex,
@@ -13,6 +14,9 @@ const getTemplate = (templateName) => {
   let template;
   let sidenav;
   switch (templateName) {
+    case 'archive':
+      template = Archive;
+      break;
     case 'blank':
       template = Blank;
       break;
@@ -0,0 +1,4 @@
+// Returns whether a directive's flag option is set. Flags may be given without a value, which is parsed as an
+// empty string.
+export const isFlagOptionSet = (options, name) =>
+  options?.[name] !== undefined && options[name] !== false && options[name] !== 'false';
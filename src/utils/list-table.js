@@ -0,0 +1,42 @@
+import { getPlaintext } from './get-plaintext';
+
+// Returns the plaintext of each cell of a list-table row
+export const getRowText = (cells = []) =>
+  cells.map((cell) => (getPlaintext(cell.children) || '').replace(/\s+/g, ' ').trim());
+
+// Compares cell text so that numbers and versions sort in numeric order, e.g. "4.2" before "4.10"
+export const compareCellText = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+// Returns whether any cell of a row contains the filter text, ignoring case
+export const rowMatchesFilter = (rowText, filterText) => {
+  const query = filterText.trim().toLowerCase();
+  return !query || rowText.some((cell) => cell.toLowerCase().includes(query));
+};
+
+// Returns the name of the file a table is exported to, based on its title
+export const getExportFilename = (title, extension) => {
+  const name = (title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${name || 'table'}.${extension}`;
+};
+
+const escapeCsvCell = (cell) => (/[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+
+const escapeMarkdownCell = (cell) => cell.replace(/\|/g, '\\|');
+
+// Formats a table's rows as CSV, preceded by its header row if it has one
+export const toCsv = (headerText, rowsText) =>
+  [...(headerText ? [headerText] : []), ...rowsText].map((row) => row.map(escapeCsvCell).join(',')).join('\n');
+
+// Formats a table's rows as a Markdown table, whose header row is left empty if the table doesn't have one
+export const toMarkdown = (headerText, rowsText) => {
+  const columnCount = (headerText || rowsText[0] || []).length;
+  const formatRow = (row) => `| ${row.map(escapeMarkdownCell).join(' | ')} |`;
+  return [
+    formatRow(headerText || Array(columnCount).fill('')),
+    `|${' --- |'.repeat(columnCount)}`,
+    ...rowsText.map(formatRow),
+  ].join('\n');
+};
@@ -0,0 +1,42 @@
+import { withPrefix } from 'gatsby';
+import { MARIAN_URL } from '../constants';
+import { assertTrailingSlash } from './assert-trailing-slash';
+import { getLocalizedPath } from './locale';
+import { normalizePath } from './normalize-path';
+import { querySearchIndex, SEARCH_INDEX_FILENAME } from './search-index';
+
+export const LOCAL_SEARCH_PAGE_SIZE = 20;
+
+// Offline builds and builds without a Marian URL can't reach Marian, so they only search the index generated at
+// build time
+export const LOCAL_SEARCH_ONLY = process.env.GATSBY_OFFLINE_BUILD === 'true' || !MARIAN_URL;
+
+let searchIndex = null;
+
+// Fetches the site's search index once, retrying on a later search if it fails
+const fetchSearchIndex = () => {
+  if (!searchIndex) {
+    searchIndex = fetch(withPrefix(getLocalizedPath(`/${SEARCH_INDEX_FILENAME}`)))
+      .then((result) => result.json())
+      .catch((err) => {
+        searchIndex = null;
+        throw err;
+      });
+  }
+  return searchIndex;
+};
+
+// Searches the site's own pages in the browser, responding with a page of results shaped like Marian's
+export const fetchLocalSearchResults = async (searchTerm, page = 1) => {
+  const matches = querySearchIndex(await fetchSearchIndex(), searchTerm);
+  const start = (page - 1) * LOCAL_SEARCH_PAGE_SIZE;
+  return {
+    isLocal: true,
+    results: matches.slice(start, start + LOCAL_SEARCH_PAGE_SIZE).map(({ slug, title, preview }) => ({
+      title,
+      preview,
+      url: withPrefix(getLocalizedPath(assertTrailingSlash(normalizePath(`/${slug}`)))),
+    })),
+    total: matches.length,
+  };
+};
@@ -0,0 +1,19 @@
+// Locale of the English doc sets, whose pages aren't prefixed with their locale
+const DEFAULT_LOCALE = 'en-us';
+
+// Returns the locale of the doc set being built, e.g. `ja-jp`
+const getSiteLocale = () => (process.env.GATSBY_LOCALE || DEFAULT_LOCALE).toLowerCase();
+
+// Prefixes a site-relative path with the locale of a translated doc set, e.g. `/ja-jp/tutorial/`
+const getLocalizedPath = (path, locale = getSiteLocale()) => {
+  if (locale === DEFAULT_LOCALE) {
+    return path;
+  }
+  const normalizedPath = path.startsWith('/') ? path : `/${path}`;
+  if (normalizedPath === `/${locale}` || normalizedPath.startsWith(`/${locale}/`)) {
+    return normalizedPath;
+  }
+  return `/${locale}${normalizedPath}`;
+};
+
+module.exports = { DEFAULT_LOCALE, getLocalizedPath, getSiteLocale };
@@ -0,0 +1,8 @@
+// Normalizes a page key, slug or internal path so that they can be compared, e.g. `/reference/foo/` and
+// `reference/foo` are the same page and `index` is the root page.
+const normalizeSlug = (slug) => {
+  const trimmed = slug.replace(/^\/+|\/+$/g, '');
+  return trimmed === '' || trimmed === 'index' ? '/' : trimmed;
+};
+
+module.exports.normalizeSlug = normalizeSlug;
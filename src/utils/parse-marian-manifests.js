@@ -6,6 +6,27 @@ export const getSortedBranchesForProperty = (parsedManifest, property) => {
   return branches;
 };
 
+// Returns the first of the sorted branches of a property whose manifest is one of the given search properties,
+// or the first branch if none of them are
+export const getDefaultBranchForProperty = (parsedManifest, property, searchProperties = []) => {
+  const branches = getSortedBranchesForProperty(parsedManifest, property);
+  return branches.find((branch) => searchProperties.includes(parsedManifest[property][branch])) || branches[0];
+};
+
+// Returns the name of a project's search manifest, which the mapping's projectToSearchMap overrides for some projects
+export const getSearchManifestName = (project, searchPropertyMapping = {}) =>
+  searchPropertyMapping.projectToSearchMap?.[project] || project;
+
+/**
+ * Returns the search properties of the versions being read, given as { [project name]: git branch name }, skipping
+ * those that aren't mapped to a search category and version.
+ */
+export const getVersionSearchProperties = (versions, searchPropertyMapping = {}) =>
+  Object.entries(versions)
+    .filter(([, branch]) => !!branch)
+    .map(([project, branch]) => `${getSearchManifestName(project, searchPropertyMapping)}-${branch}`)
+    .filter((searchProperty) => searchProperty in searchPropertyMapping);
+
 // Parses a list of manifest strings from Marian
 export const parseMarianManifests = (manifests, searchPropertyMapping = {}) => {
   const result = {};
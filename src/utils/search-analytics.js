@@ -0,0 +1,52 @@
+import { getSessionValue, setSessionValue } from './browser-storage';
+import { reportAnalytics } from './report-analytics';
+
+// Names of the events reported for searches made on the search results page
+export const SEARCH_EVENTS = {
+  emptyResults: 'EmptyResults',
+  filterChange: 'SearchFilterChange',
+  reformulation: 'SearchReformulation',
+  selection: 'SearchSelection',
+  timeToFirstClick: 'SearchTimeToFirstClick',
+};
+
+// Session storage key for the last search term, used to find reformulated queries
+const LAST_SEARCH_TERM_KEY = 'lastSearchTerm';
+
+const defaultSink = (eventName, data) => reportAnalytics(eventName, data);
+
+let searchAnalyticsSink = defaultSink;
+
+/**
+ * Replaces the function that search events are sent to, which reports them to Segment by default.
+ * A sink is called with an event name and its data, like reportAnalytics. Returns a function that
+ * restores the previous sink.
+ */
+export const setSearchAnalyticsSink = (sink) => {
+  const previousSink = searchAnalyticsSink;
+  searchAnalyticsSink = sink || defaultSink;
+  return () => {
+    searchAnalyticsSink = previousSink;
+  };
+};
+
+export const reportSearchEvent = (eventName, data) => {
+  try {
+    searchAnalyticsSink(eventName, data);
+  } catch (err) {
+    console.error(`Error reporting search analytics: ${eventName}`, err);
+  }
+};
+
+// Reports a reformulation when the search term differs from the previous one searched for in this browser session
+export const trackSearchTerm = (searchTerm) => {
+  const previousSearchTerm = getSessionValue(LAST_SEARCH_TERM_KEY);
+  setSessionValue(LAST_SEARCH_TERM_KEY, searchTerm);
+  if (previousSearchTerm && previousSearchTerm !== searchTerm) {
+    reportSearchEvent(SEARCH_EVENTS.reformulation, { previousSearchTerm, searchTerm });
+  }
+};
+
+// Returns the names of the search facets whose values differ between the two sets of facets
+export const getChangedFacets = (previousFacets, facets) =>
+  Object.keys(facets).filter((name) => JSON.stringify(previousFacets[name]) !== JSON.stringify(facets[name]));
@@ -0,0 +1,69 @@
+import queryString from 'query-string';
+import { getSortedBranchesForProperty } from './parse-marian-manifests';
+
+// Types of content that search results can be narrowed to, passed to Marian as `contentType` params
+export const CONTENT_TYPES = ['reference', 'tutorial', 'api'];
+
+export const DEFAULT_SEARCH_FACETS = {
+  products: [],
+  contentTypes: [],
+  latestOnly: false,
+};
+
+const toArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+export const hasSearchFacets = ({ products, contentTypes, latestOnly }) =>
+  !!products.length || !!contentTypes.length || latestOnly;
+
+// Reads the selected facets from the search page's query string
+export const parseSearchFacets = (search) => {
+  const { contentType, latest, product } = queryString.parse(search);
+  return {
+    products: toArray(product),
+    contentTypes: toArray(contentType),
+    latestOnly: latest === 'true',
+  };
+};
+
+// Returns a copy of a query string with params for the selected facets. Changing facets returns to the first page.
+export const setFacetParams = (search, { products, contentTypes, latestOnly }) => {
+  const params = queryString.parse(search);
+  return `?${queryString.stringify({
+    ...params,
+    contentType: contentTypes,
+    latest: latestOnly ? 'true' : undefined,
+    page: undefined,
+    product: products,
+  })}`;
+};
+
+// Returns the category (product) that a search property belongs to in the parsed Marian manifests
+const getCategoryForSearchProperty = (filters, searchProperty) =>
+  Object.keys(filters).find((category) => Object.values(filters[category]).includes(searchProperty));
+
+/**
+ * Returns the search properties to pass to Marian for the category/version filter and the selected facets.
+ * Each selected product contributes all of its versions, or only its latest version when `latestOnly` is set.
+ * "Latest versions only" without any selected products narrows the search to the latest version of every product.
+ * A version picked through the category/version filter takes precedence over the facets for its product.
+ */
+export const getSearchProperties = (filters, searchFilter, { products, latestOnly }) => {
+  const searchProperties = searchFilter ? [searchFilter] : [];
+  if (!products.length && (!latestOnly || searchFilter)) {
+    return searchProperties;
+  }
+
+  const filteredCategory = getCategoryForSearchProperty(filters, searchFilter);
+  const facetProducts = products.length ? products : Object.keys(filters);
+  facetProducts.forEach((product) => {
+    if (product === filteredCategory || !filters[product]) {
+      return;
+    }
+    const versions = getSortedBranchesForProperty(filters, product);
+    (latestOnly ? versions.slice(0, 1) : versions).forEach((version) => {
+      searchProperties.push(filters[product][version]);
+    });
+  });
+
+  return searchProperties;
+};
@@ -0,0 +1,29 @@
+// Query param carrying a search term from the search results page to the pages it links to
+export const HIGHLIGHT_PARAM = 'highlight';
+
+const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Adds the search term to a search result's URL, keeping any existing query string and fragment
+export const addHighlightParam = (url, searchTerm) => {
+  if (!searchTerm) {
+    return url;
+  }
+  const [path, fragment] = url.split('#');
+  const separator = path.includes('?') ? '&' : '?';
+  const param = `${HIGHLIGHT_PARAM}=${encodeURIComponent(searchTerm)}`;
+  return `${path}${separator}${param}${fragment !== undefined ? `#${fragment}` : ''}`;
+};
+
+// Returns a case-insensitive pattern matching any word of the search term, or null if it has none
+export const getHighlightPattern = (searchTerm) => {
+  const terms = (searchTerm || '').split(/\s+/).filter(Boolean).map(escapeRegExp);
+  return terms.length ? new RegExp(`(${terms.join('|')})`, 'gi') : null;
+};
+
+// Splits text into the parts that do and don't match a highlight pattern. Since the pattern captures its match,
+// every other part returned by split is a match.
+export const splitByHighlight = (text, pattern) =>
+  text
+    .split(pattern)
+    .map((part, index) => ({ text: part, isMatch: index % 2 === 1 }))
+    .filter(({ text }) => !!text);
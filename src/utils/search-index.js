@@ -0,0 +1,140 @@
+const { getPlaintext } = require('./get-plaintext');
+
+// Name of the static file that the client-side search index is written to
+const SEARCH_INDEX_FILENAME = 'search-index.json';
+
+// Relative importance of a term depending on where it appears on a page
+const FIELD_WEIGHTS = {
+  title: 10,
+  heading: 5,
+  body: 1,
+};
+
+const PREVIEW_LENGTH = 200;
+
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'as',
+  'at',
+  'be',
+  'by',
+  'for',
+  'from',
+  'in',
+  'is',
+  'it',
+  'of',
+  'on',
+  'or',
+  'that',
+  'the',
+  'this',
+  'to',
+  'with',
+]);
+
+// Splits text into lowercase terms, keeping characters such as `$` that are significant in MongoDB operators
+const tokenize = (text) =>
+  text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}$_]+/u)
+    .filter((term) => term.length > 1 && !STOP_WORDS.has(term));
+
+// Returns a page's title (its first heading), the headings of its sections, and the plaintext of its paragraphs
+const collectPageText = (ast) => {
+  const headings = [];
+  const paragraphs = [];
+
+  const visit = (node) => {
+    if (node.type === 'heading') {
+      headings.push(getPlaintext(node.children));
+    } else if (node.type === 'paragraph') {
+      paragraphs.push(getPlaintext(node.children));
+    } else if (node.children) {
+      node.children.forEach(visit);
+    }
+  };
+  visit(ast);
+
+  const [title = '', ...sectionHeadings] = headings;
+  return { title, headings: sectionHeadings, body: paragraphs.join(' ').replace(/\s+/g, ' ').trim() };
+};
+
+const truncatePreview = (text) => {
+  if (text.length <= PREVIEW_LENGTH) {
+    return text;
+  }
+  return `${text.slice(0, text.lastIndexOf(' ', PREVIEW_LENGTH))}...`;
+};
+
+/**
+ * Builds a compact inverted index of the given pages, keyed by page slug. Each indexed term maps to a list
+ * of `[documentIndex, score]` pairs, where the score weighs the term's occurrences in the page's title,
+ * headings and body.
+ */
+const buildSearchIndex = (pages) => {
+  const documents = [];
+  const terms = {};
+
+  Object.entries(pages).forEach(([slug, ast]) => {
+    const { title, headings, body } = collectPageText(ast);
+    const documentIndex = documents.length;
+    documents.push({ slug, title, preview: truncatePreview(body) });
+
+    const scores = {};
+    const addTerms = (text, weight) => {
+      tokenize(text).forEach((term) => {
+        scores[term] = (scores[term] || 0) + weight;
+      });
+    };
+    addTerms(title, FIELD_WEIGHTS.title);
+    headings.forEach((heading) => addTerms(heading, FIELD_WEIGHTS.heading));
+    addTerms(body, FIELD_WEIGHTS.body);
+
+    Object.entries(scores).forEach(([term, score]) => {
+      if (!terms[term]) {
+        terms[term] = [];
+      }
+      terms[term].push([documentIndex, score]);
+    });
+  });
+
+  return { documents, terms };
+};
+
+/**
+ * Returns the documents of a search index that match every term of a query, best match first. Query terms
+ * also match indexed terms they are a prefix of, at half the score, so that partially typed words find results.
+ */
+const querySearchIndex = ({ documents, terms }, query) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (!queryTerms.length) {
+    return [];
+  }
+
+  const indexedTerms = Object.keys(terms);
+  const matches = new Map();
+  queryTerms.forEach((queryTerm) => {
+    indexedTerms
+      .filter((term) => term.startsWith(queryTerm))
+      .forEach((term) => {
+        const weight = term === queryTerm ? 1 : 0.5;
+        terms[term].forEach(([documentIndex, score]) => {
+          const match = matches.get(documentIndex) || { score: 0, matchedTerms: new Set() };
+          match.score += score * weight;
+          match.matchedTerms.add(queryTerm);
+          matches.set(documentIndex, match);
+        });
+      });
+  });
+
+  return [...matches.entries()]
+    .filter(([, { matchedTerms }]) => matchedTerms.size === queryTerms.length)
+    .sort(([, a], [, b]) => b.score - a.score)
+    .map(([documentIndex]) => documents[documentIndex]);
+};
+
+module.exports = { buildSearchIndex, querySearchIndex, SEARCH_INDEX_FILENAME, tokenize };
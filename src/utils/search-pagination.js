@@ -0,0 +1,25 @@
+import queryString from 'query-string';
+
+// Returns the page number in a `page` query param, defaulting to the first page for missing or invalid values
+export const parsePageParam = (page) => {
+  const parsed = parseInt(page, 10);
+  return parsed > 0 ? parsed : 1;
+};
+
+// Most pages restored from a `page` query param, since each one is fetched in turn before any result is shown
+export const MAX_RESTORED_PAGES = 10;
+
+// Returns a copy of a query string with its `page` param set. The first page is the default and is left out.
+export const setPageParam = (search, page) => {
+  const params = queryString.parse(search);
+  return `?${queryString.stringify({ ...params, page: page > 1 ? page : undefined })}`;
+};
+
+// Determines whether Marian has more results for a query. When a response includes the total number of matches,
+// it is used directly; otherwise, a page shorter than the first one means every result has been returned.
+export const hasMoreSearchResults = ({ total, loadedCount, firstPageSize, lastPageSize }) => {
+  if (typeof total === 'number') {
+    return loadedCount < total;
+  }
+  return lastPageSize > 0 && lastPageSize >= firstPageSize;
+};
@@ -2,9 +2,22 @@ import { MARIAN_URL } from '../constants';
 import { baseUrl } from './base-url';
 import { assertTrailingSlash } from './assert-trailing-slash';
 
-// Search helper function to generate marian URL from params and filters
-export const searchParamsToURL = (searchQuery, searchFilters, isMarian = true) => {
-  const queryParams = `?q=${searchQuery}${searchFilters ? `&searchProperty=${searchFilters}` : ''}`;
+// Search helper function to generate marian URL from params and filters.
+// Several search properties or content types are passed as repeated params.
+export const searchParamsToURL = (
+  searchQuery,
+  searchFilters,
+  { contentTypes = [], page = 1 } = {},
+  isMarian = true
+) => {
+  const params = [
+    `q=${searchQuery}`,
+    ...[].concat(searchFilters || []).map((searchProperty) => `searchProperty=${searchProperty}`),
+    ...contentTypes.map((contentType) => `contentType=${contentType}`),
+  ];
+  if (page > 1) {
+    params.push(`page=${page}`);
+  }
   const url = isMarian ? MARIAN_URL : baseUrl();
-  return `${assertTrailingSlash(url)}search${queryParams}`;
+  return `${assertTrailingSlash(url)}search?${params.join('&')}`;
 };
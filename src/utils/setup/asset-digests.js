@@ -0,0 +1,9 @@
+// Key under which asset checksums are persisted in Gatsby's cache between builds
+const ASSET_DIGESTS_KEY = 'snooty-asset-digests';
+
+// Returns the checksums of the assets written to the static directory by the last build, keyed by asset filename
+const loadAssetDigests = async (cache) => (await cache.get(ASSET_DIGESTS_KEY)) || {};
+
+const saveAssetDigests = async (cache, digests) => cache.set(ASSET_DIGESTS_KEY, digests);
+
+module.exports = { loadAssetDigests, saveAssetDigests };
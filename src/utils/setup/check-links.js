@@ -0,0 +1,123 @@
+const { normalizeSlug } = require('../normalize-slug');
+
+const isExternalUrl = (url) => /^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//');
+
+// Calls callback on every node of an AST, including nodes nested in properties other than children
+const walkAst = (node, callback) => {
+  if (!node || typeof node !== 'object') return;
+  callback(node);
+  Object.values(node).forEach((value) => {
+    if (Array.isArray(value)) {
+      value.forEach((child) => walkAst(child, callback));
+    }
+  });
+};
+
+// Returns the ids of every heading, target and other anchored node on a page
+const collectAnchors = (ast) => {
+  const anchors = new Set();
+  walkAst(ast, ({ html_id, id }) => {
+    [html_id, id].forEach((anchor) => {
+      if (typeof anchor === 'string' && anchor) {
+        anchors.add(anchor);
+      }
+    });
+  });
+  return anchors;
+};
+
+/**
+ * Resolves every internal link of a site against the pages it creates, and returns the links that don't
+ * resolve. Checks ref_role targets (including :doc: links), relative reference URIs and ToC slugs.
+ * Arguments:
+ * - pages: an object mapping page slugs to their AST
+ * - toctree: the site's ToC, from its metadata
+ * - knownSlugs: slugs of pages created from something other than an AST, such as OpenAPI pages. Links to them
+ *   resolve, but their anchors can't be checked.
+ */
+const checkLinks = ({ pages, toctree, knownSlugs = [] }) => {
+  const anchorsBySlug = new Map();
+  Object.entries(pages).forEach(([slug, ast]) => anchorsBySlug.set(normalizeSlug(slug), collectAnchors(ast)));
+  const otherSlugs = new Set(knownSlugs.map(normalizeSlug));
+
+  const findIssue = (path, anchor) => {
+    const slug = normalizeSlug(path);
+    const targetAnchors = anchorsBySlug.get(slug);
+    if (!targetAnchors) {
+      return otherSlugs.has(slug) ? null : 'missing page';
+    }
+    if (anchor && !targetAnchors.has(anchor)) {
+      return 'missing anchor';
+    }
+    return null;
+  };
+
+  const brokenLinks = {};
+  Object.entries(pages).forEach(([slug, ast]) => {
+    const pageIssues = [];
+    const pageSlug = normalizeSlug(slug);
+
+    walkAst(ast, (node) => {
+      let type, target, reason;
+      if (node.type === 'ref_role' && node.fileid && !node.url) {
+        const [filename, htmlId] = node.fileid;
+        type = htmlId ? 'ref' : 'doc';
+        target = htmlId ? `${filename}#${htmlId}` : filename;
+        reason = findIssue(filename, htmlId);
+      } else if (node.type === 'reference' && node.refuri && !isExternalUrl(node.refuri)) {
+        // Relative URIs are resolved against the page's own URL, which always ends in a slash
+        const base = pageSlug === '/' ? 'http://site/' : `http://site/${pageSlug}/`;
+        const { pathname, hash } = new URL(node.refuri, base);
+        type = 'reference';
+        target = node.refuri;
+        reason = findIssue(decodeURIComponent(pathname), decodeURIComponent(hash.slice(1)));
+      }
+      if (reason) {
+        pageIssues.push({ type, target, reason });
+      }
+    });
+
+    if (pageIssues.length > 0) {
+      brokenLinks[pageSlug] = pageIssues;
+    }
+  });
+
+  const brokenTocSlugs = [];
+  const visitTocNode = (node) => {
+    if (node.slug && findIssue(node.slug)) {
+      brokenTocSlugs.push(node.slug);
+    }
+    (node.children || []).forEach(visitTocNode);
+  };
+  if (toctree) {
+    visitTocNode(toctree);
+  }
+
+  return { brokenLinks, brokenTocSlugs };
+};
+
+const countBrokenLinks = ({ brokenLinks, brokenTocSlugs }) =>
+  Object.values(brokenLinks).reduce((total, issues) => total + issues.length, brokenTocSlugs.length);
+
+// Returns a human-readable summary of a link report
+const formatLinkReport = (report) => {
+  const linkCount = countBrokenLinks(report);
+  if (linkCount === 0) {
+    return 'Link check found no broken links';
+  }
+
+  const lines = [`Link check found ${linkCount} broken link(s):`];
+  Object.entries(report.brokenLinks)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([slug, issues]) => {
+      lines.push(`  ${slug}:`);
+      issues.forEach(({ type, target, reason }) => lines.push(`    ${type} ${target} (${reason})`));
+    });
+  if (report.brokenTocSlugs.length > 0) {
+    lines.push('  toctree:');
+    report.brokenTocSlugs.forEach((slug) => lines.push(`    ${slug} (missing page)`));
+  }
+  return lines.join('\n');
+};
+
+module.exports = { checkLinks, countBrokenLinks, formatLinkReport };
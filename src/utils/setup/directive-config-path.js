@@ -0,0 +1,12 @@
+const DIRECTIVE_CONFIG_PLUGIN = 'gatsby-plugin-directive-config';
+
+// Returns the directive config module set in gatsby-config.js, as the path option of gatsby-plugin-directive-config
+const getDirectiveConfigPath = ({ plugins = [] }) => {
+  const plugin = plugins.find((entry) => entry?.resolve === DIRECTIVE_CONFIG_PLUGIN);
+  if (!plugin?.options?.path) {
+    throw new Error(`gatsby-config.js must set the path option of ${DIRECTIVE_CONFIG_PLUGIN}`);
+  }
+  return plugin.options.path;
+};
+
+module.exports = { DIRECTIVE_CONFIG_PLUGIN, getDirectiveConfigPath };
@@ -1,7 +1,9 @@
 const AdmZip = require('adm-zip');
 const BSON = require('bson');
+const fs = require('fs');
+const path = require('path');
 
-// Returns the metadata from the manifest file if provided
+// Returns the metadata from the manifest file or parser output directory if provided
 const fetchManifestMetadata = () => {
   let metadata = {};
   if (process.env.GATSBY_MANIFEST_PATH) {
@@ -12,6 +14,11 @@ const fetchManifestMetadata = () => {
         metadata = BSON.deserialize(entry.getData());
       }
     }
+  } else if (process.env.GATSBY_PARSER_OUTPUT_DIR) {
+    const sitePath = path.join(process.env.GATSBY_PARSER_OUTPUT_DIR, 'site.bson');
+    if (fs.existsSync(sitePath)) {
+      metadata = BSON.deserialize(fs.readFileSync(sitePath));
+    }
   }
   return metadata;
 };
@@ -0,0 +1,47 @@
+const fs = require('fs');
+
+// Name of the optional manifest zip entry holding the data normally fetched from Atlas
+const OFFLINE_DATA_ENTRY = 'offline.json';
+
+const emptyOfflineData = () => ({
+  products: [],
+  repos_branches: [],
+  metadata: [],
+});
+
+const parseOfflineData = (raw, source) => {
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.error(`Could not parse offline build data from ${source}`);
+    throw err;
+  }
+};
+
+/**
+ * Returns the data an offline build would otherwise fetch from Atlas: the list of products, the
+ * repos_branches entries for this site and its associated products, and any metadata documents
+ * (such as the umbrella product's merged ToC). Data is read from the offline.json entry bundled
+ * with the parser output first, and collections found in a local JSON sidecar take precedence over it.
+ */
+const fetchOfflineData = (bundledData, sidecarPath = process.env.GATSBY_OFFLINE_DATA_PATH) => {
+  const data = emptyOfflineData();
+
+  if (bundledData) {
+    Object.assign(data, parseOfflineData(bundledData.toString('utf8'), OFFLINE_DATA_ENTRY));
+  }
+
+  if (sidecarPath) {
+    Object.assign(data, parseOfflineData(fs.readFileSync(sidecarPath, 'utf8'), sidecarPath));
+  }
+
+  if (!bundledData && !sidecarPath) {
+    console.warn(
+      `Offline build enabled, but no ${OFFLINE_DATA_ENTRY} entry was found in the parser output and GATSBY_OFFLINE_DATA_PATH is not set`
+    );
+  }
+
+  return data;
+};
+
+module.exports = { fetchOfflineData, OFFLINE_DATA_ENTRY };
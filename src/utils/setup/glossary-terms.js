@@ -0,0 +1,132 @@
+const { findKeyValuePair } = require('../find-key-value-pair');
+const { getPlaintext } = require('../get-plaintext');
+
+// Page option that turns off glossary tooltips on a page
+const GLOSSARY_OPT_OUT_OPTION = 'no-glossary-tooltips';
+
+// Inline nodes whose text is never annotated, such as links, code and other roles
+const SKIPPED_TYPES = new Set([
+  'footnote_reference',
+  'literal',
+  'ref_role',
+  'reference',
+  'role',
+  'substitution_reference',
+  'target',
+  'title_reference',
+]);
+
+const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Terms are matched regardless of case and of the whitespace between their words
+const normalizeTerm = (term) => term.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const isGlossary = (node) => node.type === 'directive' && node.name === 'glossary';
+
+/**
+ * Collects the terms defined by the glossary directives of every page into an index keyed by the normalized term.
+ * Each entry holds the term, the plaintext of its definition's first paragraph, and the slug and anchor of the
+ * glossary entry. Terms defined more than once keep their first definition.
+ */
+const buildGlossaryIndex = (pages) => {
+  const index = {};
+
+  const collectTerms = (node, slug) => {
+    if (node.type === 'definitionListItem') {
+      const term = getPlaintext(node.term).trim();
+      const key = normalizeTerm(term);
+      if (key && !index[key]) {
+        const definitionNodes = findKeyValuePair(node.children, 'type', 'paragraph')?.children || node.children;
+        index[key] = {
+          term,
+          definition: (getPlaintext(definitionNodes) || '').trim(),
+          slug,
+          id: findKeyValuePair(node.term, 'type', 'inline_target')?.html_id || null,
+        };
+      }
+    } else if (node.children) {
+      node.children.forEach((child) => collectTerms(child, slug));
+    }
+  };
+
+  const findGlossaries = (node, slug) => {
+    if (isGlossary(node)) {
+      collectTerms(node, slug);
+    } else if (node.children) {
+      node.children.forEach((child) => findGlossaries(child, slug));
+    }
+  };
+
+  Object.entries(pages).forEach(([slug, ast]) => findGlossaries(ast, slug));
+  return index;
+};
+
+/**
+ * Returns a copy of a page's AST in which the first use of each glossary term in its paragraphs is wrapped in a
+ * glossary_term node, for a tooltip with the term's definition. Terms defined on the page itself, text in
+ * glossaries, headings, links and code, and pages with the no-glossary-tooltips option are left as they are.
+ */
+const addGlossaryTerms = (ast, glossaryIndex, slug) => {
+  const remaining = new Set(Object.keys(glossaryIndex).filter((key) => glossaryIndex[key].slug !== slug));
+  if (!ast || !remaining.size || ast.options?.[GLOSSARY_OPT_OUT_OPTION] !== undefined) {
+    return ast;
+  }
+
+  // Longer terms first, so that "replica set" is matched before "replica"
+  const alternatives = [...remaining]
+    .sort((a, b) => b.length - a.length)
+    .map((key) => escapeRegExp(key).replace(/ /g, '\\s+'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_$])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+
+  const annotateText = (node) => {
+    const parts = [];
+    let lastIndex = 0;
+    for (const match of node.value.matchAll(pattern)) {
+      const key = normalizeTerm(match[0]);
+      if (!remaining.has(key)) {
+        continue;
+      }
+      remaining.delete(key);
+      if (match.index > lastIndex) {
+        parts.push({ type: 'text', value: node.value.slice(lastIndex, match.index) });
+      }
+      const { definition, id, slug: glossarySlug } = glossaryIndex[key];
+      parts.push({
+        type: 'glossary_term',
+        definition,
+        id,
+        slug: glossarySlug,
+        children: [{ type: 'text', value: match[0] }],
+      });
+      lastIndex = match.index + match[0].length;
+    }
+    if (!parts.length) {
+      return [node];
+    }
+    if (lastIndex < node.value.length) {
+      parts.push({ type: 'text', value: node.value.slice(lastIndex) });
+    }
+    return parts;
+  };
+
+  const visit = (node, inParagraph) => {
+    if (!remaining.size || !Array.isArray(node.children) || SKIPPED_TYPES.has(node.type) || isGlossary(node)) {
+      return node;
+    }
+
+    const isBodyText = inParagraph || node.type === 'paragraph';
+    let changed = false;
+    const children = node.children.flatMap((child) => {
+      const annotated = child.type === 'text' && isBodyText ? annotateText(child) : [visit(child, isBodyText)];
+      if (annotated.length !== 1 || annotated[0] !== child) {
+        changed = true;
+      }
+      return annotated;
+    });
+    return changed ? { ...node, children } : node;
+  };
+
+  return visit(ast, false);
+};
+
+module.exports = { addGlossaryTerms, buildGlossaryIndex, GLOSSARY_OPT_OUT_OPTION };
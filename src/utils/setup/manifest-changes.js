@@ -0,0 +1,20 @@
+/**
+ * Compares the documents of a reloaded manifest against the content digests of the documents sourced so far.
+ * Returns the documents that are new or whose content changed, and the keys of the documents no longer in it.
+ * Arguments:
+ * - documents: the documents of the manifest, with their page ids
+ * - pageDigests: an object mapping the keys of the documents sourced so far to their content digest
+ * - createContentDigest: Gatsby's helper that computes a document's digest
+ * - getDocumentKey: returns the key of a document from its page id
+ */
+const findManifestChanges = (documents, pageDigests, { createContentDigest, getDocumentKey }) => {
+  const documentKeys = new Set(documents.map(({ page_id }) => getDocumentKey(page_id)));
+  return {
+    changedDocuments: documents.filter(
+      ({ page_id, ...rest }) => pageDigests[getDocumentKey(page_id)] !== createContentDigest(rest)
+    ),
+    removedKeys: Object.keys(pageDigests).filter((key) => !documentKeys.has(key)),
+  };
+};
+
+module.exports = { findManifestChanges };
@@ -0,0 +1,38 @@
+// Returns every value found at a dot-notated path, descending into arrays the way MongoDB does
+const getValuesAtPath = (doc, path) => {
+  let values = [doc];
+  for (const key of path.split('.')) {
+    values = values.flatMap((value) => {
+      if (Array.isArray(value)) {
+        return value.map((item) => item?.[key]);
+      }
+      return [value?.[key]];
+    });
+  }
+  return values.flatMap((value) => (Array.isArray(value) ? [value, ...value] : [value]));
+};
+
+const matchesCondition = (values, condition) => {
+  if (condition instanceof RegExp) {
+    return values.some((value) => typeof value === 'string' && condition.test(value));
+  }
+  if (condition && typeof condition === 'object') {
+    if (condition.hasOwnProperty('$exists')) {
+      const exists = values.some((value) => value !== undefined);
+      return exists === !!condition.$exists;
+    }
+    if (condition.hasOwnProperty('$regex')) {
+      return matchesCondition(values, new RegExp(condition.$regex));
+    }
+  }
+  return values.some((value) => value === condition);
+};
+
+/**
+ * Minimal, in-memory equivalent of a MongoDB query filter. Supports equality on dot-notated paths,
+ * along with the `$exists` and `$regex` operators used by our build filters.
+ */
+const matchesQueryFilter = (doc, filter = {}) =>
+  Object.entries(filter).every(([path, condition]) => matchesCondition(getValuesAtPath(doc, path), condition));
+
+module.exports = { matchesQueryFilter };
@@ -0,0 +1,64 @@
+const { normalizeSlug } = require('../normalize-slug');
+
+// Last segment of the path of the page that concatenates a ToC section for printing
+const PRINT_PATH_SEGMENT = 'print';
+
+// Returns the path of the printable version of the section starting at the given slug, e.g. `/tutorial/print/`
+const getPrintPath = (slug) => {
+  const normalized = normalizeSlug(slug);
+  return normalized === '/' ? `/${PRINT_PATH_SEGMENT}/` : `/${normalized}/${PRINT_PATH_SEGMENT}/`;
+};
+
+// Returns the section slugs listed in the PRINT_SECTIONS environment variable, e.g. `tutorial, reference/api`
+const parsePrintSectionSlugs = (value = '') =>
+  value
+    .split(',')
+    .map((slug) => slug.trim())
+    .filter(Boolean)
+    .map(normalizeSlug);
+
+/**
+ * Returns the sections of a ToC to print as one document: the ToC nodes opted in by slug that have a page of their
+ * own and at least one page beneath it. Each section lists the slugs of its pages in reading order, starting with
+ * the section's own page. Pages that appear more than once in a section are only included the first time.
+ * Arguments:
+ * - toctree: the site's ToC, from its metadata
+ * - pageAsts: an object mapping page slugs to their AST
+ * - sectionSlugs: the slugs of the sections to print
+ */
+const getPrintSections = (toctree, pageAsts, sectionSlugs = []) => {
+  const pageSlugs = new Map(Object.keys(pageAsts).map((slug) => [normalizeSlug(slug), slug]));
+  const optedInSlugs = new Set(sectionSlugs.map(normalizeSlug));
+  const sections = [];
+
+  const collectPages = (node, slugs) => {
+    const pageSlug = node.slug && pageSlugs.get(normalizeSlug(node.slug));
+    if (pageSlug && !slugs.includes(pageSlug)) {
+      slugs.push(pageSlug);
+    }
+    (node.children || []).forEach((child) => collectPages(child, slugs));
+    return slugs;
+  };
+
+  const visitTocNode = (node) => {
+    const sectionSlug = node.slug && pageSlugs.get(normalizeSlug(node.slug));
+    if (
+      sectionSlug &&
+      optedInSlugs.has(normalizeSlug(sectionSlug)) &&
+      !pageSlugs.has(normalizeSlug(getPrintPath(sectionSlug)))
+    ) {
+      const slugs = collectPages(node, []);
+      if (slugs.length > 1) {
+        sections.push({ slug: sectionSlug, slugs });
+      }
+    }
+    (node.children || []).forEach(visitTocNode);
+  };
+
+  if (toctree) {
+    visitTocNode(toctree);
+  }
+  return sections;
+};
+
+module.exports = { getPrintPath, getPrintSections, parsePrintSectionSlugs };
@@ -8,12 +8,34 @@ const saveFile = async (file, data) => {
   await fs.writeFile(path.join('static', file), data, 'binary');
 };
 
-// Write all assets to static directory
-const saveAssetFiles = async (assets, db) => {
+const fileExists = async (file) => {
+  try {
+    await fs.access(path.join('static', file));
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Write all assets to static directory, skipping files already written with the same checksum by a previous build
+const saveAssetFiles = async (assets, db, previousAssetDigests = {}) => {
   const imageWrites = [];
+  let skippedCount = 0;
 
   for (const [id, filenames] of assets) {
     if (filenames) {
+      const filesToWrite = [];
+      for (const filename of filenames) {
+        if (previousAssetDigests[filename] === id && (await fileExists(filename))) {
+          skippedCount += 1;
+        } else {
+          filesToWrite.push(filename);
+        }
+      }
+      if (filesToWrite.length === 0) {
+        continue;
+      }
+
       const buffer = await db.getAsset(id);
       if (!buffer) {
         console.error(
@@ -21,10 +43,13 @@ const saveAssetFiles = async (assets, db) => {
         );
         process.exit(1);
       }
-      filenames.forEach((filename) => imageWrites.push(saveFile(filename, buffer)));
+      filesToWrite.forEach((filename) => imageWrites.push(saveFile(filename, buffer)));
     }
   }
   await Promise.all(imageWrites);
+  if (skippedCount > 0) {
+    console.log(`Skipped writing ${skippedCount} unchanged asset(s)`);
+  }
 };
 
 const saveStaticFiles = async (staticFiles) => {
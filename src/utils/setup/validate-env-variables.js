@@ -3,16 +3,17 @@ const fs = require('fs');
 // env variables for building site along with use in front-end
 // https://www.gatsbyjs.org/docs/environment-variables/#defining-environment-variables
 const validateEnvVariables = (manifestMetadata) => {
-  // only require env vars when no manifest path is specified
+  const hasLocalParserOutput = !!(process.env.GATSBY_MANIFEST_PATH || process.env.GATSBY_PARSER_OUTPUT_DIR);
+  // only require env vars when no manifest path or parser output directory is specified
   if (
-    !process.env.GATSBY_MANIFEST_PATH &&
+    !hasLocalParserOutput &&
     (!process.env.GATSBY_SITE || !process.env.GATSBY_PARSER_USER || !process.env.GATSBY_PARSER_BRANCH)
   ) {
     return {
       error: true,
       message: `${process.env.NODE_ENV} requires the variables GATSBY_SITE, GATSBY_PARSER_USER, and GATSBY_PARSER_BRANCH, found: ${process.env.GATSBY_SITE}, ${process.env.GATSBY_PARSER_USER}, ${process.env.GATSBY_PARSER_BRANCH}`,
     };
-  } else if (process.env.GATSBY_MANIFEST_PATH) {
+  } else if (hasLocalParserOutput) {
     validateManifestEnvVars(manifestMetadata);
   }
   // create split prefix for use in stitch function
@@ -0,0 +1,134 @@
+const {
+  ADMONITION_NAMES,
+  COMPONENT_NAMES,
+  DEPRECATED_ADMONITIONS,
+  IGNORED_NAMES,
+  IGNORED_TYPES,
+  ROLE_NAMES,
+  VALID_DOMAINS,
+} = require('../component-names');
+const { createDirectiveRegistry } = require('../directive-registry');
+
+// Node properties containing child nodes that are rendered through ComponentFactory
+const CHILD_NODE_FIELDS = ['argument', 'children', 'term'];
+
+// Children that their parent's component renders itself rather than through ComponentFactory, keyed by the parent's
+// directive name or node type. Their own children are still validated.
+const PARENT_RENDERED_CHILDREN = {
+  chapter: ['guide'],
+  'io-code-block': ['input', 'output'],
+  procedure: ['step'],
+  tabs: ['tab'],
+  target: ['directive_argument', 'target_identifier'],
+};
+
+// Nodes that only wrap included content, whose children belong to the component rendering the include
+const WRAPPER_NAMES = new Set(['include', 'root']);
+
+const addIssue = (issues, key, fields, slug) => {
+  if (!issues.has(key)) {
+    issues.set(key, { ...fields, pages: new Set() });
+  }
+  issues.get(key).pages.add(slug);
+};
+
+const toSortedList = (issues) =>
+  [...issues.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, { pages, ...fields }]) => ({ ...fields, pages: [...pages].sort() }));
+
+/**
+ * Walks each page AST the way ComponentFactory renders it, and returns the nodes it would fail to render:
+ * directives and node types without a component, roles without a component, and domains other than those
+ * we support. Each issue lists the slugs of the pages it appears on.
+ * Arguments:
+ * - pages: an object mapping page slugs to their AST
+ * - registered: the directives, roles and ignored names registered by the docs property (see directive-registry.js)
+ */
+const validatePageAsts = (pages, registered = createDirectiveRegistry()) => {
+  const unimplementedNodes = new Map();
+  const unknownRoles = new Map();
+  const unexpectedDomains = new Map();
+
+  // parentRendered lists the names of the children that the enclosing component renders itself
+  const visit = (node, slug, parentRendered = []) => {
+    if (!node || typeof node !== 'object') return;
+    const { domain, name, type } = node;
+    const lookup = type === 'directive' ? name : type;
+    const childrenRendered = WRAPPER_NAMES.has(lookup) ? parentRendered : PARENT_RENDERED_CHILDREN[lookup] || [];
+    const visitChildren = () =>
+      CHILD_NODE_FIELDS.forEach((field) => {
+        if (Array.isArray(node[field])) {
+          node[field].forEach((child) => visit(child, slug, childrenRendered));
+        }
+      });
+
+    if (parentRendered.includes(lookup)) {
+      visitChildren();
+      return;
+    }
+    const isRegistered = type === 'role' ? name in registered.roles : lookup in registered.directives;
+
+    if (registered.ignoredNames.has(name) || (!isRegistered && (IGNORED_TYPES.has(type) || IGNORED_NAMES.has(name)))) {
+      return;
+    }
+
+    if (domain && !VALID_DOMAINS.includes(domain)) {
+      addIssue(unexpectedDomains, `${domain}:${name || ''}`, { domain, name }, slug);
+    }
+
+    const isAdmonition = DEPRECATED_ADMONITIONS.has(name) || ADMONITION_NAMES.has(name);
+    if (type === 'role') {
+      if (!ROLE_NAMES.has(name) && !isAdmonition && !isRegistered) {
+        addIssue(unknownRoles, name, { name }, slug);
+        return;
+      }
+    } else if (!COMPONENT_NAMES.has(lookup) && !isAdmonition && !isRegistered) {
+      addIssue(unimplementedNodes, `${type}:${name || ''}`, { type, name }, slug);
+      return;
+    }
+
+    visitChildren();
+  };
+
+  Object.entries(pages).forEach(([slug, ast]) => visit(ast, slug));
+
+  return {
+    unimplementedNodes: toSortedList(unimplementedNodes),
+    unknownRoles: toSortedList(unknownRoles),
+    unexpectedDomains: toSortedList(unexpectedDomains),
+  };
+};
+
+const countIssues = (report) => Object.values(report).reduce((total, issues) => total + issues.length, 0);
+
+// Returns a human-readable summary of a validation report
+const formatValidationReport = (report) => {
+  const issueCount = countIssues(report);
+  if (issueCount === 0) {
+    return 'AST validation found no issues';
+  }
+
+  const describeNode = ({ type, name }) => (name ? `${type} "${name}"` : type);
+  const sections = [
+    ['Unimplemented node types', report.unimplementedNodes, describeNode],
+    ['Unknown roles', report.unknownRoles, ({ name }) => `role "${name}"`],
+    [
+      'Unexpected domains',
+      report.unexpectedDomains,
+      ({ domain, name }) => `domain "${domain}"${name ? ` on "${name}"` : ''}`,
+    ],
+  ];
+
+  const lines = [`AST validation found ${issueCount} issue(s):`];
+  sections.forEach(([heading, issues, describe]) => {
+    if (issues.length === 0) return;
+    lines.push(`  ${heading}:`);
+    issues.forEach((issue) => {
+      lines.push(`    ${describe(issue)} on ${issue.pages.length} page(s): ${issue.pages.join(', ')}`);
+    });
+  });
+  return lines.join('\n');
+};
+
+module.exports = { countIssues, formatValidationReport, validatePageAsts };
@@ -0,0 +1,24 @@
+const fs = require('fs');
+
+// Calls onChange each time the file at filePath is rewritten, waiting for any previous call to finish first.
+// The file's stats are polled, since tools like the parser replace files rather than writing to them in place,
+// which native file system events lose track of. Returns a function that stops watching the file.
+const watchFile = (filePath, onChange, interval = 1000) => {
+  let pending = Promise.resolve();
+
+  const listener = (curr, prev) => {
+    // A file that is missing or still being written has no size yet
+    if (curr.mtimeMs === prev.mtimeMs || curr.size === 0) {
+      return;
+    }
+    pending = pending.then(onChange).catch((err) => {
+      console.error(`Failed to reload ${filePath}`);
+      console.error(err);
+    });
+  };
+
+  fs.watchFile(filePath, { interval }, listener);
+  return () => fs.unwatchFile(filePath, listener);
+};
+
+module.exports = { watchFile };
@@ -73,6 +73,10 @@ const siteMetadata = {
   snootyEnv: process.env.SNOOTY_ENV || 'development',
   user: userInfo().username,
   manifestPath: process.env.GATSBY_MANIFEST_PATH,
+  parserOutputDir: process.env.GATSBY_PARSER_OUTPUT_DIR,
+  offlineBuild:
+    !!(process.env.GATSBY_MANIFEST_PATH || process.env.GATSBY_PARSER_OUTPUT_DIR) &&
+    process.env.GATSBY_OFFLINE_BUILD === 'true',
 };
 
 module.exports.siteMetadata = siteMetadata;
@@ -0,0 +1,27 @@
+const { normalizeSlug } = require('./normalize-slug');
+
+// Name of the static file listing every page slug built for a version
+const SLUG_MANIFEST_FILENAME = 'slugs.json';
+
+// Returns the sorted slugs of the pages built for this version, with '/' for the index page
+const buildSlugManifest = (pageAsts) => [...new Set(Object.keys(pageAsts).map(normalizeSlug))].sort();
+
+/**
+ * Returns the slug, or its nearest parent, that is listed in another version's manifest,
+ * so that switching versions lands as close as possible to the current page.
+ * Returns null when neither the page nor any of its parents exist in that version.
+ */
+const findClosestSlug = (slug, manifest) => {
+  const available = new Set(manifest);
+  let candidate = normalizeSlug(slug);
+  while (candidate !== '/') {
+    if (available.has(candidate)) {
+      return candidate;
+    }
+    const lastSlash = candidate.lastIndexOf('/');
+    candidate = lastSlash === -1 ? '/' : candidate.slice(0, lastSlash);
+  }
+  return available.has('/') ? '/' : null;
+};
+
+module.exports = { buildSlugManifest, findClosestSlug, SLUG_MANIFEST_FILENAME };
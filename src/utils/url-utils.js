@@ -1,6 +1,7 @@
 import { generatePrefix } from '../components/VersionDropdown/utils';
 import { baseUrl } from './base-url';
 import { assertTrailingSlash } from './assert-trailing-slash';
+import { getLocalizedPath } from './locale';
 import { normalizePath } from './normalize-path';
 
 export const getUrl = (branchUrlSlug, project, siteMetadata, siteBasePrefix, slug) => {
@@ -8,5 +9,6 @@ export const getUrl = (branchUrlSlug, project, siteMetadata, siteBasePrefix, slu
     return `${baseUrl()}legacy/?site=${project}`;
   }
   const prefixWithVersion = generatePrefix(branchUrlSlug, siteMetadata, siteBasePrefix);
-  return assertTrailingSlash(normalizePath(`${prefixWithVersion}/${slug}`));
+  // Other versions of a translated doc set are prefixed with the same locale
+  return assertTrailingSlash(normalizePath(`${prefixWithVersion}/${getLocalizedPath(`/${slug}`)}`));
 };
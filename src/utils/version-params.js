@@ -0,0 +1,27 @@
+import queryString from 'query-string';
+
+// Query parameters such as ?v.atlas-cli=v1.3 pin a product's version in the merged table of contents
+const VERSION_PARAM_PREFIX = 'v.';
+
+// Returns the product versions pinned by a query string, keyed by project
+export const getVersionsFromParams = (search = '') => {
+  const versions = {};
+  Object.entries(queryString.parse(search)).forEach(([key, value]) => {
+    if (key.startsWith(VERSION_PARAM_PREFIX) && typeof value === 'string' && value) {
+      versions[key.slice(VERSION_PARAM_PREFIX.length)] = value;
+    }
+  });
+  return versions;
+};
+
+// Returns the URL with its version parameters replaced by ones pinning the given product versions
+export const getUrlWithVersionParams = (url, versions) => {
+  const { url: base, query, fragmentIdentifier } = queryString.parseUrl(url, { parseFragmentIdentifier: true });
+  const otherParams = Object.fromEntries(
+    Object.entries(query).filter(([key]) => !key.startsWith(VERSION_PARAM_PREFIX))
+  );
+  const versionParams = Object.fromEntries(
+    Object.entries(versions).map(([project, version]) => [`${VERSION_PARAM_PREFIX}${project}`, version])
+  );
+  return queryString.stringifyUrl({ url: base, query: { ...otherParams, ...versionParams }, fragmentIdentifier });
+};
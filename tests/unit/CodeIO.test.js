@@ -2,6 +2,7 @@ import React from 'react';
 import { render } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import CodeIO from '../../src/components/Code/CodeIO';
+import PrintModeContext from '../../src/components/Print/print-mode-context';
 
 // data for this component
 import mockData from './data/CodeIO.test.json';
@@ -27,4 +28,14 @@ describe('CodeIO', () => {
     userEvent.click(wrapper.getByRole('button'));
     expect(wrapper.queryAllByText('hello world')).toHaveLength(0);
   });
+
+  it('shows hidden output without a toggle when the page is printed', () => {
+    const wrapper = render(
+      <PrintModeContext.Provider value={{ isInPrintMode: true }}>
+        <CodeIO nodeData={mockData.outputHiddenByDefault} />
+      </PrintModeContext.Provider>
+    );
+    expect(wrapper.getByText('hello world')).toBeTruthy();
+    expect(wrapper.queryByRole('button')).toBeNull();
+  });
 });
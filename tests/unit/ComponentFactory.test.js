@@ -0,0 +1,18 @@
+import { admonitionMap } from '../../src/components/Admonition';
+import { componentMap, roleMap } from '../../src/components/ComponentFactory';
+import { ADMONITION_NAMES, COMPONENT_NAMES, ROLE_NAMES } from '../../src/utils/component-names';
+
+// The build validates page ASTs against these names without loading any components, so they must not drift
+describe('ComponentFactory names', () => {
+  it('lists every key of componentMap', () => {
+    expect([...COMPONENT_NAMES].sort()).toEqual(Object.keys(componentMap).sort());
+  });
+
+  it('lists every key of roleMap', () => {
+    expect([...ROLE_NAMES].sort()).toEqual(Object.keys(roleMap).sort());
+  });
+
+  it('lists every key of admonitionMap', () => {
+    expect([...ADMONITION_NAMES].sort()).toEqual(Object.keys(admonitionMap).sort());
+  });
+});
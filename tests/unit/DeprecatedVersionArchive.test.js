@@ -0,0 +1,56 @@
+import React from 'react';
+import { render, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import DeprecatedVersionArchive from '../../src/components/DeprecatedVersionArchive';
+
+jest.mock('../../src/utils/use-snooty-metadata', () => () => ({
+  deprecated_versions: {
+    docs: [{ name: 'v3.4', releaseDate: '2016-11-29' }, 'v3.6'],
+    mms: ['v1.1'],
+  },
+}));
+
+jest.mock('../../src/hooks/useAllProducts', () => ({
+  useAllProducts: () => [
+    { project: 'docs', title: 'MongoDB Server', url: 'https://www.mongodb.com/docs/' },
+    { project: 'mms', title: 'MongoDB Ops Manager', url: 'https://www.mongodb.com/docs/ops-manager/' },
+  ],
+}));
+
+describe('DeprecatedVersionArchive', () => {
+  it('lists every deprecated version with its release date and a direct link', () => {
+    const wrapper = render(<DeprecatedVersionArchive />);
+    const server = wrapper.getByRole('region', { name: 'MongoDB Server' });
+
+    expect(within(server).getByRole('link', { name: 'Version 3.4' })).toHaveAttribute(
+      'href',
+      'https://www.mongodb.com/docs/v3.4/'
+    );
+    expect(within(server).getByText('Released November 29, 2016')).toBeInTheDocument();
+    expect(wrapper.getByRole('link', { name: 'Version 1.1' })).toHaveAttribute(
+      'href',
+      'https://www.mongodb.com/docs/ops-manager/v1.1/'
+    );
+  });
+
+  it('filters products and versions by the search text', () => {
+    const wrapper = render(<DeprecatedVersionArchive />);
+    const search = wrapper.getByRole('searchbox', { name: 'Search products and versions' });
+
+    userEvent.type(search, 'ops');
+    expect(wrapper.queryByRole('region', { name: 'MongoDB Server' })).not.toBeInTheDocument();
+    expect(wrapper.getByRole('region', { name: 'MongoDB Ops Manager' })).toBeInTheDocument();
+
+    userEvent.clear(search);
+    userEvent.type(search, 'v9');
+    expect(wrapper.getByText('No products or versions match "v9".')).toBeInTheDocument();
+  });
+
+  it('searches for the product passed in the site query string', () => {
+    window.history.pushState({}, '', '/legacy/?site=mms');
+    const wrapper = render(<DeprecatedVersionArchive />);
+    expect(wrapper.getByRole('searchbox')).toHaveValue('MongoDB Ops Manager');
+    expect(wrapper.queryByRole('region', { name: 'MongoDB Server' })).not.toBeInTheDocument();
+    window.history.pushState({}, '', '/');
+  });
+});
@@ -0,0 +1,47 @@
+import React from 'react';
+import { render, waitFor } from '@testing-library/react';
+import EOLBanner from '../../src/components/Banner/EOLBanner';
+
+jest.mock('../../src/hooks/use-site-metadata', () => ({
+  useSiteMetadata: () => ({ parserBranch: 'v4.4', pathPrefix: '/docs/v4.4', project: 'docs' }),
+}));
+
+const repoBranches = {
+  branches: [
+    { active: true, gitBranchName: 'master', urlSlug: 'upcoming' },
+    { active: true, gitBranchName: 'v7.0', isStableBranch: true, urlSlug: 'v7.0' },
+    {
+      active: false,
+      gitBranchName: 'v4.4',
+      migrationNote: 'Replication options moved to the replication page.',
+      urlSlug: 'v4.4',
+    },
+  ],
+  siteBasePrefix: 'docs',
+};
+
+describe('EOLBanner', () => {
+  const originalFetch = window.fetch;
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+  });
+
+  it('links to the closest page in the stable version and shows the migration note', async () => {
+    window.fetch = jest.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve(['/', 'replication']) });
+    const wrapper = render(<EOLBanner repoBranches={repoBranches} slug="replication/options" />);
+    const link = wrapper.getByRole('link', { name: 'Read this page in the current version, Version 7.0.' });
+    expect(link).toHaveAttribute('href', '/docs/v7.0/replication/options/');
+    expect(wrapper.getByText('Replication options moved to the replication page.')).toBeInTheDocument();
+
+    await waitFor(() => expect(link).toHaveAttribute('href', '/docs/v7.0/replication/'));
+    expect(window.fetch).toHaveBeenCalledWith('/docs/v7.0/slugs.json');
+  });
+
+  it('only explains that the version is unsupported without an active version', () => {
+    const inactiveBranches = { ...repoBranches, branches: [repoBranches.branches[2]] };
+    const wrapper = render(<EOLBanner repoBranches={inactiveBranches} slug="replication" />);
+    expect(wrapper.getByText(/no longer supported/)).toBeInTheDocument();
+    expect(wrapper.queryByRole('link')).not.toBeInTheDocument();
+  });
+});
@@ -1,6 +1,8 @@
 import React from 'react';
 import { render } from '@testing-library/react';
 import FootnoteReference from '../../src/components/Footnote/FootnoteReference';
+import FootnoteContext from '../../src/components/Footnote/footnote-context';
+import PrintModeContext from '../../src/components/Print/print-mode-context';
 
 // data for this component
 import mockData from './data/FootnoteReference.test.json';
@@ -9,3 +11,22 @@ it('renders correctly', () => {
   const tree = render(<FootnoteReference nodeData={mockData} />);
   expect(tree.asFragment()).toMatchSnapshot();
 });
+
+it('renders the footnote inline when the page is printed', () => {
+  const footnotes = {
+    1: {
+      children: [{ type: 'paragraph', children: [{ type: 'text', value: 'Footnote content' }] }],
+      label: 1,
+      references: ['id1'],
+    },
+  };
+  const tree = render(
+    <PrintModeContext.Provider value={{ isInPrintMode: true }}>
+      <FootnoteContext.Provider value={{ footnotes }}>
+        <FootnoteReference nodeData={mockData} />
+      </FootnoteContext.Provider>
+    </PrintModeContext.Provider>
+  );
+  expect(tree.container).toHaveTextContent('(Footnote content)');
+  expect(tree.queryByRole('link')).toBeNull();
+});
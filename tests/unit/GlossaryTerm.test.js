@@ -0,0 +1,16 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import GlossaryTerm from '../../src/components/GlossaryTerm';
+
+const nodeData = {
+  type: 'glossary_term',
+  definition: 'A group of mongod processes.',
+  id: 'term-replica-set',
+  slug: 'reference/glossary',
+  children: [{ type: 'text', value: 'replica set' }],
+};
+
+it('links the term to its glossary entry', () => {
+  const { getByText } = render(<GlossaryTerm nodeData={nodeData} />);
+  expect(getByText('replica set').closest('a')).toHaveAttribute('href', '/reference/glossary/#term-replica-set');
+});
@@ -60,3 +60,29 @@ describe('Link component renders a variety of strings correctly', () => {
     expect(tree.asFragment()).toMatchSnapshot();
   });
 });
+
+describe('Link component in a translated doc set', () => {
+  const { GATSBY_LOCALE } = process.env;
+
+  beforeAll(() => {
+    process.env.GATSBY_LOCALE = 'ja-jp';
+  });
+
+  afterAll(() => {
+    if (GATSBY_LOCALE === undefined) {
+      delete process.env.GATSBY_LOCALE;
+    } else {
+      process.env.GATSBY_LOCALE = GATSBY_LOCALE;
+    }
+  });
+
+  it('prefixes internal links with the locale', () => {
+    const { getByText } = setup({ to: 'drivers/pymongo#installation', text: 'PyMongo' });
+    expect(getByText('PyMongo').closest('a')).toHaveAttribute('href', '/ja-jp/drivers/pymongo/#installation');
+  });
+
+  it('leaves external links as they are', () => {
+    const { getByText } = setup({ to: 'https://www.mongodb.com/docs/atlas/', text: 'Atlas' });
+    expect(getByText('Atlas').closest('a')).toHaveAttribute('href', 'https://www.mongodb.com/docs/atlas/');
+  });
+});
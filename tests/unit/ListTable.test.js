@@ -1,7 +1,9 @@
 import React from 'react';
 import { render } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import { matchers } from '@emotion/jest';
 import ListTable from '../../src/components/ListTable';
+import * as DownloadFile from '../../src/utils/download-file';
 
 import mockData from './data/ListTable.test.json';
 import mockDataFixedWidths from './data/ListTableFixedWidths.test.json';
@@ -64,3 +66,63 @@ describe('when rendering a list table with fixed widths', () => {
     expect(wrapper.queryAllByRole('rowheader')).toHaveLength(0);
   });
 });
+
+describe('when rendering an interactive list table', () => {
+  const data = { ...mockData, options: { ...mockData.options, sortable: '', filterable: '', exportable: '' } };
+
+  // Returns the text of the first cell of each body row, in the order shown
+  const getRowNames = (wrapper) =>
+    wrapper
+      .queryAllByRole('row')
+      .slice(1)
+      .map((row) => row.querySelector('td, th').textContent);
+
+  it('sorts rows by a column in either direction', () => {
+    const wrapper = mountListTable(data);
+    const sortButton = wrapper.getByLabelText('Sort by quantity');
+
+    userEvent.click(sortButton);
+    expect(getRowNames(wrapper)).toEqual(['journal', 'postcard', 'notebook', 'planner', 'paper']);
+
+    userEvent.click(sortButton);
+    expect(getRowNames(wrapper)).toEqual(['paper', 'planner', 'notebook', 'postcard', 'journal']);
+
+    // A third click restores the table's own order
+    userEvent.click(sortButton);
+    expect(getRowNames(wrapper)).toEqual(['journal', 'notebook', 'paper', 'planner', 'postcard']);
+  });
+
+  it('filters rows by the text of any cell', () => {
+    const wrapper = mountListTable(data);
+    userEvent.type(wrapper.getByLabelText('Filter table rows'), 'CM');
+    expect(getRowNames(wrapper)).toEqual(['journal', 'planner', 'postcard']);
+
+    userEvent.type(wrapper.getByLabelText('Filter table rows'), ' missing');
+    expect(wrapper.getByText('No rows match the filter.')).toBeTruthy();
+  });
+
+  it('exports the shown rows as CSV and Markdown', () => {
+    const downloadFile = jest.spyOn(DownloadFile, 'downloadFile').mockImplementation(() => {});
+    const wrapper = mountListTable(data);
+    userEvent.type(wrapper.getByLabelText('Filter table rows'), 'watercolor');
+
+    userEvent.click(wrapper.getByText('CSV').closest('button'));
+    expect(downloadFile).toHaveBeenLastCalledWith(
+      'table.csv',
+      'name,quantity,size,status,tags,rating\npaper,100,"8.5x11,in",D,watercolor,10',
+      'text/csv'
+    );
+
+    userEvent.click(wrapper.getByText('Markdown').closest('button'));
+    expect(downloadFile).toHaveBeenLastCalledWith(
+      'table.md',
+      [
+        '| name | quantity | size | status | tags | rating |',
+        '| --- | --- | --- | --- | --- | --- |',
+        '| paper | 100 | 8.5x11,in | D | watercolor | 10 |',
+      ].join('\n'),
+      'text/markdown'
+    );
+    downloadFile.mockRestore();
+  });
+});
@@ -1,8 +1,9 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, within } from '@testing-library/react';
 import { mockLocation } from '../utils/mock-location';
 import mockStaticQuery from '../utils/mockStaticQuery';
 import DocumentBody from '../../src/components/DocumentBody';
+import Presentation from '../../src/components/Presentation';
 import mockPageContext from './data/PageContext.test.json';
 import mockSnootyMetadata from './data/SnootyMetadata.json';
 
@@ -41,6 +42,95 @@ describe('DocumentBody', () => {
     const mainNav = screen.queryByRole('img', { name: 'MongoDB logo' });
     expect(mainNav).not.toBeInTheDocument();
   });
+
+  it('renders the page for printing without the footer or feedback widget', () => {
+    mockLocation('?print=true');
+    render(<DocumentBody location={window.location} pageContext={mockPageContext} />);
+    expect(screen.queryByTestId('consistent-footer')).not.toBeInTheDocument();
+    expect(screen.queryByText('Share Feedback')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Print or save as PDF' })).toBeInTheDocument();
+  });
+
+  it('concatenates the pages of a printable section after a table of contents', () => {
+    mockLocation(null);
+    const copyPage = () => JSON.parse(JSON.stringify(mockPageContext.page));
+    const printPages = [
+      { slug: mockPageContext.slug, page: copyPage() },
+      { slug: 'tutorial/next', page: copyPage() },
+    ];
+    render(<DocumentBody location={window.location} pageContext={{ ...mockPageContext, printPages }} />);
+
+    const contents = screen.getByRole('navigation', { name: 'Table of contents' });
+    const links = within(contents).getAllByRole('link');
+    expect(links).toHaveLength(2);
+    expect(links[1]).toHaveAttribute('href', '#print-tutorial/next');
+    expect(document.getElementById('print-tutorial/next')).toBeInTheDocument();
+    expect(screen.queryByTestId('consistent-footer')).not.toBeInTheDocument();
+  });
+});
+
+describe('Presentation', () => {
+  const text = (value) => ({ type: 'text', value });
+  const paragraph = (value) => ({ type: 'paragraph', children: [text(value)] });
+  const section = (title, ...children) => ({
+    type: 'section',
+    children: [{ type: 'heading', id: title.toLowerCase(), children: [text(title)] }, ...children],
+  });
+  const pageNodes = [
+    section(
+      'Overview',
+      paragraph('Introduction'),
+      section('Install', paragraph('Download the installer'), {
+        type: 'directive',
+        name: 'speaker-notes',
+        children: [paragraph('Show the download page')],
+      }),
+      section('Connect', paragraph('Open a connection'))
+    ),
+  ];
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('shows one section at a time and navigates with the arrow keys', () => {
+    render(<Presentation pageNodes={pageNodes} />);
+    expect(screen.getByText('1 / 3')).toBeInTheDocument();
+    expect(screen.getByText('Introduction')).toBeInTheDocument();
+    expect(screen.queryByText('Download the installer')).not.toBeInTheDocument();
+
+    fireEvent.keyDown(window, { key: 'ArrowRight' });
+    expect(screen.getByText('2 / 3')).toBeInTheDocument();
+    expect(screen.getByText('Download the installer')).toBeInTheDocument();
+    expect(screen.queryByText('Introduction')).not.toBeInTheDocument();
+    expect(window.location.hash).toBe('#slide-2');
+
+    fireEvent.keyDown(window, { key: 'End' });
+    expect(screen.getByText('3 / 3')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Next slide' })).toHaveAttribute('aria-disabled', 'true');
+
+    fireEvent.keyDown(window, { key: 'ArrowLeft' });
+    expect(screen.getByText('2 / 3')).toBeInTheDocument();
+  });
+
+  it('opens the slide linked to by the URL', () => {
+    window.history.replaceState(null, '', '/#slide-3');
+    render(<Presentation pageNodes={pageNodes} />);
+    expect(screen.getByText('3 / 3')).toBeInTheDocument();
+    expect(screen.getByText('Open a connection')).toBeInTheDocument();
+  });
+
+  it('shows speaker notes only in the notes panel', () => {
+    window.history.replaceState(null, '', '/#slide-2');
+    render(<Presentation pageNodes={pageNodes} />);
+    expect(screen.queryByText('Show the download page')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show speaker notes' }));
+    expect(within(screen.getByLabelText('Speaker notes')).getByText('Show the download page')).toBeInTheDocument();
+
+    fireEvent.keyDown(window, { key: 'n' });
+    expect(screen.queryByLabelText('Speaker notes')).not.toBeInTheDocument();
+  });
 });
 
 //TODO: Write the test for SideNav
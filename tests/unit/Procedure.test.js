@@ -1,5 +1,5 @@
 import React from 'react';
-import { render } from '@testing-library/react';
+import { fireEvent, render } from '@testing-library/react';
 import Procedure from '../../src/components/Procedure';
 
 // data for this component
@@ -24,3 +24,81 @@ it('renders steps nested in include nodes', () => {
   expect(tree.asFragment()).toMatchSnapshot();
   expect(tree.getAllByText(/Step/)).toHaveLength(7);
 });
+
+describe('checkable procedures', () => {
+  const checkableSteps = { ...mockData.testSteps, options: { checkable: '' } };
+  const stepCount = checkableSteps.children.filter(({ name }) => name === 'step').length;
+  const slug = 'install';
+
+  const getStoredSteps = () => JSON.parse(window.localStorage.getItem('mongodb-docs'))?.completedSteps;
+
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('does not render progress tracking by default', () => {
+    const { queryByRole } = render(<Procedure nodeData={mockData.testSteps} slug={slug} />);
+    expect(queryByRole('progressbar')).toBeNull();
+    expect(queryByRole('checkbox')).toBeNull();
+  });
+
+  it('links to each step by its number', () => {
+    const { getByLabelText } = render(<Procedure nodeData={checkableSteps} slug={slug} />);
+    const stepLink = getByLabelText('Link to step 2');
+    expect(stepLink).toHaveAttribute('href', '#procedure-1-step-2');
+    expect(stepLink.closest('#procedure-1-step-2')).toBeInTheDocument();
+  });
+
+  it('tracks and persists completed steps', () => {
+    const { getByLabelText, getByText } = render(<Procedure nodeData={checkableSteps} slug={slug} />);
+    expect(getByText(`0 of ${stepCount} steps complete`)).toBeInTheDocument();
+
+    fireEvent.click(getByLabelText('Mark step 2 as complete'));
+    fireEvent.click(getByLabelText('Mark step 1 as complete'));
+    expect(getByText(`2 of ${stepCount} steps complete`)).toBeInTheDocument();
+    expect(getStoredSteps()).toEqual({ [slug]: { 'procedure-1': [1, 2] } });
+
+    fireEvent.click(getByLabelText('Mark step 2 as complete'));
+    expect(getByText(`1 of ${stepCount} steps complete`)).toBeInTheDocument();
+    expect(getStoredSteps()).toEqual({ [slug]: { 'procedure-1': [1] } });
+  });
+
+  it('restores saved progress and resets it', () => {
+    window.localStorage.setItem(
+      'mongodb-docs',
+      JSON.stringify({ completedSteps: { [slug]: { 'procedure-1': [1, 2] } } })
+    );
+    const { getByLabelText, getByRole, getByText, queryByRole } = render(
+      <Procedure nodeData={checkableSteps} slug={slug} />
+    );
+    expect(getByText(`2 of ${stepCount} steps complete`)).toBeInTheDocument();
+    expect(getByLabelText('Mark step 2 as complete')).toBeChecked();
+
+    fireEvent.click(getByRole('button', { name: 'Reset progress' }));
+    expect(getByText(`0 of ${stepCount} steps complete`)).toBeInTheDocument();
+    expect(getByLabelText('Mark step 2 as complete')).not.toBeChecked();
+    expect(getStoredSteps()).toEqual({});
+    expect(queryByRole('button', { name: 'Reset progress' })).toBeNull();
+  });
+
+  it('keys each checkable procedure on the page by its id option or position', () => {
+    const second = { ...checkableSteps };
+    const named = { ...checkableSteps, options: { checkable: '', id: 'install-driver' } };
+    const page = { children: [checkableSteps, mockData.testSteps, second, named] };
+    const { getAllByLabelText } = render(
+      <>
+        <Procedure nodeData={checkableSteps} page={page} slug={slug} />
+        <Procedure nodeData={second} page={page} slug={slug} />
+        <Procedure nodeData={named} page={page} slug={slug} />
+      </>
+    );
+    expect(getAllByLabelText('Link to step 1').map((link) => link.getAttribute('href'))).toEqual([
+      '#procedure-1-step-1',
+      '#procedure-2-step-1',
+      '#install-driver-step-1',
+    ]);
+
+    fireEvent.click(getAllByLabelText('Mark step 1 as complete')[2]);
+    expect(getStoredSteps()).toEqual({ [slug]: { 'install-driver': [1] } });
+  });
+});
@@ -0,0 +1,61 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SearchHighlight from '../../src/components/SearchHighlight';
+import SearchHighlightContext from '../../src/components/SearchHighlight/search-highlight-context';
+import Text from '../../src/components/Text';
+import { getHighlightPattern } from '../../src/utils/search-highlight';
+
+const renderHighlightedPage = (highlightTerm, onDismiss = jest.fn()) =>
+  render(
+    <>
+      <SearchHighlightContext.Provider value={{ highlightPattern: getHighlightPattern(highlightTerm) }}>
+        <p>
+          <Text nodeData={{ type: 'text', value: 'Create a Collection, then query the collection.' }} />
+        </p>
+      </SearchHighlightContext.Provider>
+      <SearchHighlight highlightTerm={highlightTerm} onDismiss={onDismiss} />
+    </>
+  );
+
+describe('SearchHighlight', () => {
+  it('highlights each match of the search term in the page text', () => {
+    const { container } = renderHighlightedPage('collection');
+    const matches = container.querySelectorAll('mark[data-search-highlight]');
+    expect(matches).toHaveLength(2);
+    expect(matches[0]).toHaveTextContent('Collection');
+    expect(matches[1]).toHaveTextContent('collection');
+    expect(container.querySelector('p')).toHaveTextContent('Create a Collection, then query the collection.');
+  });
+
+  it('steps through the matches in either direction', () => {
+    const { container, getByLabelText, getByText } = renderHighlightedPage('collection');
+    const matches = container.querySelectorAll('mark[data-search-highlight]');
+    expect(getByText('1 of 2 matches for "collection"')).toBeTruthy();
+    expect(matches[0]).toHaveAttribute('data-current-match');
+
+    userEvent.click(getByLabelText('Next match'));
+    expect(getByText('2 of 2 matches for "collection"')).toBeTruthy();
+    expect(matches[0]).not.toHaveAttribute('data-current-match');
+    expect(matches[1]).toHaveAttribute('data-current-match');
+
+    userEvent.click(getByLabelText('Next match'));
+    expect(getByText('1 of 2 matches for "collection"')).toBeTruthy();
+
+    userEvent.click(getByLabelText('Previous match'));
+    expect(getByText('2 of 2 matches for "collection"')).toBeTruthy();
+  });
+
+  it('can be dismissed', () => {
+    const onDismiss = jest.fn();
+    const { getByLabelText } = renderHighlightedPage('collection', onDismiss);
+    userEvent.click(getByLabelText('Dismiss search highlighting'));
+    expect(onDismiss).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not render the match controls without matches', () => {
+    const { container, queryByRole } = renderHighlightedPage('index');
+    expect(container.querySelector('mark')).toBeNull();
+    expect(queryByRole('region')).toBeNull();
+  });
+});
@@ -9,7 +9,10 @@ import { tick, setMobile } from '../utils';
 import SearchResults from '../../src/components/SearchResults';
 import mockStaticQuery from '../utils/mockStaticQuery';
 import * as RealmUtil from '../../src/utils/realm';
+import * as ReportAnalytics from '../../src/utils/report-analytics';
 import mockInputData from '../utils/data/marian-manifests.json';
+import { SEARCH_EVENTS, setSearchAnalyticsSink } from '../../src/utils/search-analytics';
+import { buildSearchIndex } from '../../src/utils/search-index';
 import { FILTERED_RESULT, mockMarianFetch, UNFILTERED_RESULT } from './utils/mock-marian-fetch';
 
 const MOBILE_SEARCH_BACK_BUTTON_TEXT = 'Back to search results';
@@ -28,10 +31,13 @@ const expectFilteredResults = (wrapper, filteredByRealm) => {
   // Check the search result card displays content according to the response
   expect(wrapper.queryAllByText(FILTERED_RESULT.title)).toBeTruthy();
   expect(wrapper.queryAllByText(FILTERED_RESULT.preview)).toBeTruthy();
-  expect(wrapper.queryAllByText(UNFILTERED_RESULT.title).length).toBe(0);
+  expect(wrapper.queryAllByText('(no filters)').length).toBe(0);
 
   // Check the result does link to the provided doc
-  expect(wrapper.queryByText('stitch').closest('a')).toHaveProperty('href', `http://localhost/${FILTERED_RESULT.url}`);
+  expect(wrapper.queryByText('stitch').closest('a')).toHaveProperty(
+    'href',
+    `http://localhost/${FILTERED_RESULT.url}?highlight=stitch`
+  );
   expect(wrapper.queryAllByText('Search results for "stitch"').length).toBe(1);
 
   // Check the dropdowns are filled in
@@ -65,7 +71,7 @@ const expectUnfilteredResults = (wrapper) => {
   // Check the result does link to the provided doc
   expect(wrapper.queryByText('stitch').closest('a')).toHaveProperty(
     'href',
-    `http://localhost/${UNFILTERED_RESULT.url}`
+    `http://localhost/${UNFILTERED_RESULT.url}?highlight=stitch`
   );
 
   // We always show this text, regardless of filter
@@ -288,4 +294,265 @@ describe('Search Results Page', () => {
     expectUnfilteredResults(renderStitchResults);
     expect(renderStitchResults.queryByText(MOBILE_SEARCH_BACK_BUTTON_TEXT)).toBeFalsy();
   });
+
+  it('loads the next page of results with the "load more results" button', async () => {
+    let renderIndexResults;
+    mockLocation('?q=index');
+    await act(async () => {
+      renderIndexResults = render(<SearchResults />);
+    });
+    expect(renderIndexResults.queryAllByText('(first page)').length).toBe(1);
+    expect(renderIndexResults.queryAllByText('(second page)').length).toBe(0);
+    expect(renderIndexResults.queryByText('Showing 1 of 2 results')).toBeTruthy();
+
+    await act(async () => {
+      userEvent.click(renderIndexResults.getByText('Load more results').closest('button'));
+      await tick();
+    });
+    expect(renderIndexResults.queryAllByText('(first page)').length).toBe(1);
+    expect(renderIndexResults.queryAllByText('(second page)').length).toBe(1);
+    expect(renderIndexResults.queryByText('Showing 2 of 2 results')).toBeTruthy();
+    expect(renderIndexResults.queryByText('Load more results')).toBeFalsy();
+  });
+
+  it('restores every page up to the page query param', async () => {
+    let renderIndexResults;
+    mockLocation('?q=index&page=2');
+    await act(async () => {
+      renderIndexResults = render(<SearchResults />);
+    });
+    expect(renderIndexResults.queryAllByText('(first page)').length).toBe(1);
+    expect(renderIndexResults.queryAllByText('(second page)').length).toBe(1);
+    expect(renderIndexResults.queryByText('Load more results')).toBeFalsy();
+  });
+
+  it('restores at most ten pages from the page query param, fetching them in turn', async () => {
+    const requestedPages = [];
+    let pendingRequests = 0;
+    let maxPendingRequests = 0;
+    window.fetch = async (url) => {
+      const match = url.match(/search\?q=many(?:&page=(\d+))?$/);
+      if (!match) {
+        return mockMarianFetch(url);
+      }
+      const page = Number(match[1] || 1);
+      requestedPages.push(page);
+      pendingRequests += 1;
+      maxPendingRequests = Math.max(maxPendingRequests, pendingRequests);
+      await Promise.resolve();
+      pendingRequests -= 1;
+      return {
+        ok: true,
+        json: () => ({
+          results: [{ ...FILTERED_RESULT, title: `many (page ${page})`, url: `many.page${page}` }],
+          total: 100,
+        }),
+      };
+    };
+
+    let renderManyResults;
+    mockLocation('?q=many&page=50');
+    await act(async () => {
+      renderManyResults = render(<SearchResults />);
+    });
+    // Results are fetched again once Marian's manifests load
+    expect(requestedPages.slice(-10)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    expect(Math.max(...requestedPages)).toBe(10);
+    expect(maxPendingRequests).toBe(1);
+    expect(renderManyResults.queryByText('Showing 10 of 100 results')).toBeTruthy();
+
+    window.fetch = mockMarianFetch;
+  });
+
+  it('clears the results when a new query cannot be fetched', async () => {
+    let renderStitchResults;
+    mockLocation('?q=stitch');
+    await act(async () => {
+      renderStitchResults = render(<SearchResults />);
+    });
+    expect(renderStitchResults.queryAllByText('(no filters)').length).toBe(1);
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.fetch = async () => {
+      throw new Error('Search is unreachable');
+    };
+    mockLocation('?q=unreachable');
+    await act(async () => {
+      renderStitchResults.rerender(<SearchResults />);
+    });
+    expect(renderStitchResults.container.textContent).not.toContain(UNFILTERED_RESULT.preview);
+
+    window.fetch = mockMarianFetch;
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+
+  it('narrows results to the product facets in the URL', async () => {
+    let renderStitchResults;
+    mockLocation('?q=stitch&product=Realm');
+    await act(async () => {
+      renderStitchResults = render(<SearchResults />);
+    });
+    expect(renderStitchResults.queryAllByText('(realm filter)').length).toBe(1);
+    expect(renderStitchResults.container.textContent).not.toContain(UNFILTERED_RESULT.preview);
+  });
+
+  it('updates the results when a product facet is checked', async () => {
+    let renderStitchResults;
+    mockLocation('?q=stitch');
+    await act(async () => {
+      renderStitchResults = render(<SearchResults />);
+    });
+    expect(renderStitchResults.queryAllByText('(no filters)').length).toBe(1);
+
+    await act(async () => {
+      userEvent.click(renderStitchResults.getByText('More filters').closest('button'));
+      await tick();
+    });
+    await act(async () => {
+      userEvent.click(renderStitchResults.getByLabelText('Realm').closest('label'));
+      await tick();
+    });
+    expect(renderStitchResults.queryAllByText('(realm filter)').length).toBe(1);
+    expect(renderStitchResults.container.textContent).not.toContain(UNFILTERED_RESULT.preview);
+  });
+
+  it('searches the local index when Marian cannot be reached', async () => {
+    const searchIndex = buildSearchIndex({
+      'tutorial/stitch': {
+        type: 'root',
+        children: [
+          { type: 'heading', children: [{ type: 'text', value: 'Stitch Tutorial' }] },
+          { type: 'paragraph', children: [{ type: 'text', value: 'Build an app with local preview.' }] },
+        ],
+      },
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.fetch = async (url) => {
+      if (!url.endsWith('search-index.json')) {
+        throw new Error('Marian is unreachable');
+      }
+      return { json: () => searchIndex };
+    };
+
+    let renderStitchResults;
+    mockLocation('?q=stitch');
+    await act(async () => {
+      renderStitchResults = render(<SearchResults />);
+    });
+    expect(renderStitchResults.queryAllByText('Tutorial').length).toBe(1);
+    expect(renderStitchResults.container.querySelector('a[href="/tutorial/stitch/?highlight=stitch"]')).toBeTruthy();
+    expect(renderStitchResults.queryByText('Showing 1 of 1 result')).toBeTruthy();
+
+    window.fetch = mockMarianFetch;
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+
+  it('suggests results as a new query is typed and opens them with the keyboard', async () => {
+    const reportAnalytics = jest.spyOn(ReportAnalytics, 'reportAnalytics').mockImplementation(() => {});
+    let renderResults;
+    mockLocation('?q=realm');
+    await act(async () => {
+      renderResults = render(<SearchResults />);
+    });
+    const searchInput = renderResults.getByRole('combobox');
+    expect(searchInput).toHaveValue('realm');
+
+    await act(async () => {
+      userEvent.clear(searchInput);
+      userEvent.type(searchInput, 'stitch');
+      jest.runAllTimers();
+      await tick();
+    });
+    const suggestions = renderResults.getByRole('listbox');
+    expect(within(suggestions).getAllByRole('option').length).toBe(1);
+    expect(within(suggestions).getByText('(no filters)')).toBeTruthy();
+    // Matched terms are highlighted
+    expect(within(suggestions).getByText('stitch').tagName).toBe('SPAN');
+    // The opened page highlights the search term
+    expect(within(suggestions).getByRole('link')).toHaveAttribute('href', `${UNFILTERED_RESULT.url}?highlight=stitch`);
+
+    userEvent.keyboard('{arrowdown}');
+    expect(searchInput).toHaveAttribute('aria-activedescendant', 'search-suggestions-0');
+    userEvent.keyboard('{enter}');
+    expect(reportAnalytics).toHaveBeenCalledWith('SearchSelection', {
+      areaFrom: 'ResultsPageSuggestions',
+      rank: 0,
+      selectionUrl: UNFILTERED_RESULT.url,
+    });
+    reportAnalytics.mockRestore();
+  });
+
+  it('narrows suggestions with the applied search filter', async () => {
+    let renderResults;
+    mockLocation('?q=realm&searchProperty=realm-master');
+    await act(async () => {
+      renderResults = render(<SearchResults />);
+    });
+
+    await act(async () => {
+      const searchInput = renderResults.getByRole('combobox');
+      userEvent.clear(searchInput);
+      userEvent.type(searchInput, 'stitch');
+      jest.runAllTimers();
+      await tick();
+    });
+    const suggestions = renderResults.getByRole('listbox');
+    expect(within(suggestions).getByText('(realm filter)')).toBeTruthy();
+    expect(within(suggestions).queryByText('(no filters)')).toBeNull();
+  });
+
+  describe('analytics', () => {
+    let events;
+    let restoreSink;
+
+    beforeEach(() => {
+      events = [];
+      restoreSink = setSearchAnalyticsSink((eventName, data) => events.push({ eventName, data }));
+    });
+
+    afterEach(() => {
+      restoreSink();
+    });
+
+    const eventsNamed = (eventName) => events.filter((event) => event.eventName === eventName).map(({ data }) => data);
+
+    it('reports queries without results', async () => {
+      mockLocation('?q=realm');
+      await act(async () => {
+        render(<SearchResults />);
+      });
+      expect(eventsNamed(SEARCH_EVENTS.emptyResults)).toEqual([
+        { contentTypes: [], searchProperties: [], searchTerm: 'realm' },
+      ]);
+    });
+
+    it('reports filter changes and the time to the first click on a result', async () => {
+      let renderStitchResults;
+      mockLocation('?q=stitch');
+      await act(async () => {
+        renderStitchResults = render(<SearchResults />);
+      });
+      expect(eventsNamed(SEARCH_EVENTS.filterChange)).toEqual([]);
+
+      await filterByRealm(renderStitchResults);
+      expect(eventsNamed(SEARCH_EVENTS.filterChange)).toEqual([
+        { filterName: 'searchProperty', searchTerm: 'stitch', value: 'realm-master' },
+      ]);
+
+      const result = renderStitchResults.queryByText('stitch').closest('a');
+      // Prevent jsdom from navigating to the result
+      result.addEventListener('click', (e) => e.preventDefault());
+      userEvent.click(result);
+      userEvent.click(result);
+      expect(eventsNamed(SEARCH_EVENTS.selection)).toHaveLength(2);
+      const timesToFirstClick = eventsNamed(SEARCH_EVENTS.timeToFirstClick);
+      expect(timesToFirstClick).toHaveLength(1);
+      expect(timesToFirstClick[0]).toMatchObject({ rank: 0, searchTerm: 'stitch', selectionUrl: FILTERED_RESULT.url });
+      expect(timesToFirstClick[0].timeToFirstClick).toBeGreaterThanOrEqual(0);
+    });
+  });
 });
@@ -3,6 +3,7 @@ import { render } from '@testing-library/react';
 import { ThemeProvider } from '@emotion/react';
 import Tabs from '../../src/components/Tabs';
 import { TabProvider } from '../../src/components/Tabs/tab-context';
+import PrintModeContext from '../../src/components/Print/print-mode-context';
 import { theme } from '../../src/theme/docsTheme';
 
 // data for this component
@@ -84,4 +85,22 @@ describe('Tabs testing', () => {
       expect(wrapper.queryAllByRole('tablist')).toHaveLength(1);
     });
   });
+
+  describe('when the page is printed', () => {
+    it('renders the content of every tab without a tablist', () => {
+      const wrapper = render(
+        <ThemeProvider theme={theme}>
+          <PrintModeContext.Provider value={{ isInPrintMode: true }}>
+            <TabProvider>
+              <Tabs nodeData={mockDataHidden} />
+            </TabProvider>
+          </PrintModeContext.Provider>
+        </ThemeProvider>
+      );
+      expect(wrapper.queryAllByRole('tablist')).toHaveLength(0);
+      mockDataHidden.children.forEach(({ options: { tabid } }) => {
+        expect(wrapper.getByText(tabid)).toBeInTheDocument();
+      });
+    });
+  });
 });
@@ -2,6 +2,7 @@ import React from 'react';
 import { render } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import Toctree from '../../src/components/Sidenav/Toctree';
+import { VersionContext } from '../../src/context/version-context';
 import { tick } from '../utils';
 import mockData from './data/Toctree.test.json';
 
@@ -61,4 +62,27 @@ describe('Toctree', () => {
     testActivePage('sdk/android/fundamentals/async-api', 'Asynchronous API');
     testActivePage('sdk/ios', 'iOS SDK');
   });
+
+  it('offers a link pinning the versions of products in a merged ToC', () => {
+    const versionedToctree = {
+      children: [
+        {
+          title: 'Atlas CLI',
+          children: [
+            { title: 'Install v1.3', slug: 'atlas-cli/v1.3/install', children: [], options: { version: 'v1.3' } },
+          ],
+          options: { drawer: true, project: 'atlas-cli', versions: ['v1.3', 'master'] },
+        },
+      ],
+    };
+    const wrapper = render(
+      <VersionContext.Provider value={{ activeVersions: { 'atlas-cli': 'v1.3' }, availableVersions: {} }}>
+        <Toctree slug="/" toctree={versionedToctree} />
+      </VersionContext.Provider>
+    );
+    expect(wrapper.getByRole('button', { name: 'Copy link with versions' })).toBeInTheDocument();
+
+    wrapper.rerender(<Toctree slug="/" toctree={mockData?.toctree} />);
+    expect(wrapper.queryByRole('button', { name: 'Copy link with versions' })).not.toBeInTheDocument();
+  });
 });
@@ -0,0 +1,119 @@
+import React from 'react';
+import { render, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import VersionDiff from '../../src/components/VersionDiff';
+import { VersionContext } from '../../src/context/version-context';
+import * as realm from '../../src/utils/realm';
+
+jest.mock('../../src/hooks/use-site-metadata', () => ({
+  useSiteMetadata: () => ({ database: 'snooty_dev', parserBranch: 'v7.0', parserUser: 'docsworker', project: 'docs' }),
+}));
+
+jest.mock('../../src/utils/realm', () => ({
+  fetchDocuments: jest.fn(),
+}));
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const text = (value) => ({ type: 'text', value });
+const section = (id, title, ...paragraphs) => ({
+  type: 'section',
+  children: [
+    { type: 'heading', id, children: [text(title)] },
+    ...paragraphs.map((value) => ({ type: 'paragraph', children: [text(value)] })),
+  ],
+});
+const currentPage = {
+  type: 'root',
+  options: { 'version-diff': '' },
+  children: [section('install', 'Install', 'Use the new installer.')],
+};
+const olderPage = { type: 'root', children: [section('install', 'Install', 'Use the installer.')] };
+
+const branches = [
+  { active: true, gitBranchName: 'v8.0', urlSlug: 'v8.0' },
+  { active: true, gitBranchName: 'v7.0', urlSlug: 'v7.0' },
+  { active: true, gitBranchName: 'v6.0', urlSlug: 'v6.0' },
+];
+
+const mountVersionDiff = (availableVersions = { docs: branches }, page = currentPage) =>
+  render(
+    <VersionContext.Provider value={{ availableVersions }}>
+      <VersionDiff page={page} slug="tutorial/install" />
+    </VersionContext.Provider>
+  );
+
+const compareWith = async (wrapper, label) => {
+  userEvent.click(wrapper.getByTestId('lg-select'));
+  await tick();
+  userEvent.click(within(wrapper.getByRole('listbox')).getByText(label));
+  await tick();
+};
+
+describe('VersionDiff', () => {
+  afterEach(() => {
+    realm.fetchDocuments.mockReset();
+  });
+
+  it('does not render without other versions', () => {
+    const wrapper = mountVersionDiff({ docs: branches.slice(1, 2) });
+    expect(wrapper.container).toBeEmptyDOMElement();
+  });
+
+  it('only renders on pages with the version-diff option', () => {
+    const wrapper = mountVersionDiff(undefined, { ...currentPage, options: {} });
+    expect(wrapper.container).toBeEmptyDOMElement();
+  });
+
+  it('fetches the page from the chosen branch and shows how it changed', async () => {
+    realm.fetchDocuments
+      .mockResolvedValueOnce([{ page_id: 'docs/docsworker-xlarge/v6.0' }])
+      .mockResolvedValueOnce([{ ast: olderPage }]);
+    const wrapper = mountVersionDiff();
+    await compareWith(wrapper, 'Version 6.0');
+
+    // The page id prefix comes from the chosen branch's own metadata
+    expect(realm.fetchDocuments).toHaveBeenCalledWith(
+      'snooty_dev',
+      'metadata',
+      { project: 'docs', branch: 'v6.0', commit_hash: { $exists: false }, patch_id: { $exists: false } },
+      { page_id: 1 },
+      { sort: { build_id: -1 } }
+    );
+    expect(realm.fetchDocuments).toHaveBeenCalledWith(
+      'snooty_dev',
+      'documents',
+      expect.objectContaining({ page_id: 'docs/docsworker-xlarge/v6.0/tutorial/install' }),
+      { ast: 1 }
+    );
+    const panel = wrapper.getByRole('region', { name: 'Changes since Version 6.0' });
+    expect(within(panel).getByText('Use the new installer.')).toHaveAttribute('data-change', 'added');
+    expect(within(panel).getByText('Use the installer.')).toHaveAttribute('data-change', 'removed');
+
+    userEvent.click(within(panel).getByRole('button', { name: 'Close comparison' }));
+    expect(wrapper.queryByRole('region')).not.toBeInTheDocument();
+  });
+
+  it('shows the changes from this version to a newer one', async () => {
+    const newerPage = {
+      type: 'root',
+      children: [section('install', 'Install', 'Use the installer.'), section('upgrade', 'Upgrade', 'Upgrade.')],
+    };
+    realm.fetchDocuments
+      .mockResolvedValueOnce([{ page_id: 'docs/docsworker-xlarge/v8.0' }])
+      .mockResolvedValueOnce([{ ast: newerPage }]);
+    const wrapper = mountVersionDiff({ docs: branches }, { ...currentPage, children: olderPage.children });
+    await compareWith(wrapper, 'Version 8.0');
+
+    const panel = wrapper.getByRole('region', { name: 'Changes in Version 8.0' });
+    expect(within(panel).getByText('Upgrade')).toBeInTheDocument();
+    expect(within(panel).getByText('Added section')).toBeInTheDocument();
+  });
+
+  it('explains when the page does not exist in the chosen branch', async () => {
+    realm.fetchDocuments.mockResolvedValueOnce([{ page_id: 'docs/docsworker-xlarge/v6.0' }]).mockResolvedValueOnce([]);
+    const wrapper = mountVersionDiff();
+    await compareWith(wrapper, 'Version 6.0');
+    expect(wrapper.getByText("This page doesn't exist in Version 6.0.")).toBeInTheDocument();
+  });
+});
@@ -1,5 +1,20 @@
+import React from 'react';
+import { fireEvent, render, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { navigate } from '@gatsbyjs/reach-router';
+import VersionDropdown from '../../src/components/VersionDropdown';
 import { generatePrefix } from '../../src/components/VersionDropdown/utils';
 
+jest.mock('@gatsbyjs/reach-router', () => ({
+  navigate: jest.fn(),
+}));
+
+jest.mock('../../src/hooks/use-site-metadata', () => ({
+  useSiteMetadata: () => ({ parserBranch: 'v7.0', pathPrefix: '/docs/v7.0', project: 'docs' }),
+}));
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
 describe('VersionDropdown utils', () => {
   describe('generatePrefix', () => {
     it('returns a prefix when a simple pathPrefix exists', () => {
@@ -64,3 +79,38 @@ describe('VersionDropdown utils', () => {
     });
   });
 });
+
+describe('VersionDropdown', () => {
+  const originalFetch = window.fetch;
+  const repoBranches = {
+    branches: [
+      { active: true, gitBranchName: 'v7.0', urlSlug: 'v7.0' },
+      { active: true, gitBranchName: 'v6.0', urlSlug: 'v6.0' },
+    ],
+    groups: [],
+    siteBasePrefix: 'docs',
+  };
+
+  beforeEach(() => {
+    window.fetch = jest.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve(['/', 'tutorial']) });
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    navigate.mockReset();
+  });
+
+  it('annotates versions without the page and navigates to its closest parent there', async () => {
+    const wrapper = render(<VersionDropdown repoBranches={repoBranches} slug="tutorial/install" eol={false} />);
+    const select = wrapper.getByTestId('leafygreen-ui-select-menubutton');
+    fireEvent.mouseEnter(select);
+    await tick();
+    expect(window.fetch).toHaveBeenCalledWith('/docs/v6.0/slugs.json');
+
+    userEvent.click(select);
+    await tick();
+    fireEvent.click(within(wrapper.getByRole('listbox')).getByText('Version 6.0 (page not in this version)'));
+    await tick();
+    expect(navigate).toHaveBeenCalledWith('/docs/v6.0/tutorial/');
+  });
+});
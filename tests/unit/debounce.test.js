@@ -47,4 +47,27 @@ describe('debounce', () => {
     // The interval expired so we called the wrapped function
     expect(fn).toBeCalledTimes(1);
   });
+
+  it('calls the wrapped function with the arguments of the last call', async () => {
+    const fn = jest.fn();
+    const debounced = debounce(fn, 200);
+
+    debounced('ind');
+    debounced('index');
+    jest.runAllTimers();
+
+    expect(fn).toBeCalledTimes(1);
+    expect(fn).toBeCalledWith('index');
+  });
+
+  it('drops a pending call when cancelled', async () => {
+    const fn = jest.fn();
+    const debounced = debounce(fn, 200);
+
+    debounced('index');
+    debounced.cancel();
+    jest.runAllTimers();
+
+    expect(fn).not.toBeCalled();
+  });
 });
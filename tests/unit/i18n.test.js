@@ -0,0 +1,28 @@
+import { catalogs, translate } from '../../src/i18n';
+
+describe('translate', () => {
+  afterEach(() => {
+    delete catalogs['ja-jp'];
+  });
+
+  it('looks up messages in the catalog of the locale', () => {
+    catalogs['ja-jp'] = { 'contents.label': 'このページの内容' };
+    expect(translate('ja-jp', 'contents.label')).toBe('このページの内容');
+    expect(translate('en-us', 'contents.label')).toBe('On this page');
+  });
+
+  it('falls back to English for messages missing from a catalog', () => {
+    catalogs['ja-jp'] = {};
+    expect(translate('ja-jp', 'codeIO.viewOutput')).toBe('VIEW OUTPUT');
+    expect(translate('ko-kr', 'codeIO.viewOutput')).toBe('VIEW OUTPUT');
+  });
+
+  it('replaces placeholders with their values', () => {
+    expect(translate('en-us', 'searchResults.heading', { searchTerm: 'atlas' })).toBe('Search results for "atlas"');
+    expect(translate('en-us', 'searchResults.heading')).toBe('Search results for "{searchTerm}"');
+  });
+
+  it('returns the key of an unknown message', () => {
+    expect(translate('en-us', 'unknown.message')).toBe('unknown.message');
+  });
+});
@@ -0,0 +1,120 @@
+import BSON from 'bson';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const { GATSBY_OFFLINE_BUILD, GATSBY_PARSER_OUTPUT_DIR } = process.env;
+
+const restoreEnv = (key, value) => {
+  if (value === undefined) {
+    delete process.env[key];
+  } else {
+    process.env[key] = value;
+  }
+};
+
+const writeFile = (dirPath, entryName, data) => {
+  const filePath = path.join(dirPath, entryName);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, data);
+};
+
+describe('LocalDocumentDatabase', () => {
+  let dirPath;
+  let localDocumentDatabase;
+
+  beforeEach(() => {
+    dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'parser-output-'));
+    process.env.GATSBY_PARSER_OUTPUT_DIR = dirPath;
+    jest.isolateModules(() => {
+      ({ localDocumentDatabase } = require('../../../src/init/DocumentDatabase'));
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dirPath, { recursive: true, force: true });
+    restoreEnv('GATSBY_PARSER_OUTPUT_DIR', GATSBY_PARSER_OUTPUT_DIR);
+  });
+
+  it('reads BSON and JSON documents from every directory beneath documents', async () => {
+    writeFile(dirPath, 'documents/index.bson', BSON.serialize({ page_id: 'index' }));
+    writeFile(dirPath, 'documents/tutorial/install.json', JSON.stringify({ page_id: 'tutorial/install' }));
+    writeFile(dirPath, 'documents/notes.txt', 'not a document');
+
+    const documents = await localDocumentDatabase.getDocuments();
+    expect(documents.map(({ page_id }) => page_id).sort()).toEqual(['index', 'tutorial/install']);
+  });
+
+  it('returns null for entries that do not exist', async () => {
+    writeFile(dirPath, 'assets/abc123', 'image data');
+
+    expect((await localDocumentDatabase.getAsset('abc123')).toString()).toBe('image data');
+    expect(await localDocumentDatabase.getAsset('missing')).toBeNull();
+  });
+
+  it('rethrows errors other than a missing entry', async () => {
+    fs.mkdirSync(path.join(dirPath, 'assets', 'directory'), { recursive: true });
+
+    await expect(localDocumentDatabase.getAsset('directory')).rejects.toMatchObject({ code: 'EISDIR' });
+  });
+
+  it('reads the current site metadata of the directory', async () => {
+    expect(await localDocumentDatabase.getMetadata()).toEqual({});
+
+    writeFile(dirPath, 'site.bson', BSON.serialize({ project: 'docs', branch: 'master' }));
+    expect(await localDocumentDatabase.getMetadata()).toEqual({ project: 'docs', branch: 'master' });
+
+    writeFile(dirPath, 'site.bson', BSON.serialize({ project: 'docs', branch: 'v6.0' }));
+    expect(await localDocumentDatabase.getMetadata()).toEqual({ project: 'docs', branch: 'v6.0' });
+  });
+});
+
+describe('OfflineInterface', () => {
+  let dirPath;
+  let stitchInterface;
+
+  beforeEach(async () => {
+    dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'parser-output-'));
+    writeFile(
+      dirPath,
+      'offline.json',
+      JSON.stringify({
+        products: [{ title: 'MongoDB Server' }],
+        repos_branches: [{ project: 'docs', branches: [{ gitBranchName: 'master' }] }],
+        metadata: [
+          { project: 'docs', branch: 'master', build_id: 1 },
+          { project: 'docs', branch: 'master', build_id: 3 },
+          { project: 'docs', branch: 'master', build_id: 2 },
+        ],
+      })
+    );
+    process.env.GATSBY_PARSER_OUTPUT_DIR = dirPath;
+    process.env.GATSBY_OFFLINE_BUILD = 'true';
+    jest.isolateModules(() => {
+      ({ stitchInterface } = require('../../../src/init/DocumentDatabase').localDocumentDatabase);
+    });
+    await stitchInterface.connect();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dirPath, { recursive: true, force: true });
+    restoreEnv('GATSBY_PARSER_OUTPUT_DIR', GATSBY_PARSER_OUTPUT_DIR);
+    restoreEnv('GATSBY_OFFLINE_BUILD', GATSBY_OFFLINE_BUILD);
+  });
+
+  it('reads products from the offline data', () => {
+    expect(stitchInterface.fetchAllProducts()).toEqual([{ title: 'MongoDB Server' }]);
+  });
+
+  it('returns null for a project without repos_branches data', () => {
+    expect(stitchInterface.fetchRepoBranches('docs')).toMatchObject({ project: 'docs' });
+    expect(stitchInterface.fetchRepoBranches('unknown-project')).toBeNull();
+  });
+
+  it('sorts metadata by build_id', async () => {
+    const filter = { project: 'docs', branch: 'master' };
+    expect(await stitchInterface.getMetadata(filter, { sort: { build_id: -1 } })).toMatchObject({ build_id: 3 });
+    expect(await stitchInterface.getMetadata(filter, { sort: { build_id: 1 } })).toMatchObject({ build_id: 1 });
+    expect(await stitchInterface.getMetadata({ project: 'other' })).toBeNull();
+  });
+});
@@ -0,0 +1,52 @@
+import { isPageMissing, resolveBranchUrl } from '../../../src/utils/branch-slugs';
+import { getUrl } from '../../../src/utils/url-utils';
+
+const mockFetch = (response) => {
+  window.fetch = jest.fn().mockResolvedValue(response);
+};
+
+describe('branch slugs', () => {
+  const originalFetch = window.fetch;
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+  });
+
+  it('resolves the closest page listed in the version manifest', async () => {
+    mockFetch({ ok: true, json: () => Promise.resolve(['/', 'tutorial']) });
+    expect(await resolveBranchUrl('/docs/v6.0/', 'tutorial/install')).toBe('/docs/v6.0/tutorial/');
+    expect(await resolveBranchUrl('/docs/v6.0/', 'reference')).toBe('/docs/v6.0/');
+    // The manifest is only fetched once per version
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+    expect(window.fetch).toHaveBeenCalledWith('/docs/v6.0/slugs.json');
+  });
+
+  it('keeps the same page when the version has no manifest', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockFetch({ ok: false, statusText: 'Not Found' });
+    expect(await resolveBranchUrl('/docs/v5.0/', 'tutorial/install')).toBe('/docs/v5.0/tutorial/install/');
+    console.warn.mockRestore();
+  });
+
+  it('resolves pages within the locale of a translated doc set', async () => {
+    const { GATSBY_LOCALE } = process.env;
+    process.env.GATSBY_LOCALE = 'ja-jp';
+    mockFetch({ ok: true, json: () => Promise.resolve(['/', 'tutorial']) });
+
+    const branchUrl = getUrl('v7.0', 'docs', { pathPrefix: '/docs/v8.0', project: 'docs' }, 'docs', '');
+    expect(await resolveBranchUrl(branchUrl, 'tutorial/install')).toBe('/docs/v7.0/ja-jp/tutorial/');
+    expect(window.fetch).toHaveBeenCalledWith('/docs/v7.0/ja-jp/slugs.json');
+
+    if (GATSBY_LOCALE === undefined) {
+      delete process.env.GATSBY_LOCALE;
+    } else {
+      process.env.GATSBY_LOCALE = GATSBY_LOCALE;
+    }
+  });
+
+  it('only reports missing pages for loaded manifests', () => {
+    expect(isPageMissing(['/', 'tutorial'], '/tutorial/')).toBe(false);
+    expect(isPageMissing(['/', 'tutorial'], 'tutorial/install')).toBe(true);
+    expect(isPageMissing(null, 'tutorial/install')).toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+import { filterArchiveEntries, formatReleaseDate, getArchiveEntries } from '../../../src/utils/deprecated-versions';
+
+const products = [
+  { project: 'docs', title: 'MongoDB Server', url: 'https://www.mongodb.com/docs/' },
+  { project: 'bi-connector', title: 'MongoDB Connector for BI', url: 'https://www.mongodb.com/docs/bi-connector' },
+];
+
+describe('getArchiveEntries', () => {
+  it('names products and links versions using the products collection', () => {
+    const entries = getArchiveEntries(
+      {
+        docs: ['v3.4', { name: 'v3.6', releaseDate: '2017-11-29' }],
+        bi_connector: ['v2.2'],
+      },
+      products
+    );
+
+    expect(entries.map(({ title }) => title)).toEqual(['MongoDB Connector for BI', 'MongoDB Server']);
+    expect(entries[0].versions).toEqual([
+      {
+        name: 'v2.2',
+        label: 'Version 2.2',
+        releaseDate: undefined,
+        url: 'https://www.mongodb.com/docs/bi-connector/v2.2/',
+      },
+    ]);
+    expect(entries[1].versions[1]).toEqual({
+      name: 'v3.6',
+      label: 'Version 3.6',
+      releaseDate: '2017-11-29',
+      url: 'https://www.mongodb.com/docs/v3.6/',
+    });
+  });
+
+  it('links unversioned sites and versions with their own URL directly', () => {
+    const entries = getArchiveEntries({
+      'atlas-open-service-broker': ['master'],
+      mms: [{ name: 'v1.1', url: 'https://example.com/ops-manager-1.1/' }],
+    });
+
+    expect(entries[0]).toMatchObject({
+      title: 'MongoDB Atlas Open Service Broker on Kubernetes',
+      versions: [{ label: 'latest', url: 'https://www.mongodb.com/docs/atlas-open-service-broker/' }],
+    });
+    expect(entries[1].versions[0].url).toBe('https://example.com/ops-manager-1.1/');
+  });
+
+  it('matches keys with several underscores to their product', () => {
+    const entries = getArchiveEntries({ atlas_cli_plugin: ['v1.0'] }, [
+      { project: 'atlas-cli-plugin', title: 'Atlas CLI Plugin', url: 'https://www.mongodb.com/docs/atlas/cli-plugin/' },
+    ]);
+
+    expect(entries[0]).toMatchObject({
+      title: 'Atlas CLI Plugin',
+      versions: [{ url: 'https://www.mongodb.com/docs/atlas/cli-plugin/v1.0/' }],
+    });
+  });
+
+  it('falls back to the known product names and the shared domain when no product has a matching project', () => {
+    const entries = getArchiveEntries({ mms: ['v1.8'], compass: ['v1.20'] }, [
+      { title: 'MongoDB Compass', url: 'https://www.mongodb.com/docs/compass/' },
+    ]);
+
+    expect(entries).toEqual([
+      {
+        project: 'compass',
+        title: 'MongoDB Compass',
+        versions: [
+          {
+            name: 'v1.20',
+            label: 'Version 1.20',
+            releaseDate: undefined,
+            url: 'https://www.mongodb.com/docs/compass/v1.20/',
+          },
+        ],
+      },
+      {
+        project: 'mms',
+        title: 'MongoDB Ops Manager',
+        versions: [
+          {
+            name: 'v1.8',
+            label: 'Version 1.8',
+            releaseDate: undefined,
+            url: 'https://www.mongodb.com/docs/ops-manager/v1.8/',
+          },
+        ],
+      },
+    ]);
+  });
+
+  it('names products missing from the mapping after their key', () => {
+    const entries = getArchiveEntries({ bi_connector: ['v2.2'], realm: ['v1.0'] });
+
+    expect(entries.map(({ title }) => title)).toEqual(['MongoDB Connector for BI', 'realm']);
+    expect(entries[0].versions[0].url).toBe('https://www.mongodb.com/docs/bi_connector/v2.2/');
+  });
+});
+
+describe('filterArchiveEntries', () => {
+  const entries = getArchiveEntries({ docs: ['v3.4', 'v3.6'], bi_connector: ['v2.2'] }, products);
+
+  it('keeps every version of products whose name matches', () => {
+    expect(filterArchiveEntries(entries, 'server')).toEqual([entries[1]]);
+  });
+
+  it('keeps only the matching versions of other products', () => {
+    expect(filterArchiveEntries(entries, '3.6')).toEqual([{ ...entries[1], versions: [entries[1].versions[1]] }]);
+    expect(filterArchiveEntries(entries, 'v9')).toEqual([]);
+    expect(filterArchiveEntries(entries, ' ')).toBe(entries);
+  });
+});
+
+describe('formatReleaseDate', () => {
+  it('formats dates in UTC', () => {
+    expect(formatReleaseDate('2017-11-29')).toBe('November 29, 2017');
+  });
+});
@@ -0,0 +1,65 @@
+import { diffLists, diffPageAsts } from '../../../src/utils/diff-page-asts';
+
+const text = (value) => ({ type: 'text', value });
+const paragraph = (value) => ({ type: 'paragraph', children: [text(value)] });
+const code = (value) => ({ type: 'code', lang: 'javascript', value });
+const section = (id, title, ...children) => ({
+  type: 'section',
+  children: [{ type: 'heading', id, children: [text(title)] }, ...children],
+});
+const page = (...children) => ({ type: 'root', children: [section('install', 'Install', ...children)] });
+
+describe('diffLists', () => {
+  it('returns the items added and removed in order', () => {
+    expect(diffLists(['a', 'b', 'c'], ['a', 'x', 'c', 'd'])).toEqual([
+      { type: 'added', value: 'x' },
+      { type: 'removed', value: 'b' },
+      { type: 'added', value: 'd' },
+    ]);
+  });
+
+  it('returns no changes for equal lists', () => {
+    expect(diffLists(['a', 'b'], ['a', 'b'])).toEqual([]);
+  });
+});
+
+describe('diffPageAsts', () => {
+  it('reports added and removed sections', () => {
+    const before = page(paragraph('Intro'), section('legacy', 'Legacy drivers', paragraph('Old')));
+    const after = page(paragraph('Intro'), section('upgrade', 'Upgrade', paragraph('New')));
+    expect(diffPageAsts(before, after)).toEqual([
+      { id: 'upgrade', title: 'Upgrade', status: 'added' },
+      { id: 'legacy', title: 'Legacy drivers', status: 'removed' },
+    ]);
+  });
+
+  it('reports changed paragraphs and code blocks of a section', () => {
+    const before = page(paragraph('Run the installer.'), code('npm install mongodb@5'));
+    const after = page(paragraph('Run the new installer.'), code('npm install mongodb@6'));
+    expect(diffPageAsts(before, after)).toEqual([
+      {
+        id: 'install',
+        title: 'Install',
+        status: 'changed',
+        paragraphs: [
+          { type: 'added', value: 'Run the new installer.' },
+          { type: 'removed', value: 'Run the installer.' },
+        ],
+        codeBlocks: [
+          { type: 'added', value: 'npm install mongodb@6' },
+          { type: 'removed', value: 'npm install mongodb@5' },
+        ],
+      },
+    ]);
+  });
+
+  it('does not report changes within a subsection as changes to its parent', () => {
+    const before = page(paragraph('Intro'), section('step', 'Step', paragraph('Old step')));
+    const after = page(paragraph('Intro'), section('step', 'Step', paragraph('New step')));
+    expect(diffPageAsts(before, after).map(({ id }) => id)).toEqual(['step']);
+  });
+
+  it('returns no changes for identical pages', () => {
+    expect(diffPageAsts(page(paragraph('Intro')), page(paragraph('Intro')))).toEqual([]);
+  });
+});
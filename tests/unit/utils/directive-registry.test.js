@@ -0,0 +1,24 @@
+import { createDirectiveRegistry } from '../../../src/utils/directive-registry';
+
+describe('createDirectiveRegistry', () => {
+  it('returns an empty registry without a configuration', () => {
+    const { directives, roles, ignoredNames } = createDirectiveRegistry();
+    expect(directives).toEqual({});
+    expect(roles).toEqual({});
+    expect(ignoredNames.size).toBe(0);
+  });
+
+  it('collects the directives, roles and ignored names registered by a configuration', () => {
+    const MyDirective = () => null;
+    const MyRole = () => null;
+    const { directives, roles, ignoredNames } = createDirectiveRegistry((registry) => {
+      registry.registerDirective('my-directive', MyDirective);
+      registry.registerRole('my-role', MyRole);
+      registry.ignore('unsupported-directive');
+    });
+
+    expect(directives).toEqual({ 'my-directive': MyDirective });
+    expect(roles).toEqual({ 'my-role': MyRole });
+    expect([...ignoredNames]).toEqual(['unsupported-directive']);
+  });
+});
@@ -0,0 +1,26 @@
+import { downloadFile } from '../../../src/utils/download-file';
+
+describe('downloadFile', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    URL.createObjectURL = jest.fn(() => 'blob:table');
+    URL.revokeObjectURL = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('revokes the object URL only after the download has started', () => {
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    downloadFile('table.csv', 'a,b', 'text/csv');
+
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    jest.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:table');
+    click.mockRestore();
+  });
+});
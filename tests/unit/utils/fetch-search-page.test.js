@@ -0,0 +1,64 @@
+import { buildSearchIndex } from '../../../src/utils/search-index';
+
+const searchIndex = buildSearchIndex({
+  'tutorial/stitch': {
+    type: 'root',
+    children: [{ type: 'heading', children: [{ type: 'text', value: 'Stitch Tutorial' }] }],
+  },
+});
+
+const { GATSBY_MARIAN_URL } = process.env;
+
+// Loads the module anew, since whether Marian is queried is decided when it is first imported
+const loadFetchSearchPage = () => {
+  let fetchSearchPage;
+  jest.isolateModules(() => {
+    ({ fetchSearchPage } = require('../../../src/utils/fetch-search-page'));
+  });
+  return fetchSearchPage;
+};
+
+describe('fetchSearchPage', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    window.fetch = null;
+    if (GATSBY_MARIAN_URL === undefined) {
+      delete process.env.GATSBY_MARIAN_URL;
+    } else {
+      process.env.GATSBY_MARIAN_URL = GATSBY_MARIAN_URL;
+    }
+  });
+
+  it('returns the results from Marian', async () => {
+    const marianResults = { results: [{ title: 'Stitch' }] };
+    window.fetch = jest.fn(async () => ({ ok: true, json: () => marianResults }));
+
+    expect(await loadFetchSearchPage()('stitch')).toEqual(marianResults);
+  });
+
+  it('searches the local index when Marian responds with an error', async () => {
+    window.fetch = jest.fn(async (url) =>
+      url.endsWith('search-index.json')
+        ? { ok: true, json: () => searchIndex }
+        : { ok: false, status: 503, json: () => ({ error: 'Service Unavailable' }) }
+    );
+
+    const resultJson = await loadFetchSearchPage()('stitch');
+    expect(resultJson).toMatchObject({ isLocal: true, total: 1 });
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('only searches the local index without a Marian URL', async () => {
+    process.env.GATSBY_MARIAN_URL = '';
+    window.fetch = jest.fn(async () => ({ ok: true, json: () => searchIndex }));
+
+    const resultJson = await loadFetchSearchPage()('stitch');
+    expect(resultJson).toMatchObject({ isLocal: true, total: 1 });
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+    expect(window.fetch.mock.calls[0][0]).toMatch(/search-index\.json$/);
+  });
+});
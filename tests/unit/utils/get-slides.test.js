@@ -0,0 +1,45 @@
+import { getSlideHash, getSlideIndexFromHash, getSlides } from '../../../src/utils/get-slides';
+
+const text = (value) => ({ type: 'text', value });
+const paragraph = (value) => ({ type: 'paragraph', children: [text(value)] });
+const heading = (value) => ({ type: 'heading', children: [text(value)] });
+const notes = (value) => ({ type: 'directive', name: 'speaker-notes', children: [paragraph(value)] });
+
+describe('getSlides', () => {
+  it('makes a slide of the introduction and each subsection of a top-level section', () => {
+    const target = { type: 'target', children: [] };
+    const install = { type: 'section', children: [heading('Install'), paragraph('Download it'), notes('Demo')] };
+    const connect = { type: 'section', children: [heading('Connect'), paragraph('Connect to it')] };
+    const page = { type: 'section', children: [heading('Get started'), paragraph('Intro'), install, connect] };
+
+    const slides = getSlides([target, page]);
+    expect(slides).toHaveLength(3);
+    expect(slides[0]).toEqual({
+      nodes: [target, { ...page, children: [heading('Get started'), paragraph('Intro')] }],
+      notes: [],
+      sectionDepth: 0,
+    });
+    expect(slides[1]).toEqual({ nodes: [install], notes: [notes('Demo')], sectionDepth: 1 });
+    expect(slides[2]).toEqual({ nodes: [connect], notes: [], sectionDepth: 1 });
+  });
+
+  it('makes a single slide of a page without sections', () => {
+    expect(getSlides([paragraph('Only text')])).toEqual([
+      { nodes: [paragraph('Only text')], notes: [], sectionDepth: 0 },
+    ]);
+  });
+});
+
+describe('slide hashes', () => {
+  it('links to slides by their number', () => {
+    expect(getSlideHash(0)).toBe('#slide-1');
+    expect(getSlideIndexFromHash('#slide-3', 3)).toBe(2);
+  });
+
+  it('ignores hashes that do not link to a slide', () => {
+    expect(getSlideIndexFromHash('#slide-4', 3)).toBeNull();
+    expect(getSlideIndexFromHash('#slide-0', 3)).toBeNull();
+    expect(getSlideIndexFromHash('#install', 3)).toBeNull();
+    expect(getSlideIndexFromHash('', 3)).toBeNull();
+  });
+});
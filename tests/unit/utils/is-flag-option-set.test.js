@@ -0,0 +1,15 @@
+import { isFlagOptionSet } from '../../../src/utils/is-flag-option-set';
+
+describe('isFlagOptionSet', () => {
+  it('treats flags given without a value as set', () => {
+    expect(isFlagOptionSet({ checkable: '' }, 'checkable')).toBe(true);
+    expect(isFlagOptionSet({ checkable: true }, 'checkable')).toBe(true);
+  });
+
+  it('treats missing or false flags as unset', () => {
+    expect(isFlagOptionSet(undefined, 'checkable')).toBe(false);
+    expect(isFlagOptionSet({}, 'checkable')).toBe(false);
+    expect(isFlagOptionSet({ checkable: false }, 'checkable')).toBe(false);
+    expect(isFlagOptionSet({ checkable: 'false' }, 'checkable')).toBe(false);
+  });
+});
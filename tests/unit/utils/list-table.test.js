@@ -0,0 +1,54 @@
+import {
+  compareCellText,
+  getExportFilename,
+  getRowText,
+  rowMatchesFilter,
+  toCsv,
+  toMarkdown,
+} from '../../../src/utils/list-table';
+
+const cell = (...values) => ({
+  type: 'listItem',
+  children: [{ type: 'paragraph', children: values.map((value) => ({ type: 'text', value })) }],
+});
+
+describe('list-table utilities', () => {
+  it('extracts the plaintext of each cell', () => {
+    expect(getRowText([cell('insert', 'One'), cell(' multi\n line ')])).toEqual(['insertOne', 'multi line']);
+  });
+
+  it('compares numbers and versions in numeric order', () => {
+    expect(['4.10', '4.2', '10', '9'].sort(compareCellText)).toEqual(['4.2', '4.10', '9', '10']);
+  });
+
+  it('matches rows with any cell containing the filter text', () => {
+    expect(rowMatchesFilter(['Atlas', 'Supported'], 'atl')).toBe(true);
+    expect(rowMatchesFilter(['Atlas', 'Supported'], 'server')).toBe(false);
+    expect(rowMatchesFilter(['Atlas', 'Supported'], '  ')).toBe(true);
+  });
+
+  it('formats rows as CSV', () => {
+    expect(
+      toCsv(
+        ['name', 'notes'],
+        [
+          ['a', 'has, comma'],
+          ['b', 'has "quotes"'],
+        ]
+      )
+    ).toBe('name,notes\na,"has, comma"\nb,"has ""quotes"""');
+    expect(toCsv(null, [['a', 'b']])).toBe('a,b');
+  });
+
+  it('formats rows as a Markdown table', () => {
+    expect(toMarkdown(['name', 'operator'], [['or', 'a | b']])).toBe(
+      '| name | operator |\n| --- | --- |\n| or | a \\| b |'
+    );
+    expect(toMarkdown(null, [['a', 'b']])).toBe('|  |  |\n| --- | --- |\n| a | b |');
+  });
+
+  it('names exported files after the table title', () => {
+    expect(getExportFilename('Compatibility Table (v6.0)', 'csv')).toBe('compatibility-table-v6-0.csv');
+    expect(getExportFilename('', 'md')).toBe('table.md');
+  });
+});
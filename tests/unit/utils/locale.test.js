@@ -0,0 +1,38 @@
+import { getLocalizedPath, getSiteLocale } from '../../../src/utils/locale';
+
+describe('getSiteLocale', () => {
+  const { GATSBY_LOCALE } = process.env;
+
+  afterEach(() => {
+    if (GATSBY_LOCALE === undefined) {
+      delete process.env.GATSBY_LOCALE;
+    } else {
+      process.env.GATSBY_LOCALE = GATSBY_LOCALE;
+    }
+  });
+
+  it('defaults to English', () => {
+    delete process.env.GATSBY_LOCALE;
+    expect(getSiteLocale()).toBe('en-us');
+  });
+
+  it('reads the locale of the doc set from the environment', () => {
+    process.env.GATSBY_LOCALE = 'ZH-CN';
+    expect(getSiteLocale()).toBe('zh-cn');
+  });
+});
+
+describe('getLocalizedPath', () => {
+  it('leaves paths of English pages as they are', () => {
+    expect(getLocalizedPath('tutorial/', 'en-us')).toBe('tutorial/');
+  });
+
+  it('prefixes paths of translated pages with their locale', () => {
+    expect(getLocalizedPath('tutorial/', 'ja-jp')).toBe('/ja-jp/tutorial/');
+    expect(getLocalizedPath('/', 'ja-jp')).toBe('/ja-jp/');
+  });
+
+  it('does not prefix a path twice', () => {
+    expect(getLocalizedPath('/ja-jp/tutorial/', 'ja-jp')).toBe('/ja-jp/tutorial/');
+  });
+});
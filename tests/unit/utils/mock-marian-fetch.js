@@ -1,6 +1,6 @@
 import { MARIAN_URL } from '../../../src/constants';
 
-const allowJsonPromise = (x) => ({ json: () => x });
+const allowJsonPromise = (x) => ({ ok: true, json: () => x });
 
 export const FILTERED_RESULT = {
   title: 'stitch (realm filter)',
@@ -23,6 +23,20 @@ export const RESULT_ILL_FORMED_SEARCHPROPERTY = {
   searchProperty: ['realm-'],
 };
 
+const FIRST_PAGE_RESULT = {
+  title: 'index (first page)',
+  preview: 'Index preview (first page)',
+  url: 'index.firstpage',
+  searchProperty: ['realm-master'],
+};
+
+const SECOND_PAGE_RESULT = {
+  title: 'index (second page)',
+  preview: 'Index preview (second page)',
+  url: 'index.secondpage',
+  searchProperty: ['realm-master'],
+};
+
 export const mockMarianFetch = (url) => {
   let endpoint = url;
   if (endpoint.includes(MARIAN_URL)) {
@@ -43,6 +57,16 @@ export const mockMarianFetch = (url) => {
       return allowJsonPromise({
         results: [RESULT_ILL_FORMED_SEARCHPROPERTY],
       });
+    case 'search?q=index':
+      return allowJsonPromise({
+        results: [FIRST_PAGE_RESULT],
+        total: 2,
+      });
+    case 'search?q=index&page=2':
+      return allowJsonPromise({
+        results: [SECOND_PAGE_RESULT],
+        total: 2,
+      });
 
     default:
       return allowJsonPromise(['atlas-master']);
@@ -0,0 +1,70 @@
+import * as ReportAnalytics from '../../../src/utils/report-analytics';
+import {
+  getChangedFacets,
+  reportSearchEvent,
+  SEARCH_EVENTS,
+  setSearchAnalyticsSink,
+  trackSearchTerm,
+} from '../../../src/utils/search-analytics';
+import { DEFAULT_SEARCH_FACETS } from '../../../src/utils/search-facets';
+
+describe('search analytics', () => {
+  beforeEach(() => {
+    window.sessionStorage.clear();
+  });
+
+  it('reports events through reportAnalytics by default', () => {
+    const reportAnalytics = jest.spyOn(ReportAnalytics, 'reportAnalytics').mockImplementation(() => {});
+    reportSearchEvent(SEARCH_EVENTS.emptyResults, { searchTerm: 'foo' });
+    expect(reportAnalytics).toHaveBeenCalledWith('EmptyResults', { searchTerm: 'foo' });
+    reportAnalytics.mockRestore();
+  });
+
+  it('sends events to a custom sink until it is restored', () => {
+    const reportAnalytics = jest.spyOn(ReportAnalytics, 'reportAnalytics').mockImplementation(() => {});
+    const sink = jest.fn();
+    const restoreSink = setSearchAnalyticsSink(sink);
+    reportSearchEvent(SEARCH_EVENTS.selection, { rank: 0 });
+    expect(sink).toHaveBeenCalledWith('SearchSelection', { rank: 0 });
+    expect(reportAnalytics).not.toHaveBeenCalled();
+
+    restoreSink();
+    reportSearchEvent(SEARCH_EVENTS.selection, { rank: 1 });
+    expect(sink).toHaveBeenCalledTimes(1);
+    expect(reportAnalytics).toHaveBeenCalledWith('SearchSelection', { rank: 1 });
+    reportAnalytics.mockRestore();
+  });
+
+  it('does not throw when the sink fails', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const restoreSink = setSearchAnalyticsSink(() => {
+      throw new Error('sink failed');
+    });
+    expect(() => reportSearchEvent(SEARCH_EVENTS.selection, {})).not.toThrow();
+    expect(console.error).toHaveBeenCalled();
+    restoreSink();
+    console.error.mockRestore();
+  });
+
+  it('reports search terms that reformulate the previous one in the session', () => {
+    const sink = jest.fn();
+    const restoreSink = setSearchAnalyticsSink(sink);
+    trackSearchTerm('insert');
+    trackSearchTerm('insert');
+    expect(sink).not.toHaveBeenCalled();
+
+    trackSearchTerm('insertMany');
+    expect(sink).toHaveBeenCalledWith('SearchReformulation', {
+      previousSearchTerm: 'insert',
+      searchTerm: 'insertMany',
+    });
+    restoreSink();
+  });
+
+  it('finds the facets that changed', () => {
+    expect(getChangedFacets(DEFAULT_SEARCH_FACETS, DEFAULT_SEARCH_FACETS)).toEqual([]);
+    expect(
+      getChangedFacets(DEFAULT_SEARCH_FACETS, { ...DEFAULT_SEARCH_FACETS, products: ['Atlas'], latestOnly: true })
+    ).toEqual(['products', 'latestOnly']);
+  });
+});
@@ -0,0 +1,66 @@
+import {
+  getSearchProperties,
+  hasSearchFacets,
+  parseSearchFacets,
+  setFacetParams,
+  DEFAULT_SEARCH_FACETS,
+} from '../../../src/utils/search-facets';
+import { parseMarianManifests } from '../../../src/utils/parse-marian-manifests';
+import { searchParamsToURL } from '../../../src/utils/search-params-to-url';
+import { MARIAN_URL } from '../../../src/constants';
+import mockInputData from '../../utils/data/marian-manifests.json';
+
+const filters = parseMarianManifests(mockInputData.manifests, mockInputData.searchPropertyMapping);
+
+describe('search facets', () => {
+  it('reads facets from the query string', () => {
+    expect(parseSearchFacets('?q=index&product=Atlas&product=Mongoid&contentType=tutorial&latest=true')).toStrictEqual({
+      products: ['Atlas', 'Mongoid'],
+      contentTypes: ['tutorial'],
+      latestOnly: true,
+    });
+    expect(parseSearchFacets('?q=index')).toStrictEqual(DEFAULT_SEARCH_FACETS);
+    expect(hasSearchFacets(DEFAULT_SEARCH_FACETS)).toBe(false);
+  });
+
+  it('writes facets to the query string and returns to the first page', () => {
+    const facets = { products: ['Atlas', 'MongoDB Manual'], contentTypes: [], latestOnly: true };
+    expect(setFacetParams('?q=index&page=3', facets)).toBe(
+      '?latest=true&product=Atlas&product=MongoDB%20Manual&q=index'
+    );
+    expect(setFacetParams('?q=index&product=Atlas', DEFAULT_SEARCH_FACETS)).toBe('?q=index');
+  });
+
+  it('searches every version of the selected products', () => {
+    const facets = { ...DEFAULT_SEARCH_FACETS, products: ['Atlas', 'Mongoid'] };
+    expect(getSearchProperties(filters, null, facets)).toStrictEqual([
+      'atlas-master',
+      'mongoid-master',
+      'mongoid-7.4',
+      'mongoid-7.3',
+    ]);
+  });
+
+  it('narrows products to their latest versions', () => {
+    const facets = { ...DEFAULT_SEARCH_FACETS, products: ['Mongoid'], latestOnly: true };
+    expect(getSearchProperties(filters, null, facets)).toStrictEqual(['mongoid-master']);
+
+    const allLatest = getSearchProperties(filters, null, { ...DEFAULT_SEARCH_FACETS, latestOnly: true });
+    expect(allLatest).toContain('atlas-master');
+    expect(allLatest).not.toContain('mongoid-7.4');
+  });
+
+  it('keeps the version chosen through the category and version filters', () => {
+    const facets = { ...DEFAULT_SEARCH_FACETS, products: ['Atlas', 'Mongoid'] };
+    expect(getSearchProperties(filters, 'mongoid-7.3', facets)).toStrictEqual(['mongoid-7.3', 'atlas-master']);
+    expect(getSearchProperties(filters, 'mongoid-7.3', { ...DEFAULT_SEARCH_FACETS, latestOnly: true })).toStrictEqual([
+      'mongoid-7.3',
+    ]);
+  });
+
+  it('passes several search properties and content types to Marian', () => {
+    expect(searchParamsToURL('index', ['atlas-master', 'docs-master'], { contentTypes: ['reference'] })).toBe(
+      `${MARIAN_URL}search?q=index&searchProperty=atlas-master&searchProperty=docs-master&contentType=reference`
+    );
+  });
+});
@@ -0,0 +1,45 @@
+import { addHighlightParam, getHighlightPattern, splitByHighlight } from '../../../src/utils/search-highlight';
+
+describe('addHighlightParam', () => {
+  it('adds the search term to the URL', () => {
+    expect(addHighlightParam('https://www.mongodb.com/docs/manual/', 'find one')).toBe(
+      'https://www.mongodb.com/docs/manual/?highlight=find%20one'
+    );
+  });
+
+  it('keeps the existing query string and fragment', () => {
+    expect(addHighlightParam('/docs/page/?tab=shell#section', 'find')).toBe(
+      '/docs/page/?tab=shell&highlight=find#section'
+    );
+  });
+
+  it('returns the URL unchanged without a search term', () => {
+    expect(addHighlightParam('/docs/page/', '')).toBe('/docs/page/');
+  });
+});
+
+describe('getHighlightPattern', () => {
+  it('matches any word of the search term regardless of case', () => {
+    const pattern = getHighlightPattern('Find  one');
+    expect('find ONE'.match(pattern)).toEqual(['find', 'ONE']);
+  });
+
+  it('escapes regular expression characters', () => {
+    expect('$match and match'.match(getHighlightPattern('$match'))).toEqual(['$match']);
+  });
+
+  it('returns null for an empty search term', () => {
+    expect(getHighlightPattern('  ')).toBeNull();
+    expect(getHighlightPattern(null)).toBeNull();
+  });
+});
+
+describe('splitByHighlight', () => {
+  it('splits text into matching and non-matching parts', () => {
+    expect(splitByHighlight('Find a document to find', getHighlightPattern('find'))).toEqual([
+      { text: 'Find', isMatch: true },
+      { text: ' a document to ', isMatch: false },
+      { text: 'find', isMatch: true },
+    ]);
+  });
+});
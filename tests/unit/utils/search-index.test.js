@@ -0,0 +1,58 @@
+import { buildSearchIndex, querySearchIndex, tokenize } from '../../../src/utils/search-index';
+
+const text = (value) => ({ type: 'text', value });
+const heading = (value) => ({ type: 'heading', children: [text(value)] });
+const paragraph = (...children) => ({ type: 'paragraph', children });
+const page = (...children) => ({ type: 'root', children: [{ type: 'section', children }] });
+
+const pages = {
+  'reference/operator/aggregation/match': page(
+    heading('$match (aggregation)'),
+    paragraph(text('Filters the documents to pass only the documents that match the specified condition.'))
+  ),
+  'core/indexes': page(
+    heading('Indexes'),
+    paragraph(text('Indexes support the efficient execution of queries.')),
+    heading('Compound Indexes'),
+    paragraph(text('A compound index holds references to multiple fields.'))
+  ),
+  'tutorial/query-documents': page(
+    heading('Query Documents'),
+    paragraph(text('Queries can use an '), { type: 'emphasis', children: [text('index')] }, text(' to run faster.'))
+  ),
+};
+
+describe('search index', () => {
+  const index = buildSearchIndex(pages);
+
+  it('tokenizes text into lowercase terms without stop words', () => {
+    expect(tokenize('Use the $match stage, or a compound_index!')).toStrictEqual([
+      'use',
+      '$match',
+      'stage',
+      'compound_index',
+    ]);
+  });
+
+  it('indexes the title, headings and paragraphs of each page', () => {
+    expect(index.documents[1]).toStrictEqual({
+      slug: 'core/indexes',
+      title: 'Indexes',
+      preview:
+        'Indexes support the efficient execution of queries. A compound index holds references to multiple fields.',
+    });
+    expect(index.terms.compound).toStrictEqual([[1, 6]]);
+    expect(index.terms.$match).toStrictEqual([[0, 10]]);
+  });
+
+  it('ranks pages by where query terms appear', () => {
+    const slugs = querySearchIndex(index, 'index').map(({ slug }) => slug);
+    expect(slugs).toStrictEqual(['core/indexes', 'tutorial/query-documents']);
+  });
+
+  it('only returns pages matching every query term', () => {
+    expect(querySearchIndex(index, 'compound index').map(({ slug }) => slug)).toStrictEqual(['core/indexes']);
+    expect(querySearchIndex(index, 'compound aggregation')).toStrictEqual([]);
+    expect(querySearchIndex(index, 'the')).toStrictEqual([]);
+  });
+});
@@ -0,0 +1,37 @@
+import { hasMoreSearchResults, parsePageParam, setPageParam } from '../../../src/utils/search-pagination';
+import { searchParamsToURL } from '../../../src/utils/search-params-to-url';
+import { MARIAN_URL } from '../../../src/constants';
+
+describe('search pagination', () => {
+  it('parses the page query param', () => {
+    expect(parsePageParam('3')).toBe(3);
+    expect(parsePageParam(undefined)).toBe(1);
+    expect(parsePageParam('0')).toBe(1);
+    expect(parsePageParam('abc')).toBe(1);
+  });
+
+  it('sets the page query param, leaving out the first page', () => {
+    expect(setPageParam('?q=index&searchProperty=manual-master', 2)).toBe(
+      '?page=2&q=index&searchProperty=manual-master'
+    );
+    expect(setPageParam('?page=2&q=index', 1)).toBe('?q=index');
+  });
+
+  it('requests later pages from Marian', () => {
+    expect(searchParamsToURL('index', 'manual-master', { page: 3 })).toBe(
+      `${MARIAN_URL}search?q=index&searchProperty=manual-master&page=3`
+    );
+    expect(searchParamsToURL('index', null, { page: 1 })).toBe(`${MARIAN_URL}search?q=index`);
+  });
+
+  it('uses the total number of results when Marian provides it', () => {
+    expect(hasMoreSearchResults({ total: 25, loadedCount: 20, firstPageSize: 10, lastPageSize: 10 })).toBe(true);
+    expect(hasMoreSearchResults({ total: 20, loadedCount: 20, firstPageSize: 10, lastPageSize: 10 })).toBe(false);
+  });
+
+  it('stops once a page is shorter than the first one', () => {
+    expect(hasMoreSearchResults({ loadedCount: 20, firstPageSize: 10, lastPageSize: 10 })).toBe(true);
+    expect(hasMoreSearchResults({ loadedCount: 14, firstPageSize: 10, lastPageSize: 4 })).toBe(false);
+    expect(hasMoreSearchResults({ loadedCount: 10, firstPageSize: 10, lastPageSize: 0 })).toBe(false);
+  });
+});
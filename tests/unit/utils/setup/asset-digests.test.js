@@ -0,0 +1,23 @@
+import { loadAssetDigests, saveAssetDigests } from '../../../../src/utils/setup/asset-digests';
+
+const mockCache = () => {
+  const store = new Map();
+  return {
+    get: jest.fn(async (key) => store.get(key)),
+    set: jest.fn(async (key, value) => store.set(key, value)),
+  };
+};
+
+describe('asset digests', () => {
+  it('returns empty digests when no build has been recorded', async () => {
+    const digests = await loadAssetDigests(mockCache());
+    expect(digests).toEqual({});
+  });
+
+  it('round-trips digests through the cache', async () => {
+    const cache = mockCache();
+    const digests = { '/images/a.png': '123' };
+    await saveAssetDigests(cache, digests);
+    expect(await loadAssetDigests(cache)).toEqual(digests);
+  });
+});
@@ -0,0 +1,77 @@
+import { checkLinks, countBrokenLinks, formatLinkReport } from '../../../../src/utils/setup/check-links';
+
+const refRole = (filename, htmlId) => ({ type: 'ref_role', fileid: [filename, htmlId], children: [] });
+const reference = (refuri) => ({ type: 'reference', refuri, children: [] });
+
+const pages = {
+  '/': {
+    type: 'root',
+    children: [
+      { type: 'section', children: [{ type: 'heading', id: 'overview', children: [] }] },
+      refRole('reference/operators', 'std-label-match'),
+      refRole('reference/operators', 'std-label-missing'),
+      refRole('reference/missing', ''),
+      { type: 'ref_role', url: 'https://www.mongodb.com/docs/manual/', children: [] },
+    ],
+  },
+  'reference/operators': {
+    type: 'root',
+    children: [
+      { type: 'target', html_id: 'std-label-match', children: [] },
+      reference('/#overview'),
+      reference('#std-label-match'),
+      reference('../../missing/'),
+      reference('https://www.example.com/'),
+      { type: 'paragraph', children: [refRole('index', '')] },
+    ],
+  },
+};
+
+const toctree = {
+  slug: '/',
+  children: [
+    { slug: 'reference/operators', children: [] },
+    { slug: 'reference/removed', children: [] },
+    { url: 'https://www.mongodb.com/docs/atlas/', children: [] },
+  ],
+};
+
+describe('checkLinks', () => {
+  it('reports dangling page and anchor links per page', () => {
+    const { brokenLinks } = checkLinks({ pages, toctree });
+    expect(brokenLinks).toEqual({
+      '/': [
+        { type: 'ref', target: 'reference/operators#std-label-missing', reason: 'missing anchor' },
+        { type: 'doc', target: 'reference/missing', reason: 'missing page' },
+      ],
+      'reference/operators': [{ type: 'reference', target: '../../missing/', reason: 'missing page' }],
+    });
+  });
+
+  it('reports ToC slugs without a page', () => {
+    const report = checkLinks({ pages, toctree });
+    expect(report.brokenTocSlugs).toEqual(['reference/removed']);
+    expect(countBrokenLinks(report)).toBe(4);
+  });
+
+  it('resolves links to pages known only by their slug', () => {
+    const report = checkLinks({
+      pages: {
+        '/': {
+          type: 'root',
+          children: [refRole('reference/api', ''), refRole('reference/api', 'tag/users'), reference('/reference/api/')],
+        },
+      },
+      toctree: { slug: '/', children: [{ slug: '/reference/api', children: [] }] },
+      knownSlugs: ['reference/api'],
+    });
+    expect(countBrokenLinks(report)).toBe(0);
+  });
+
+  it('summarizes broken links', () => {
+    const summary = formatLinkReport(checkLinks({ pages, toctree }));
+    expect(summary).toMatch('Link check found 4 broken link(s):');
+    expect(summary).toMatch('    doc reference/missing (missing page)');
+    expect(summary).toMatch('  toctree:\n    reference/removed (missing page)');
+  });
+});
@@ -0,0 +1,19 @@
+import { getDirectiveConfigPath } from '../../../../src/utils/setup/directive-config-path';
+
+describe('getDirectiveConfigPath', () => {
+  it('returns the path option of the directive config plugin', () => {
+    const config = {
+      plugins: [
+        'gatsby-plugin-emotion',
+        { resolve: 'gatsby-plugin-directive-config', options: { path: '/site/directives.js' } },
+      ],
+    };
+    expect(getDirectiveConfigPath(config)).toBe('/site/directives.js');
+  });
+
+  it('throws when gatsby-config.js does not set it', () => {
+    expect(() => getDirectiveConfigPath({ plugins: ['gatsby-plugin-emotion'] })).toThrow(
+      'gatsby-config.js must set the path option of gatsby-plugin-directive-config'
+    );
+  });
+});
@@ -0,0 +1,40 @@
+import BSON from 'bson';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fetchManifestMetadata } from '../../../../src/utils/setup/fetch-manifest-metadata';
+
+const { GATSBY_MANIFEST_PATH, GATSBY_PARSER_OUTPUT_DIR } = process.env;
+
+const restoreEnv = (key, value) => {
+  if (value === undefined) {
+    delete process.env[key];
+  } else {
+    process.env[key] = value;
+  }
+};
+
+describe('fetchManifestMetadata', () => {
+  let dirPath;
+
+  beforeEach(() => {
+    dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'parser-output-'));
+    delete process.env.GATSBY_MANIFEST_PATH;
+    process.env.GATSBY_PARSER_OUTPUT_DIR = dirPath;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dirPath, { recursive: true, force: true });
+    restoreEnv('GATSBY_MANIFEST_PATH', GATSBY_MANIFEST_PATH);
+    restoreEnv('GATSBY_PARSER_OUTPUT_DIR', GATSBY_PARSER_OUTPUT_DIR);
+  });
+
+  it('reads site.bson from the parser output directory', () => {
+    fs.writeFileSync(path.join(dirPath, 'site.bson'), BSON.serialize({ project: 'docs', branch: 'master' }));
+    expect(fetchManifestMetadata()).toEqual({ project: 'docs', branch: 'master' });
+  });
+
+  it('returns empty metadata when the parser output directory has no site.bson', () => {
+    expect(fetchManifestMetadata()).toEqual({});
+  });
+});
@@ -0,0 +1,59 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fetchOfflineData } from '../../../../src/utils/setup/fetch-offline-data';
+
+const bundledData = Buffer.from(
+  JSON.stringify({
+    products: [{ title: 'MongoDB Server' }],
+    repos_branches: [{ project: 'docs', branches: [{ gitBranchName: 'master' }] }],
+  })
+);
+
+describe('fetchOfflineData', () => {
+  let dirPath;
+  let sidecarPath;
+
+  beforeEach(() => {
+    dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-data-'));
+    sidecarPath = path.join(dirPath, 'offline.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dirPath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('reads the data bundled with the parser output', () => {
+    expect(fetchOfflineData(bundledData, null)).toEqual({
+      products: [{ title: 'MongoDB Server' }],
+      repos_branches: [{ project: 'docs', branches: [{ gitBranchName: 'master' }] }],
+      metadata: [],
+    });
+  });
+
+  it('prefers the collections of the sidecar file to the bundled ones', () => {
+    fs.writeFileSync(sidecarPath, JSON.stringify({ repos_branches: [{ project: 'docs', branches: [] }] }));
+
+    expect(fetchOfflineData(bundledData, sidecarPath)).toEqual({
+      products: [{ title: 'MongoDB Server' }],
+      repos_branches: [{ project: 'docs', branches: [] }],
+      metadata: [],
+    });
+  });
+
+  it('warns and returns empty collections without any data', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(fetchOfflineData(null, null)).toEqual({ products: [], repos_branches: [], metadata: [] });
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('names the source of data that is not valid JSON', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fs.writeFileSync(sidecarPath, '{ products: [');
+
+    expect(() => fetchOfflineData(null, sidecarPath)).toThrow(SyntaxError);
+    expect(console.error).toHaveBeenCalledWith(`Could not parse offline build data from ${sidecarPath}`);
+  });
+});
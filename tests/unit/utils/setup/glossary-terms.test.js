@@ -0,0 +1,117 @@
+import { addGlossaryTerms, buildGlossaryIndex } from '../../../../src/utils/setup/glossary-terms';
+
+const text = (value) => ({ type: 'text', value });
+const paragraph = (...children) => ({ type: 'paragraph', children });
+
+const glossaryEntry = (term, htmlId, definition) => ({
+  type: 'definitionListItem',
+  term: [{ type: 'inline_target', html_id: htmlId, children: [text(term)] }],
+  children: [paragraph(text(definition)), paragraph(text('More details.'))],
+});
+
+const pages = {
+  'reference/glossary': {
+    type: 'root',
+    children: [
+      {
+        type: 'directive',
+        name: 'glossary',
+        children: [
+          {
+            type: 'definitionList',
+            children: [
+              glossaryEntry('replica set', 'term-replica-set', 'A group of mongod processes.'),
+              glossaryEntry(
+                'primary',
+                'term-primary',
+                'The member that receives writes, unlike a replica set secondary.'
+              ),
+            ],
+          },
+        ],
+      },
+    ],
+  },
+  'core/replication': {
+    type: 'root',
+    options: {},
+    children: [
+      {
+        type: 'section',
+        children: [
+          { type: 'heading', children: [text('Replica Set Members')] },
+          paragraph(text('A Replica  Set has one primary. Each replica set elects its primary.')),
+          paragraph({ type: 'literal', children: [text('primary')] }, text(' is described above.')),
+        ],
+      },
+    ],
+  },
+};
+
+describe('buildGlossaryIndex', () => {
+  it('indexes the terms of every glossary with their first definition paragraph', () => {
+    expect(buildGlossaryIndex(pages)).toEqual({
+      'replica set': {
+        term: 'replica set',
+        definition: 'A group of mongod processes.',
+        slug: 'reference/glossary',
+        id: 'term-replica-set',
+      },
+      primary: {
+        term: 'primary',
+        definition: 'The member that receives writes, unlike a replica set secondary.',
+        slug: 'reference/glossary',
+        id: 'term-primary',
+      },
+    });
+  });
+});
+
+describe('addGlossaryTerms', () => {
+  const glossaryIndex = buildGlossaryIndex(pages);
+
+  it('annotates the first use of each term in body text', () => {
+    const ast = addGlossaryTerms(pages['core/replication'], glossaryIndex, 'core/replication');
+    const [heading, firstParagraph, secondParagraph] = ast.children[0].children;
+
+    // Headings and the rest of the page are left as they are
+    expect(heading).toBe(pages['core/replication'].children[0].children[0]);
+    expect(secondParagraph).toBe(pages['core/replication'].children[0].children[2]);
+
+    expect(firstParagraph.children).toEqual([
+      text('A '),
+      {
+        type: 'glossary_term',
+        definition: 'A group of mongod processes.',
+        id: 'term-replica-set',
+        slug: 'reference/glossary',
+        children: [text('Replica  Set')],
+      },
+      text(' has one '),
+      {
+        type: 'glossary_term',
+        definition: 'The member that receives writes, unlike a replica set secondary.',
+        id: 'term-primary',
+        slug: 'reference/glossary',
+        children: [text('primary')],
+      },
+      text('. Each replica set elects its primary.'),
+    ]);
+  });
+
+  it('does not annotate the page that defines the terms', () => {
+    expect(addGlossaryTerms(pages['reference/glossary'], glossaryIndex, 'reference/glossary')).toBe(
+      pages['reference/glossary']
+    );
+  });
+
+  it('skips pages that opt out of glossary tooltips', () => {
+    const ast = { ...pages['core/replication'], options: { 'no-glossary-tooltips': '' } };
+    expect(addGlossaryTerms(ast, glossaryIndex, 'core/replication')).toBe(ast);
+  });
+
+  it('does not match terms inside other words', () => {
+    const ast = { type: 'root', children: [paragraph(text('Primaryless sets and preprimary members.'))] };
+    expect(addGlossaryTerms(ast, glossaryIndex, 'index')).toBe(ast);
+  });
+});
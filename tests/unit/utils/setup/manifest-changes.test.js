@@ -0,0 +1,36 @@
+import { findManifestChanges } from '../../../../src/utils/setup/manifest-changes';
+
+const createContentDigest = (doc) => JSON.stringify(doc);
+const getDocumentKey = (pageId) => pageId.replace('docs/docsworker/master/', '');
+const options = { createContentDigest, getDocumentKey };
+
+const makeDocument = (key, text) => ({ page_id: `docs/docsworker/master/${key}`, filename: `${key}.txt`, text });
+
+describe('findManifestChanges', () => {
+  const pageDigests = {
+    index: createContentDigest({ filename: 'index.txt', text: 'Welcome' }),
+    install: createContentDigest({ filename: 'install.txt', text: 'Install' }),
+    removed: createContentDigest({ filename: 'removed.txt', text: 'Removed' }),
+  };
+
+  it('finds new and modified documents', () => {
+    const added = makeDocument('connect', 'Connect');
+    const modified = makeDocument('install', 'Install the driver');
+    const { changedDocuments } = findManifestChanges(
+      [makeDocument('index', 'Welcome'), modified, added],
+      pageDigests,
+      options
+    );
+    expect(changedDocuments).toEqual([modified, added]);
+  });
+
+  it('finds the keys of documents that were removed', () => {
+    const { changedDocuments, removedKeys } = findManifestChanges(
+      [makeDocument('index', 'Welcome'), makeDocument('install', 'Install')],
+      pageDigests,
+      options
+    );
+    expect(changedDocuments).toEqual([]);
+    expect(removedKeys).toEqual(['removed']);
+  });
+});
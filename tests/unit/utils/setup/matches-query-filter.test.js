@@ -0,0 +1,29 @@
+import { constructBuildFilter } from '../../../../src/utils/setup/construct-build-filter';
+import { matchesQueryFilter } from '../../../../src/utils/setup/matches-query-filter';
+
+describe('matchesQueryFilter', () => {
+  it('matches documents on equality', () => {
+    const doc = { project: 'docs', repoName: 'docs' };
+    expect(matchesQueryFilter(doc, { project: 'docs' })).toBe(true);
+    expect(matchesQueryFilter(doc, { project: 'docs', repoName: 'docs-internal' })).toBe(false);
+  });
+
+  it('matches dot-notated paths through arrays', () => {
+    const doc = { associated_products: [{ name: 'atlas-cli' }, { name: 'atlas-operator' }] };
+    expect(matchesQueryFilter(doc, { 'associated_products.name': 'atlas-operator' })).toBe(true);
+    expect(matchesQueryFilter(doc, { 'associated_products.name': 'docs' })).toBe(false);
+  });
+
+  it('supports the operators used by build filters', () => {
+    const buildFilter = constructBuildFilter({ project: 'test-repo', parserUser: 'test-user', parserBranch: 'master' });
+    expect(matchesQueryFilter({ page_id: 'test-repo/test-user/master/index.txt' }, buildFilter)).toBe(true);
+    expect(matchesQueryFilter({ page_id: 'test-repo/test-user/master/index.txt', patch_id: 'a' }, buildFilter)).toBe(
+      false
+    );
+    expect(matchesQueryFilter({ page_id: 'test-repo/test-user/master-copy/index.txt' }, buildFilter)).toBe(false);
+  });
+
+  it('matches every document with an empty filter', () => {
+    expect(matchesQueryFilter({ project: 'docs' })).toBe(true);
+  });
+});
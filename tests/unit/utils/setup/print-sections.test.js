@@ -0,0 +1,63 @@
+import { getPrintPath, getPrintSections, parsePrintSectionSlugs } from '../../../../src/utils/setup/print-sections';
+
+const page = { type: 'root', children: [] };
+
+describe('getPrintPath', () => {
+  it('appends the print segment to the section path', () => {
+    expect(getPrintPath('tutorial/install')).toBe('/tutorial/install/print/');
+    expect(getPrintPath('/')).toBe('/print/');
+  });
+});
+
+describe('parsePrintSectionSlugs', () => {
+  it('returns the normalized slugs of a comma-separated list', () => {
+    expect(parsePrintSectionSlugs(' /tutorial/, reference/api,,/ ')).toEqual(['tutorial', 'reference/api', '/']);
+  });
+
+  it('returns no slugs when unset', () => {
+    expect(parsePrintSectionSlugs(undefined)).toEqual([]);
+  });
+});
+
+describe('getPrintSections', () => {
+  const pageAsts = { '/': page, tutorial: page, 'tutorial/install': page, 'tutorial/connect': page, faq: page };
+  const toctree = {
+    title: 'Docs',
+    slug: '/',
+    children: [
+      {
+        title: 'Tutorial',
+        slug: '/tutorial',
+        children: [
+          { title: 'Install', slug: '/tutorial/install', children: [] },
+          { title: 'Driver', url: 'https://example.com/driver', children: [] },
+          { title: 'Connect', slug: '/tutorial/connect', children: [] },
+        ],
+      },
+      { title: 'Reference', children: [{ title: 'FAQ', slug: 'faq', children: [] }] },
+    ],
+  };
+
+  it('lists the pages beneath each opted-in ToC node, in reading order', () => {
+    expect(getPrintSections(toctree, pageAsts, ['/', '/tutorial/'])).toEqual([
+      { slug: '/', slugs: ['/', 'tutorial', 'tutorial/install', 'tutorial/connect', 'faq'] },
+      { slug: 'tutorial', slugs: ['tutorial', 'tutorial/install', 'tutorial/connect'] },
+    ]);
+  });
+
+  it('only creates sections that are opted in', () => {
+    expect(getPrintSections(toctree, pageAsts, ['tutorial'])).toEqual([
+      { slug: 'tutorial', slugs: ['tutorial', 'tutorial/install', 'tutorial/connect'] },
+    ]);
+    expect(getPrintSections(toctree, pageAsts)).toEqual([]);
+  });
+
+  it('skips sections whose print path is already a page', () => {
+    const sections = getPrintSections(toctree, { ...pageAsts, 'tutorial/print': page }, ['/', 'tutorial']);
+    expect(sections.map(({ slug }) => slug)).toEqual(['/']);
+  });
+
+  it('returns no sections without a ToC', () => {
+    expect(getPrintSections(undefined, pageAsts, ['/'])).toEqual([]);
+  });
+});
@@ -0,0 +1,49 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { saveAssetFiles } from '../../../../src/utils/setup/save-asset-files';
+
+describe('saveAssetFiles', () => {
+  const cwd = process.cwd();
+  let dirPath;
+  const db = { getAsset: jest.fn(async (checksum) => Buffer.from(`data of ${checksum}`)) };
+
+  beforeEach(() => {
+    dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'snooty-assets-'));
+    process.chdir(dirPath);
+    db.getAsset.mockClear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(dirPath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const readStaticFile = (file) => fs.readFileSync(path.join(dirPath, 'static', file), 'utf8');
+
+  it('writes every file name of each asset to the static directory', async () => {
+    const assets = new Map([['abc', new Set(['/images/a.png', '/images/nested/copy-of-a.png'])]]);
+    await saveAssetFiles(assets, db);
+
+    expect(db.getAsset).toHaveBeenCalledTimes(1);
+    expect(readStaticFile('images/a.png')).toBe('data of abc');
+    expect(readStaticFile('images/nested/copy-of-a.png')).toBe('data of abc');
+  });
+
+  it('skips files already written with the same checksum', async () => {
+    await saveAssetFiles(new Map([['abc', new Set(['/images/a.png'])]]), db);
+    db.getAsset.mockClear();
+
+    const assets = new Map([
+      ['abc', new Set(['/images/a.png'])],
+      ['def', new Set(['/images/b.png'])],
+    ]);
+    await saveAssetFiles(assets, db, { '/images/a.png': 'abc', '/images/b.png': 'old' });
+
+    expect(db.getAsset).toHaveBeenCalledTimes(1);
+    expect(db.getAsset).toHaveBeenCalledWith('def');
+    expect(readStaticFile('images/b.png')).toBe('data of def');
+  });
+});
@@ -0,0 +1,45 @@
+import fs from 'fs';
+import { validateEnvVariables } from '../../../../src/utils/setup/validate-env-variables';
+
+const ENV_KEYS = [
+  'GATSBY_MANIFEST_PATH',
+  'GATSBY_PARSER_OUTPUT_DIR',
+  'GATSBY_SITE',
+  'GATSBY_PARSER_USER',
+  'GATSBY_PARSER_BRANCH',
+];
+const savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+
+describe('validateEnvVariables', () => {
+  beforeEach(() => {
+    ENV_KEYS.forEach((key) => delete process.env[key]);
+    jest.spyOn(fs, 'appendFile').mockImplementation((file, data, callback) => callback(null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ENV_KEYS.forEach((key) => {
+      if (savedEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = savedEnv[key];
+      }
+    });
+  });
+
+  it('requires the site variables without local parser output', () => {
+    expect(validateEnvVariables({})).toMatchObject({ error: true });
+    expect(fs.appendFile).not.toHaveBeenCalled();
+  });
+
+  it('takes the site and branch from the metadata of a parser output directory', () => {
+    process.env.GATSBY_PARSER_OUTPUT_DIR = '/tmp/parser-output';
+
+    expect(validateEnvVariables({ project: 'docs', branch: 'master' })).toEqual({ error: false });
+    expect(fs.appendFile).toHaveBeenCalledWith(
+      '.env.production',
+      '\nGATSBY_SITE=docs\nGATSBY_PARSER_BRANCH=master',
+      expect.any(Function)
+    );
+  });
+});
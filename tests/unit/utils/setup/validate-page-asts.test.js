@@ -0,0 +1,135 @@
+import { createDirectiveRegistry } from '../../../../src/utils/directive-registry';
+import { countIssues, formatValidationReport, validatePageAsts } from '../../../../src/utils/setup/validate-page-asts';
+import chaptersData from '../../data/Chapters.test.json';
+import codeIOData from '../../data/CodeIO.test.json';
+import procedureData from '../../data/Procedure.test.json';
+import tabsAnonymousData from '../../data/Tabs-anonymous.test.json';
+import tabsLanguagesData from '../../data/Tabs-languages.test.json';
+import targetData from '../../data/Target.test.json';
+
+const paragraph = (...children) => ({ type: 'paragraph', children });
+const text = (value) => ({ type: 'text', value });
+
+describe('validatePageAsts', () => {
+  it('reports no issues for supported nodes', () => {
+    const report = validatePageAsts({
+      '/': {
+        type: 'root',
+        children: [
+          paragraph(text('Hello'), { type: 'role', name: 'kbd', domain: 'mongodb', children: [text('ctrl')] }),
+          { type: 'directive', name: 'note', argument: [text('Title')], children: [] },
+          { type: 'directive', name: 'toctree', children: [{ type: 'directive', name: 'unknown' }] },
+          { type: 'comment' },
+        ],
+      },
+    });
+    expect(countIssues(report)).toBe(0);
+  });
+
+  it('groups unimplemented nodes, unknown roles and unexpected domains by page', () => {
+    const unknownDirective = { type: 'directive', name: 'mystery', children: [] };
+    const report = validatePageAsts({
+      'page-a': {
+        type: 'root',
+        children: [unknownDirective, paragraph({ type: 'role', name: 'mystery-role', children: [] })],
+      },
+      'page-b': {
+        type: 'root',
+        children: [
+          unknownDirective,
+          { type: 'unknown_type' },
+          { type: 'directive', name: 'code', domain: 'c', children: [] },
+        ],
+      },
+    });
+
+    expect(report.unimplementedNodes).toEqual([
+      { type: 'directive', name: 'mystery', pages: ['page-a', 'page-b'] },
+      { type: 'unknown_type', name: undefined, pages: ['page-b'] },
+    ]);
+    expect(report.unknownRoles).toEqual([{ name: 'mystery-role', pages: ['page-a'] }]);
+    expect(report.unexpectedDomains).toEqual([{ domain: 'c', name: 'code', pages: ['page-b'] }]);
+  });
+
+  it('does not descend into nodes that cannot be rendered', () => {
+    const report = validatePageAsts({
+      '/': { type: 'root', children: [{ type: 'directive', name: 'mystery', children: [{ type: 'also_unknown' }] }] },
+    });
+    expect(countIssues(report)).toBe(1);
+  });
+
+  it('does not report children that their parent renders itself', () => {
+    const report = validatePageAsts({
+      chapters: chaptersData.nodeData,
+      'code-io': { type: 'root', children: Object.values(codeIOData) },
+      procedure: { type: 'root', children: Object.values(procedureData) },
+      'tabs-anonymous': tabsAnonymousData,
+      'tabs-languages': tabsLanguagesData,
+      target: { type: 'root', children: Object.values(targetData) },
+    });
+    expect(report.unimplementedNodes).toEqual([]);
+  });
+
+  it('still reports unimplemented nodes within children that their parent renders', () => {
+    const report = validatePageAsts({
+      '/': {
+        type: 'root',
+        children: [
+          {
+            type: 'directive',
+            name: 'tabs',
+            children: [{ type: 'directive', name: 'tab', argument: [], children: [{ type: 'mystery' }] }],
+          },
+          { type: 'directive', name: 'tab', children: [] },
+        ],
+      },
+    });
+    expect(report.unimplementedNodes).toEqual([
+      { type: 'directive', name: 'tab', pages: ['/'] },
+      { type: 'mystery', name: undefined, pages: ['/'] },
+    ]);
+  });
+
+  it('accepts directives and roles registered by the docs property', () => {
+    const registered = createDirectiveRegistry((registry) => {
+      registry.registerDirective('my-directive', () => null);
+      registry.registerRole('my-role', () => null);
+      registry.registerDirective('toctree', () => null);
+      registry.ignore('legacy-directive');
+    });
+    const report = validatePageAsts(
+      {
+        '/': {
+          type: 'root',
+          children: [
+            { type: 'directive', name: 'my-directive', children: [{ type: 'role', name: 'my-role', children: [] }] },
+            { type: 'directive', name: 'legacy-directive', children: [] },
+            { type: 'directive', name: 'toctree', children: [{ type: 'directive', name: 'mystery' }] },
+          ],
+        },
+      },
+      registered
+    );
+    expect(report.unimplementedNodes).toEqual([{ type: 'directive', name: 'mystery', pages: ['/'] }]);
+    expect(report.unknownRoles).toEqual([]);
+  });
+});
+
+describe('formatValidationReport', () => {
+  it('summarizes each issue with its pages', () => {
+    const summary = formatValidationReport({
+      unimplementedNodes: [{ type: 'directive', name: 'mystery', pages: ['page-a', 'page-b'] }],
+      unknownRoles: [],
+      unexpectedDomains: [{ domain: 'c', name: 'code', pages: ['page-b'] }],
+    });
+    expect(summary).toBe(
+      [
+        'AST validation found 2 issue(s):',
+        '  Unimplemented node types:',
+        '    directive "mystery" on 2 page(s): page-a, page-b',
+        '  Unexpected domains:',
+        '    domain "c" on "code" on 1 page(s): page-b',
+      ].join('\n')
+    );
+  });
+});
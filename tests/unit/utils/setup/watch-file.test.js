@@ -0,0 +1,73 @@
+import fs from 'fs';
+import { watchFile } from '../../../../src/utils/setup/watch-file';
+
+const stats = (mtimeMs, size = 100) => ({ mtimeMs, size });
+
+describe('watchFile', () => {
+  let listener;
+
+  beforeEach(() => {
+    jest.spyOn(fs, 'watchFile').mockImplementation((filePath, options, callback) => {
+      listener = callback;
+    });
+    jest.spyOn(fs, 'unwatchFile').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('calls onChange when the file is rewritten', async () => {
+    const onChange = jest.fn();
+    watchFile('manifest.zip', onChange, 50);
+    expect(fs.watchFile).toHaveBeenCalledWith('manifest.zip', { interval: 50 }, listener);
+
+    listener(stats(2), stats(1));
+    await new Promise(process.nextTick);
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignores polls without a change and files that are missing or still being written', async () => {
+    const onChange = jest.fn();
+    watchFile('manifest.zip', onChange);
+
+    listener(stats(1), stats(1));
+    listener(stats(2, 0), stats(1));
+    await new Promise(process.nextTick);
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it('waits for the previous call to finish and keeps watching after a failure', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const calls = [];
+    let finishFirstCall;
+    const onChange = jest
+      .fn()
+      .mockImplementationOnce(
+        () =>
+          new Promise((resolve, reject) => {
+            calls.push('first');
+            finishFirstCall = () => reject(new Error('Invalid manifest'));
+          })
+      )
+      .mockImplementationOnce(() => calls.push('second'));
+    watchFile('manifest.zip', onChange);
+
+    listener(stats(2), stats(1));
+    listener(stats(3), stats(2));
+    await new Promise(process.nextTick);
+    expect(calls).toEqual(['first']);
+
+    finishFirstCall();
+    await new Promise(process.nextTick);
+    await new Promise(process.nextTick);
+    expect(calls).toEqual(['first', 'second']);
+    expect(console.error).toHaveBeenCalledWith('Failed to reload manifest.zip');
+  });
+
+  it('returns a function that stops watching the file', () => {
+    const stopWatching = watchFile('manifest.zip', jest.fn());
+    stopWatching();
+    expect(fs.unwatchFile).toHaveBeenCalledWith('manifest.zip', listener);
+  });
+});
@@ -0,0 +1,27 @@
+import { buildSlugManifest, findClosestSlug } from '../../../src/utils/slug-manifest';
+
+describe('buildSlugManifest', () => {
+  it('lists the sorted slugs of every page', () => {
+    const pageAsts = { 'tutorial/install': {}, index: {}, 'reference/': {}, tutorial: {} };
+    expect(buildSlugManifest(pageAsts)).toEqual(['/', 'reference', 'tutorial', 'tutorial/install']);
+  });
+});
+
+describe('findClosestSlug', () => {
+  const manifest = ['/', 'tutorial', 'tutorial/install'];
+
+  it('returns the page itself when it exists', () => {
+    expect(findClosestSlug('/tutorial/install/', manifest)).toBe('tutorial/install');
+    expect(findClosestSlug('index', manifest)).toBe('/');
+  });
+
+  it('falls back to the nearest parent page', () => {
+    expect(findClosestSlug('tutorial/install/windows', manifest)).toBe('tutorial/install');
+    expect(findClosestSlug('tutorial/upgrade', manifest)).toBe('tutorial');
+    expect(findClosestSlug('reference/operators', manifest)).toBe('/');
+  });
+
+  it('returns null when no parent page exists', () => {
+    expect(findClosestSlug('reference/operators', ['tutorial'])).toBeNull();
+  });
+});
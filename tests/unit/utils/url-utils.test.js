@@ -0,0 +1,30 @@
+import { getUrl } from '../../../src/utils/url-utils';
+
+const { GATSBY_LOCALE } = process.env;
+
+describe('getUrl', () => {
+  const siteMetadata = { pathPrefix: '/docs/v7.0', project: 'docs' };
+
+  afterEach(() => {
+    if (GATSBY_LOCALE === undefined) {
+      delete process.env.GATSBY_LOCALE;
+    } else {
+      process.env.GATSBY_LOCALE = GATSBY_LOCALE;
+    }
+  });
+
+  it('returns the URL of a page in another version', () => {
+    expect(getUrl('v6.0', 'docs', siteMetadata, 'docs', 'tutorial/install')).toBe('/docs/v6.0/tutorial/install/');
+    expect(getUrl('v6.0', 'docs', siteMetadata, 'docs', '')).toBe('/docs/v6.0/');
+  });
+
+  it('keeps the locale of a translated doc set', () => {
+    process.env.GATSBY_LOCALE = 'ja-jp';
+    expect(getUrl('v6.0', 'docs', siteMetadata, 'docs', 'tutorial/install')).toBe('/docs/v6.0/ja-jp/tutorial/install/');
+    expect(getUrl('v6.0', 'docs', siteMetadata, 'docs', '')).toBe('/docs/v6.0/ja-jp/');
+  });
+
+  it('links to the legacy docs archive', () => {
+    expect(getUrl('legacy', 'docs', siteMetadata, 'docs', 'tutorial')).toMatch(/legacy\/\?site=docs$/);
+  });
+});
@@ -0,0 +1,21 @@
+import { getUrlWithVersionParams, getVersionsFromParams } from '../../../src/utils/version-params';
+
+describe('version params', () => {
+  it('reads the versions pinned for each product', () => {
+    expect(getVersionsFromParams('?v.atlas-cli=v1.3&v.docs=v6.0&q=index')).toEqual({
+      'atlas-cli': 'v1.3',
+      docs: 'v6.0',
+    });
+    expect(getVersionsFromParams('?v.docs=&v.docs=v6.0&v.docs=v7.0')).toEqual({});
+    expect(getVersionsFromParams('')).toEqual({});
+  });
+
+  it('replaces the version params of a URL, keeping its other params and fragment', () => {
+    expect(
+      getUrlWithVersionParams('https://www.mongodb.com/docs/atlas/cli/?v.docs=v5.0&tab=shell#install', {
+        'atlas-cli': 'v1.3',
+        docs: 'v6.0',
+      })
+    ).toBe('https://www.mongodb.com/docs/atlas/cli/?tab=shell&v.atlas-cli=v1.3&v.docs=v6.0#install');
+  });
+});
@@ -1,4 +1,9 @@
-import { getSortedBranchesForProperty, parseMarianManifests } from '../../src/utils/parse-marian-manifests';
+import {
+  getDefaultBranchForProperty,
+  getSortedBranchesForProperty,
+  getVersionSearchProperties,
+  parseMarianManifests,
+} from '../../src/utils/parse-marian-manifests';
 import mockInputData from './data/marian-manifests.json';
 import mockResponseData from './data/parsed-marian-manifests.json';
 
@@ -16,3 +21,23 @@ it('should properly sort branches for a property with version numbers', () => {
     'Version 7.3',
   ]);
 });
+
+it('should default to the branch of a property that is being read', () => {
+  const parsedSampleData = parseMarianManifests(mockInputData.manifests, mockInputData.searchPropertyMapping);
+  expect(getDefaultBranchForProperty(parsedSampleData, 'Mongoid', ['mongoid-7.3', 'atlas-master'])).toBe('Version 7.3');
+  expect(getDefaultBranchForProperty(parsedSampleData, 'Mongoid', ['atlas-master'])).toBe('Latest');
+  expect(getDefaultBranchForProperty(parsedSampleData, 'Mongoid')).toBe('Latest');
+});
+
+it('should find the search properties of the versions being read', () => {
+  const searchPropertyMapping = {
+    ...mockInputData.searchPropertyMapping,
+    projectToSearchMap: { docs: 'manual' },
+  };
+  expect(
+    getVersionSearchProperties(
+      { 'bi-connector': 'v2.13', docs: 'v5.2', mongoid: null, 'unknown-project': 'master' },
+      searchPropertyMapping
+    )
+  ).toStrictEqual(['bi-connector-v2.13', 'manual-v5.2']);
+});